@@ -0,0 +1,93 @@
+/**
+ * AIPlayer - Computer opponent with selectable difficulty
+ *
+ * - random:    any legal move
+ * - heuristic: win, block, then take the center, corners and edges
+ * - perfect:   one of the solver's optimal moves
+ */
+
+import { TicTacToeState } from './TicTacToeState.js';
+import { Solver } from './Solver.js';
+
+export class AIPlayer {
+  static DIFFICULTIES = ['random', 'heuristic', 'perfect'];
+
+  /**
+   * @param {string} difficulty - 'random', 'heuristic' or 'perfect'
+   * @param {Solver} [solver] - Shared solver for perfect play
+   * @param {Function} [random] - Source of randomness in [0, 1)
+   */
+  constructor(difficulty = 'perfect', solver = new Solver(), random = Math.random) {
+    if (!AIPlayer.DIFFICULTIES.includes(difficulty)) {
+      throw new Error(`Unknown difficulty: ${difficulty}`);
+    }
+
+    this.difficulty = difficulty;
+    this.solver = solver;
+    this.random = random;
+  }
+
+  /**
+   * Choose a move for the player to move
+   * @param {TicTacToeState} state
+   * @returns {number} Cell index
+   */
+  chooseMove(state) {
+    const moves = state.getPossibleMoves();
+    if (moves.length === 0) {
+      throw new Error('No moves available');
+    }
+
+    switch (this.difficulty) {
+      case 'random':
+        return this._pick(moves);
+      case 'heuristic':
+        return this._heuristicMove(state, moves);
+      default:
+        return this._pick(this.solver.getOptimalMoves(state));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _pick(moves) {
+    return moves[Math.floor(this.random() * moves.length)];
+  }
+
+  /**
+   * @private
+   */
+  _heuristicMove(state, moves) {
+    const player = state.nextPlayerFirstPlayerX;
+    const opponent = player === 1 ? 2 : 1;
+
+    const winning = moves.filter(move => AIPlayer._completesLine(state, move, player));
+    if (winning.length > 0) return this._pick(winning);
+
+    const blocking = moves.filter(move => AIPlayer._completesLine(state, move, opponent));
+    if (blocking.length > 0) return this._pick(blocking);
+
+    if (moves.includes(4)) return 4;
+
+    const oppositeCorners = [[0, 8], [2, 6], [6, 2], [8, 0]]
+      .filter(([corner, opposite]) => state.config[corner] === opponent && moves.includes(opposite))
+      .map(([, opposite]) => opposite);
+    if (oppositeCorners.length > 0) return this._pick(oppositeCorners);
+
+    const corners = [0, 2, 6, 8].filter(corner => moves.includes(corner));
+    if (corners.length > 0) return this._pick(corners);
+
+    return this._pick(moves);
+  }
+
+  /**
+   * Whether placing a player's mark at a position gives them a winning line
+   * @private
+   */
+  static _completesLine(state, position, player) {
+    const config = [...state.config];
+    config[position] = player;
+    return new TicTacToeState(config).winners.includes(player);
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * HoroscopeEngine - Offline horoscopes composed from board features
+ *
+ * Each canonical state gets a short line (corto, at most 12 words) and a
+ * reading (completo, 2-3 sentences) assembled from what is actually on the
+ * board: center, corner and edge occupancy, threats and forks, the shape of
+ * the winning line, the turn, how rare the board is and the solver's verdict.
+ *
+ * Fragments are picked with a PRNG seeded by the engine seed and the
+ * canonical ID, so the same seed always produces the same texts.
+ * generateAll() also makes every corto and completo unique across the set.
+ * The fragments for each language live in horoscopePhrases.js.
+ */
+
+import { TicTacToeState } from './TicTacToeState.js';
+import { Solver } from './Solver.js';
+import { HOROSCOPE_PHRASES } from './horoscopePhrases.js';
+
+const LINES = [
+  [0, 1, 2], [3, 4, 5], [6, 7, 8], // rows
+  [0, 3, 6], [1, 4, 7], [2, 5, 8], // cols
+  [0, 4, 8], [2, 4, 6],            // diagonals
+];
+const CORNERS = [0, 2, 6, 8];
+const EDGES = [1, 3, 5, 7];
+const MARK = { 1: 'X', 2: 'O' };
+
+const MAX_ATTEMPTS = 200;
+
+export class HoroscopeEngine {
+  /**
+   * @param {Object} [options]
+   * @param {string|number} [options.seed] - Same seed, same texts
+   * @param {Solver} [options.solver] - Shared solver for the outcome sentence
+   * @param {string} [options.locale] - Language of the texts, a key of HOROSCOPE_PHRASES
+   */
+  constructor({ seed = 'reyes', solver = new Solver(), locale = 'es' } = {}) {
+    if (!HOROSCOPE_PHRASES[locale]) {
+      throw new Error(`Unsupported horoscope locale: ${locale}`);
+    }
+
+    this.seed = String(seed);
+    this.solver = solver;
+    this.locale = locale;
+    this.phrases = HOROSCOPE_PHRASES[locale];
+  }
+
+  /**
+   * Features of a board used to compose its horoscope
+   * @param {TicTacToeState|Object} state - Any orientation; the canonical one is analyzed
+   * @param {number} [rarezaCount] - Boards that map to this canonical form
+   * @returns {Object}
+   */
+  features(state, rarezaCount = 1) {
+    const board = TicTacToeState.fromId(state.canonical);
+    if (!board.isValidFirstPlayerX) {
+      throw new Error('Only states reachable with X first have horoscopes');
+    }
+
+    const config = board.config;
+    const countOf = (cells, player) => cells.filter(cell => config[cell] === player).length;
+    const threatsOf = player => LINES.filter(line =>
+      line.filter(cell => config[cell] === player).length === 2 && line.some(cell => config[cell] === 0)
+    ).length;
+
+    const threats = board.isTerminal ? { 1: 0, 2: 0 } : { 1: threatsOf(1), 2: threatsOf(2) };
+    const { value, distance } = this.solver.evaluate(board);
+
+    return {
+      canonical: board.canonical,
+      turnCount: board.turnCount,
+      rarezaCount,
+      center: config[4],
+      corners: { 1: countOf(CORNERS, 1), 2: countOf(CORNERS, 2) },
+      edges: { 1: countOf(EDGES, 1), 2: countOf(EDGES, 2) },
+      threats,
+      forks: { 1: threats[1] >= 2, 2: threats[2] >= 2 },
+      winner: board.winners[0] || 0,
+      lineShape: HoroscopeEngine._lineShape(board.winningLines),
+      nextPlayer: board.isTerminal ? null : board.nextPlayerFirstPlayerX,
+      isTerminal: board.isTerminal,
+      outcome: Solver.outcomeName(value),
+      distance,
+    };
+  }
+
+  /**
+   * Horoscope of a single state. Texts are reproducible but not checked for
+   * uniqueness; use generateAll() for a whole set.
+   * @param {TicTacToeState|Object} state
+   * @param {Object} [options]
+   * @param {number} [options.rarezaCount]
+   * @param {number} [options.attempt] - Variant number, to pick other fragments
+   * @returns {{ corto: string, completo: string }}
+   */
+  generate(state, { rarezaCount = 1, attempt = 0 } = {}) {
+    const features = this.features(state, rarezaCount);
+    const random = HoroscopeEngine._random(`${this.seed}:${features.canonical}:${attempt}`);
+    const pick = list => list[Math.floor(random() * list.length)];
+
+    const phrases = this.phrases;
+    const corto = `${pick(phrases.emblems[HoroscopeEngine._category(features)])}: ${pick(phrases.omens)}`;
+
+    const sentences = [
+      pick(phrases.center[features.center]) + phrases.sides(
+        features.corners[1] + features.corners[2],
+        features.edges[1] + features.edges[2]
+      ),
+      this._playSentence(features, pick),
+    ];
+    // A third sentence on most boards, and always when looking for a unique variant
+    if (attempt > 0 || random() < 0.6) {
+      sentences.push(features.turnCount === 0 || random() < 0.5
+        ? pick(phrases.rarity[features.rarezaCount] || phrases.rarity[8])
+        : pick(phrases.turn).replace('{t}', features.turnCount));
+    }
+
+    return {
+      corto,
+      completo: sentences.map(sentence => `${sentence}.`).join(' '),
+    };
+  }
+
+  /**
+   * Horoscopes for a set of states, with every corto and completo unique.
+   * The result doesn't depend on the order of the input.
+   * @param {Array<TicTacToeState|Object>} states - Canonical states
+   * @param {Map<string, number>} [rarezaCounts] - canonical ID -> rareza count
+   * @returns {Map<string, { corto: string, completo: string }>}
+   */
+  generateAll(states, rarezaCounts = new Map()) {
+    const ids = [...new Set(states.map(state => state.canonical))].sort();
+    const usedCortos = new Set();
+    const usedCompletos = new Set();
+    const horoscopes = new Map();
+
+    for (const id of ids) {
+      let horoscope = null;
+      for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const candidate = this.generate({ canonical: id }, { rarezaCount: rarezaCounts.get(id) || 1, attempt });
+        if (!usedCortos.has(candidate.corto) && !usedCompletos.has(candidate.completo)) {
+          horoscope = candidate;
+          break;
+        }
+      }
+      if (!horoscope) {
+        throw new Error(`Could not find a unique horoscope for ${id}`);
+      }
+
+      usedCortos.add(horoscope.corto);
+      usedCompletos.add(horoscope.completo);
+      horoscopes.set(id, horoscope);
+    }
+
+    return horoscopes;
+  }
+
+  /**
+   * Threats, forks or the final result, plus the solver's verdict while playing
+   * @private
+   */
+  _playSentence(features, pick) {
+    const phrases = this.phrases;
+    if (features.winner) {
+      return pick(phrases.win)
+        .replace('{shape}', phrases.shapes[features.lineShape])
+        .replace('{w}', MARK[features.winner]);
+    }
+    if (features.isTerminal) {
+      return pick(phrases.draw);
+    }
+
+    let sentence;
+    const forkPlayer = [1, 2].find(player => features.forks[player]);
+    const threats = features.threats[1] + features.threats[2];
+    if (forkPlayer) {
+      sentence = pick(phrases.fork).replace('{p}', MARK[forkPlayer]);
+    } else if (threats > 0) {
+      sentence = pick(phrases.threat).replace('{n}', phrases.threats(threats));
+    } else {
+      sentence = pick(phrases.quiet);
+    }
+
+    return `${sentence}; ${pick(phrases.outcome).replace('{o}', phrases.outcomeText(features.outcome, features.distance))}`;
+  }
+
+  /**
+   * Which emblem list a board draws its short line from
+   * @private
+   */
+  static _category(features) {
+    if (features.winner) return features.winner === 1 ? 'x-wins' : 'o-wins';
+    if (features.isTerminal) return 'draw';
+    if (features.turnCount === 0) return 'empty';
+    if (features.forks[1] || features.forks[2]) return 'fork';
+    if (features.threats[1] + features.threats[2] > 0) return 'threat';
+    if (features.center) return features.center === 1 ? 'center-x' : 'center-o';
+    const corners = features.corners[1] + features.corners[2];
+    const edges = features.edges[1] + features.edges[2];
+    return corners >= edges ? 'corners' : 'edges';
+  }
+
+  /**
+   * 'row', 'column', 'diagonal' or 'double' (two lines at once)
+   * @private
+   */
+  static _lineShape(lines) {
+    if (lines.length === 0) return null;
+    if (lines.length > 1) return 'double';
+    const [a, b] = lines[0];
+    if (b - a === 1) return 'row';
+    if (b - a === 3) return 'column';
+    return 'diagonal';
+  }
+
+  /**
+   * Seeded PRNG: FNV-1a hash of the key feeding mulberry32
+   * @private
+   * @returns {Function} () => number in [0, 1)
+   */
+  static _random(key) {
+    let h = 2166136261;
+    for (let i = 0; i < key.length; i++) {
+      h = Math.imul(h ^ key.charCodeAt(i), 16777619);
+    }
+
+    let t = h >>> 0;
+    return () => {
+      t = (t + 0x6d2b79f5) >>> 0;
+      let r = Math.imul(t ^ (t >>> 15), 1 | t);
+      r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+      return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * MoveHistory - The move sequences (games so far) that lead to a state
+ *
+ * A TicTacToeState is only a snapshot; this class counts and enumerates the
+ * orders in which its marks could have been played from the empty board,
+ * under the state's rules. Sequences are counted in two ways:
+ *
+ *   raw        every distinct order of moves ending in the board
+ *   canonical  orders up to symmetry: two sequences are the same game when a
+ *              rotation or reflection turns one into the other, so this counts
+ *              the games that end in any orientation of the board (Burnside)
+ *
+ * A move is { position, mark }. Moves are written as a column letter and a
+ * row number counted from the top left: on 3×3, a1 is cell 0, b2 the center
+ * and c3 cell 8. In wild play, where each move picks its mark, the mark
+ * comes first: Xb2 Oa1.
+ *
+ * Counts are memoized per board, like Solver values, and exact up to 4×4.
+ */
+
+import { TicTacToeState } from './TicTacToeState.js';
+import { SymmetryUtils, TRANSFORMS } from './SymmetryUtils.js';
+
+const MARKS = { X: 1, O: 2 };
+const MOVE = /^([XO])?([a-z])(\d+)$/;
+
+export class MoveHistory {
+  constructor() {
+    // "size:winLength:rules:id" -> number of raw sequences
+    this.cache = new Map();
+  }
+
+  /**
+   * Number of move orders from the empty board to a state
+   * @param {TicTacToeState} state
+   * @returns {number} 0 for boards no game reaches
+   */
+  countSequences(state) {
+    const key = MoveHistory._key(state);
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    let count = 0;
+    if (state.turnCount === 0) {
+      count = 1;
+    } else if (state.isReachable) {
+      for (const { previous } of MoveHistory._lastMoves(state)) {
+        count += this.countSequences(previous);
+      }
+    }
+
+    this.cache.set(key, count);
+    return count;
+  }
+
+  /**
+   * Number of games up to symmetry that end in any orientation of a state
+   * @param {TicTacToeState} state
+   * @returns {number}
+   */
+  countCanonicalSequences(state) {
+    // Burnside: average over the 8 symmetries of the sequences they fix. A
+    // symmetry fixes a sequence when it fixes every cell played, and all the
+    // orientations of a board are reached in the same number of ways.
+    const orientations = SymmetryUtils.getOrbit(state.config);
+    let fixed = 0;
+    for (const name of TRANSFORMS) {
+      fixed += orientations.filter(config => config.every((value, cell) =>
+        value === 0 || SymmetryUtils.mapIndex(cell, name, state.size) === cell
+      )).length;
+    }
+    return this.countSequences(state) * fixed / TRANSFORMS.length;
+  }
+
+  /**
+   * Every move sequence leading to a state, one at a time
+   * @param {TicTacToeState} state
+   * @yields {Object[]} Moves ({ position, mark }) from the first to the last
+   */
+  *sequences(state) {
+    if (!state.isReachable) return;
+    yield* MoveHistory._walk(TicTacToeState.empty(state.variant), state.config, [], () => true);
+  }
+
+  /**
+   * One sequence per game up to symmetry: the smallest one, comparing cell
+   * positions move by move, among the sequences ending in any orientation
+   * @param {TicTacToeState} state
+   * @yields {Object[]} Moves ({ position, mark }) from the first to the last
+   */
+  *canonicalSequences(state) {
+    if (!state.isReachable) return;
+
+    // A prefix that a symmetry makes smaller can't start a minimal sequence
+    const isMinimal = moves => TRANSFORMS.every(name => {
+      for (const { position } of moves) {
+        const image = SymmetryUtils.mapIndex(position, name, state.size);
+        if (image !== position) return image > position;
+      }
+      return true;
+    });
+
+    for (const config of SymmetryUtils.getOrbit(state.config)) {
+      yield* MoveHistory._walk(TicTacToeState.empty(state.variant), config, [], isMinimal);
+    }
+  }
+
+  /**
+   * Play a sequence from the empty board
+   * @param {Object[]} moves - { position, mark }; mark may be left out except in wild play
+   * @param {Object} [variant] - { size, winLength, rules }, as in TicTacToeState
+   * @returns {TicTacToeState[]} Every state, from the empty board to the last move
+   */
+  static replay(moves, variant = {}) {
+    const states = [TicTacToeState.empty(variant)];
+    for (const { position, mark } of moves) {
+      states.push(states[states.length - 1].makeMove(position, mark ?? undefined));
+    }
+    return states;
+  }
+
+  /**
+   * Write moves in notation, e.g. 'b2 a1 c3'
+   * @param {Object[]} moves - { position, mark }
+   * @param {Object} [options]
+   * @param {number} [options.size] - Board side (3)
+   * @param {boolean} [options.marks] - Prefix each move with its mark (wild play)
+   * @returns {string}
+   */
+  static serialize(moves, { size = 3, marks = false } = {}) {
+    return moves.map(({ position, mark }) => {
+      const prefix = marks ? (mark === 2 ? 'O' : 'X') : '';
+      const column = String.fromCharCode(97 + position % size);
+      return `${prefix}${column}${Math.floor(position / size) + 1}`;
+    }).join(' ');
+  }
+
+  /**
+   * Read moves written in notation
+   * @param {string} text - e.g. 'b2 a1 c3' or 'Xb2 Oa1'
+   * @param {Object} [options]
+   * @param {number} [options.size] - Board side (3)
+   * @returns {Object[]} { position, mark }; mark is null when the move doesn't name it
+   */
+  static parse(text, { size = 3 } = {}) {
+    return String(text).trim().split(/\s+/).filter(Boolean).map(token => {
+      const match = MOVE.exec(token);
+      const column = match ? match[2].charCodeAt(0) - 97 : -1;
+      const row = match ? Number(match[3]) - 1 : -1;
+      if (column < 0 || column >= size || row < 0 || row >= size) {
+        throw new Error(`Invalid move: ${token}`);
+      }
+      return { position: row * size + column, mark: match[1] ? MARKS[match[1]] : null };
+    });
+  }
+
+  /**
+   * Forward search from a board towards a target config
+   * @private
+   */
+  static *_walk(current, target, moves, accept) {
+    if (current.turnCount === target.filter(value => value !== 0).length) {
+      yield moves;
+      return;
+    }
+
+    for (const position of current.getPossibleMoves()) {
+      const mark = target[position];
+      if (mark === 0 || !current.nextMarks.includes(mark)) continue;
+
+      const next = [...moves, { position, mark }];
+      if (!accept(next)) continue;
+      yield* this._walk(current.makeMove(position, mark), target, next, accept);
+    }
+  }
+
+  /**
+   * The moves that could have been played last, with the state before each
+   * @private
+   */
+  static _lastMoves(state) {
+    const moves = [];
+    state.config.forEach((mark, position) => {
+      if (mark === 0) return;
+      const config = [...state.config];
+      config[position] = 0;
+      const previous = new TicTacToeState(config, state.variant);
+      if (previous.isReachable && !previous.isTerminal && previous.nextMarks.includes(mark)) {
+        moves.push({ position, mark, previous });
+      }
+    });
+    return moves;
+  }
+
+  /**
+   * @private
+   */
+  static _key(state) {
+    return `${state.size}:${state.winLength}:${state.rules.id}:${state.id}`;
+  }
+}
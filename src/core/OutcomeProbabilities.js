@@ -0,0 +1,83 @@
+/**
+ * OutcomeProbabilities - Exact win/draw probabilities under a play model
+ *
+ * Enumerates every continuation of a state, weighting each move by the
+ * model's policy for the player to move. Results are memoized per canonical
+ * form: all built-in policies treat symmetric boards the same way.
+ */
+
+import { Solver } from './Solver.js';
+import { PlayModels } from './PlayModels.js';
+
+export class OutcomeProbabilities {
+  /**
+   * @param {Object|string} model - A PlayModels model or its identifier
+   * @param {Solver} [solver] - Shared solver used by perfect policies
+   */
+  constructor(model = PlayModels.random(), solver = new Solver()) {
+    this.model = typeof model === 'string' ? PlayModels.fromId(model) : model;
+    this.solver = solver;
+    // canonical ID -> { x, o, draw }
+    this.cache = new Map();
+  }
+
+  /**
+   * Probability of each outcome, as fractions that add up to 1
+   * @param {TicTacToeState} state
+   * @returns {{ x: number, o: number, draw: number }}
+   */
+  getOutcome(state) {
+    if (!state.isValidFirstPlayerX) {
+      throw new Error('Only states reachable with X first have outcome probabilities');
+    }
+
+    if (this.cache.has(state.canonical)) {
+      return this.cache.get(state.canonical);
+    }
+
+    let result;
+    if (state.isTerminal) {
+      const value = Solver.terminalValue(state);
+      result = { x: value > 0 ? 1 : 0, o: value < 0 ? 1 : 0, draw: value === 0 ? 1 : 0 };
+    } else {
+      result = { x: 0, o: 0, draw: 0 };
+      const policy = this.model.policies[state.nextPlayerFirstPlayerX];
+
+      for (const [move, p] of policy(state, this.solver)) {
+        if (p === 0) continue;
+        const child = this.getOutcome(state.makeMove(move));
+        result.x += p * child.x;
+        result.o += p * child.o;
+        result.draw += p * child.draw;
+      }
+    }
+
+    this.cache.set(state.canonical, result);
+    return result;
+  }
+
+  /**
+   * Integer percentages for the prob_x/prob_o/prob_empate columns.
+   * Rounded with the largest-remainder method so they always add up to 100.
+   * @param {TicTacToeState} state
+   * @returns {{ probX: number, probO: number, probEmpate: number, probModel: string }}
+   */
+  getProbabilities(state) {
+    const { x, o, draw } = this.getOutcome(state);
+    const exact = [x * 100, o * 100, draw * 100];
+    const rounded = exact.map(Math.floor);
+
+    const missing = 100 - rounded.reduce((sum, value) => sum + value, 0);
+    const byRemainder = [0, 1, 2].sort((a, b) => (exact[b] - rounded[b]) - (exact[a] - rounded[a]));
+    for (let i = 0; i < missing; i++) {
+      rounded[byRemainder[i]]++;
+    }
+
+    return {
+      probX: rounded[0],
+      probO: rounded[1],
+      probEmpate: rounded[2],
+      probModel: this.model.id,
+    };
+  }
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { OutcomeProbabilities } from './OutcomeProbabilities.js';
+import { StateGenerator } from './StateGenerator.js';
+import { TicTacToeState } from './TicTacToeState.js';
+
+const MODELS = ['random', 'perfect', 'perfect-vs-random', 'random-vs-perfect', 'epsilon-greedy:0.1'];
+const EMPTY = TicTacToeState.fromId('000000000');
+
+describe('OutcomeProbabilities', () => {
+  it('matches the known odds of random play from the empty board', () => {
+    const probabilities = new OutcomeProbabilities('random');
+    const { x, o, draw } = probabilities.getOutcome(EMPTY);
+
+    expect(x).toBeCloseTo(737 / 1260, 12);
+    expect(o).toBeCloseTo(363 / 1260, 12);
+    expect(draw).toBeCloseTo(160 / 1260, 12);
+    // 58.49 / 28.81 / 12.70: the two largest remainders get the missing points
+    expect(probabilities.getProbabilities(EMPTY)).toEqual({ probX: 58, probO: 29, probEmpate: 13, probModel: 'random' });
+  });
+
+  it('ends every perfect game in a draw', () => {
+    expect(new OutcomeProbabilities('perfect').getProbabilities(EMPTY)).toMatchObject({ probX: 0, probO: 0, probEmpate: 100 });
+  });
+
+  it('never lets the perfect player lose', () => {
+    expect(new OutcomeProbabilities('perfect-vs-random').getOutcome(EMPTY).o).toBe(0);
+    expect(new OutcomeProbabilities('random-vs-perfect').getOutcome(EMPTY).x).toBe(0);
+  });
+
+  it('gives a finished board its result', () => {
+    expect(new OutcomeProbabilities('random').getProbabilities(TicTacToeState.fromId('111220000')))
+      .toMatchObject({ probX: 100, probO: 0, probEmpate: 0 });
+  });
+
+  describe('every claimable board', () => {
+    let states;
+
+    beforeAll(() => {
+      // The generator reports its counts as it goes
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(console, 'time').mockImplementation(() => {});
+      vi.spyOn(console, 'timeEnd').mockImplementation(() => {});
+      const generator = new StateGenerator();
+      generator.generateAll();
+      states = generator.getCanonicalReachableStates();
+    });
+
+    afterAll(() => {
+      vi.restoreAllMocks();
+    });
+
+    it.each(MODELS)('adds up to 100 under %s', model => {
+      const probabilities = new OutcomeProbabilities(model);
+      const wrong = states.filter(state => {
+        const { x, o, draw } = probabilities.getOutcome(state);
+        const { probX, probO, probEmpate } = probabilities.getProbabilities(state);
+        return Math.abs(x + o + draw - 1) > 1e-9 || probX + probO + probEmpate !== 100;
+      });
+
+      expect(wrong.map(state => state.id)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * PlayModels - How each player chooses a move when estimating outcomes
+ *
+ * A model assigns a policy to each player (1 = X, 2 = O). A policy turns a
+ * state into a probability for each legal move, so outcome probabilities can
+ * be computed exactly by enumerating every continuation.
+ *
+ * Models are identified by a short string stored next to the probabilities
+ * in tic_tac_toe_states (prob_model), e.g. 'random' or 'epsilon-greedy:0.1'.
+ */
+
+export class PlayModels {
+  /**
+   * Uniform choice among all legal moves
+   * @returns {Function} (state, solver) => Map<position, probability>
+   */
+  static randomPolicy() {
+    return state => {
+      const moves = state.getPossibleMoves();
+      return new Map(moves.map(move => [move, 1 / moves.length]));
+    };
+  }
+
+  /**
+   * Uniform choice among the moves the solver considers optimal
+   * @returns {Function} (state, solver) => Map<position, probability>
+   */
+  static perfectPolicy() {
+    return (state, solver) => {
+      const moves = solver.getOptimalMoves(state);
+      return new Map(moves.map(move => [move, 1 / moves.length]));
+    };
+  }
+
+  /**
+   * Optimal play, except for a random move with probability epsilon
+   * @param {number} epsilon - Between 0 and 1
+   * @returns {Function} (state, solver) => Map<position, probability>
+   */
+  static epsilonGreedyPolicy(epsilon) {
+    const random = this.randomPolicy();
+    const perfect = this.perfectPolicy();
+
+    return (state, solver) => {
+      const distribution = new Map();
+      for (const [move, p] of random(state, solver)) {
+        distribution.set(move, epsilon * p);
+      }
+      for (const [move, p] of perfect(state, solver)) {
+        distribution.set(move, distribution.get(move) + (1 - epsilon) * p);
+      }
+      return distribution;
+    };
+  }
+
+  /**
+   * Both players choose uniformly at random
+   * @returns {Object} { id, policies }
+   */
+  static random() {
+    const policy = this.randomPolicy();
+    return { id: 'random', policies: { 1: policy, 2: policy } };
+  }
+
+  /**
+   * Both players play perfectly
+   * @returns {Object} { id, policies }
+   */
+  static perfect() {
+    const policy = this.perfectPolicy();
+    return { id: 'perfect', policies: { 1: policy, 2: policy } };
+  }
+
+  /**
+   * One player plays perfectly, the other at random
+   * @param {number} perfectPlayer - 1 (X perfect) or 2 (O perfect)
+   * @returns {Object} { id, policies }
+   */
+  static perfectVsRandom(perfectPlayer = 1) {
+    const perfect = this.perfectPolicy();
+    const random = this.randomPolicy();
+
+    return perfectPlayer === 1
+      ? { id: 'perfect-vs-random', policies: { 1: perfect, 2: random } }
+      : { id: 'random-vs-perfect', policies: { 1: random, 2: perfect } };
+  }
+
+  /**
+   * Both players play perfectly but slip into a random move with probability epsilon
+   * @param {number} epsilon - Between 0 and 1
+   * @returns {Object} { id, policies }
+   */
+  static epsilonGreedy(epsilon = 0.1) {
+    if (typeof epsilon !== 'number' || epsilon < 0 || epsilon > 1) {
+      throw new Error('Epsilon must be a number between 0 and 1');
+    }
+
+    const policy = this.epsilonGreedyPolicy(epsilon);
+    return { id: `epsilon-greedy:${epsilon}`, epsilon, policies: { 1: policy, 2: policy } };
+  }
+
+  /**
+   * Build a model from its stored identifier
+   * @param {string} id - e.g. 'random', 'perfect-vs-random', 'epsilon-greedy:0.2'
+   * @returns {Object} { id, policies }
+   */
+  static fromId(id) {
+    const [name, param] = String(id).split(':');
+
+    switch (name) {
+      case 'random': return this.random();
+      case 'perfect': return this.perfect();
+      case 'perfect-vs-random': return this.perfectVsRandom(1);
+      case 'random-vs-perfect': return this.perfectVsRandom(2);
+      case 'epsilon-greedy': return this.epsilonGreedy(param === undefined ? undefined : Number(param));
+      default: throw new Error(`Unknown play model: ${id}`);
+    }
+  }
+
+  /**
+   * Describe a model for the claim card, as a message of the i18n catalogs
+   * (probModels.*), e.g. "si ambos juegan al azar"
+   * @param {string} id - Model identifier
+   * @returns {{ key: string, params: Object }|null} null for unknown models
+   */
+  static describe(id) {
+    const [name, param] = String(id).split(':');
+
+    switch (name) {
+      case 'random':
+      case 'perfect':
+      case 'perfect-vs-random':
+      case 'random-vs-perfect':
+        return { key: `probModels.${name}`, params: {} };
+      case 'epsilon-greedy':
+        return { key: 'probModels.epsilon-greedy', params: { percent: Math.round(Number(param ?? 0.1) * 100) } };
+      default: return null;
+    }
+  }
+}
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { PlayModels } from './PlayModels.js';
+import { t, SUPPORTED_LOCALES } from '../i18n/index.js';
+
+describe('PlayModels.describe', () => {
+  it('describes every model with a message of each catalog', () => {
+    const ids = ['random', 'perfect', 'perfect-vs-random', 'random-vs-perfect', 'epsilon-greedy:0.2'];
+
+    for (const id of ids) {
+      const { key, params } = PlayModels.describe(id);
+      for (const locale of SUPPORTED_LOCALES) {
+        expect(t(key, params, locale)).not.toBe(key);
+      }
+    }
+  });
+
+  it('passes the error rate of epsilon-greedy as a percent', () => {
+    const { key, params } = PlayModels.describe('epsilon-greedy:0.2');
+
+    expect(params).toEqual({ percent: 20 });
+    expect(t(key, params, 'es')).toBe('si ambos juegan bien pero fallan el 20% de las veces');
+    expect(PlayModels.describe('epsilon-greedy').params).toEqual({ percent: 10 });
+  });
+
+  it('knows nothing of unknown models', () => {
+    expect(PlayModels.describe('minimax')).toBeNull();
+  });
+});
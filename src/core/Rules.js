@@ -0,0 +1,88 @@
+/**
+ * Rules - Which game a board belongs to
+ *
+ * A rules object tells TicTacToeState and StateGenerator who moves first,
+ * which marks each move may place and what completing a line means:
+ *
+ *   standard  X moves first, a line wins
+ *   misere    X moves first, a line loses
+ *   o-first   O moves first, a line wins
+ *   wild      each move places X or O, the player who completes a line wins
+ *   notakto   both players place X, the player who completes a line loses
+ *
+ * In standard, misere and o-first play each player owns a mark, so players
+ * are named by their mark (1 = X, 2 = O). In wild and notakto play they share
+ * the marks, so 1 is the player who moves first and 2 the other one.
+ *
+ * Rules are identified by the short strings above, e.g. Rules.fromId('misere').
+ */
+
+const RULES = {
+  standard: Object.freeze({ id: 'standard', firstPlayer: 1, misere: false, wild: false, singleMark: false }),
+  misere: Object.freeze({ id: 'misere', firstPlayer: 1, misere: true, wild: false, singleMark: false }),
+  'o-first': Object.freeze({ id: 'o-first', firstPlayer: 2, misere: false, wild: false, singleMark: false }),
+  wild: Object.freeze({ id: 'wild', firstPlayer: 1, misere: false, wild: true, singleMark: false }),
+  notakto: Object.freeze({ id: 'notakto', firstPlayer: 1, misere: true, wild: false, singleMark: true }),
+};
+
+export class Rules {
+  /**
+   * X moves first and three in a row wins
+   * @returns {Object} { id, firstPlayer, misere, wild, singleMark }
+   */
+  static standard() {
+    return RULES.standard;
+  }
+
+  /**
+   * X moves first and whoever completes a line loses
+   * @returns {Object} { id, firstPlayer, misere, wild, singleMark }
+   */
+  static misere() {
+    return RULES.misere;
+  }
+
+  /**
+   * O moves first and three in a row wins
+   * @returns {Object} { id, firstPlayer, misere, wild, singleMark }
+   */
+  static oFirst() {
+    return RULES['o-first'];
+  }
+
+  /**
+   * Either mark on any turn; whoever completes a line of either mark wins
+   * @returns {Object} { id, firstPlayer, misere, wild, singleMark }
+   */
+  static wild() {
+    return RULES.wild;
+  }
+
+  /**
+   * Notakto: both players place X and whoever completes a line loses
+   * @returns {Object} { id, firstPlayer, misere, wild, singleMark }
+   */
+  static notakto() {
+    return RULES.notakto;
+  }
+
+  /**
+   * Every available rules object
+   * @returns {Object[]}
+   */
+  static all() {
+    return Object.values(RULES);
+  }
+
+  /**
+   * Get rules by identifier
+   * @param {string} id - 'standard', 'misere', 'o-first', 'wild' or 'notakto'
+   * @returns {Object} { id, firstPlayer, misere, wild, singleMark }
+   */
+  static fromId(id) {
+    if (!Object.hasOwn(RULES, id)) {
+      throw new Error(`Unknown rules: ${id}`);
+    }
+    return RULES[id];
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Solver - Game-theoretic analysis of tic-tac-toe states (X moves first)
+ *
+ * Computes the minimax value of every state together with how many plies
+ * the game lasts under optimal play, the optimal moves and a score for
+ * each legal move. Values are memoized per canonical form, since symmetric
+ * boards share the same value and distance.
+ *
+ * Values are always from X's point of view: 1 = X wins, -1 = O wins, 0 = draw.
+ */
+
+export class Solver {
+  constructor() {
+    // canonical ID -> { value, distance }
+    this.cache = new Map();
+  }
+
+  /**
+   * Get the minimax value and distance to the end of the game under optimal play.
+   * The winning side finishes as fast as possible and the losing side delays.
+   * @param {TicTacToeState} state
+   * @returns {{ value: number, distance: number }}
+   */
+  evaluate(state) {
+    if (!state.isValidFirstPlayerX) {
+      throw new Error('Only states reachable with X first can be solved');
+    }
+
+    if (this.cache.has(state.canonical)) {
+      return this.cache.get(state.canonical);
+    }
+
+    let result;
+    if (state.isTerminal) {
+      result = { value: Solver.terminalValue(state), distance: 0 };
+    } else {
+      const scores = this._scoreMoves(state);
+      const best = Solver._bestScore(state, scores);
+      const { value, distance } = scores.find(move => move.score === best);
+      result = { value, distance };
+    }
+
+    this.cache.set(state.canonical, result);
+    return result;
+  }
+
+  /**
+   * Full analysis of a state
+   * @param {TicTacToeState} state
+   * @returns {Object} { value, outcome, distance, optimalMoves, moveScores }
+   */
+  solve(state) {
+    const { value, distance } = this.evaluate(state);
+    const moveScores = state.isTerminal ? [] : this._scoreMoves(state);
+    const best = Solver._bestScore(state, moveScores);
+
+    return {
+      value,
+      outcome: Solver.outcomeName(value),
+      distance,
+      optimalMoves: moveScores.filter(move => move.score === best).map(move => move.position),
+      moveScores,
+    };
+  }
+
+  /**
+   * Get the optimal moves (cell indices) for the player to move
+   * @param {TicTacToeState} state
+   * @returns {number[]}
+   */
+  getOptimalMoves(state) {
+    return this.solve(state).optimalMoves;
+  }
+
+  /**
+   * Score every legal move of a non-terminal state
+   * @private
+   * @returns {Object[]} [{ position, value, distance, score }]
+   */
+  _scoreMoves(state) {
+    const maxDistance = state.config.length + 1;
+
+    return state.getPossibleMoves().map(position => {
+      const child = this.evaluate(state.makeMove(position));
+      const distance = child.distance + 1;
+      // Faster wins and slower losses score better for the winning/losing side
+      const score = child.value * (maxDistance - distance);
+      return { position, value: child.value, distance, score };
+    });
+  }
+
+  /**
+   * Best reachable score for the player to move (X maximizes, O minimizes)
+   * @private
+   */
+  static _bestScore(state, moveScores) {
+    const scores = moveScores.map(move => move.score);
+    return state.nextPlayerFirstPlayerX === 1 ? Math.max(...scores) : Math.min(...scores);
+  }
+
+  /**
+   * Value of a finished game
+   * @param {TicTacToeState} state
+   * @returns {number}
+   */
+  static terminalValue(state) {
+    if (state.winners.includes(1)) return 1;
+    if (state.winners.includes(2)) return -1;
+    return 0;
+  }
+
+  /**
+   * Human-readable name of a value
+   * @param {number} value
+   * @returns {'x'|'o'|'draw'}
+   */
+  static outcomeName(value) {
+    if (value > 0) return 'x';
+    if (value < 0) return 'o';
+    return 'draw';
+  }
+}
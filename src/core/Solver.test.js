@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { Solver } from './Solver.js';
+import { TicTacToeState } from './TicTacToeState.js';
+
+describe('Solver', () => {
+  const solver = new Solver();
+  const solve = id => solver.solve(TicTacToeState.fromId(id));
+
+  it('knows the empty board is a draw where every opening is optimal', () => {
+    expect(solve('000000000')).toMatchObject({
+      value: 0,
+      outcome: 'draw',
+      distance: 9,
+      optimalMoves: [0, 1, 2, 3, 4, 5, 6, 7, 8],
+    });
+  });
+
+  it('takes a win in one', () => {
+    // X X .
+    // O O .
+    // . . .
+    expect(solve('110220000')).toMatchObject({ value: 1, outcome: 'x', distance: 1, optimalMoves: [2] });
+  });
+
+  it('plays the fork that wins soonest', () => {
+    // X X O
+    // O . .      The center threatens two lines at once
+    // . . .
+    expect(solve('112200000')).toMatchObject({ value: 1, distance: 3, optimalMoves: [4] });
+  });
+
+  it('scores every legal move', () => {
+    const { moveScores } = solve('110220000');
+
+    expect(moveScores.map(move => move.position)).toEqual([2, 5, 6, 7, 8]);
+    expect(moveScores.find(move => move.position === 2)).toMatchObject({ value: 1, distance: 1 });
+    // Leaving the line open lets O win on the next move
+    expect(moveScores.find(move => move.position === 6)).toMatchObject({ value: -1, distance: 2 });
+  });
+
+  it('has nothing left to play on a finished board', () => {
+    expect(solve('111220000')).toMatchObject({ value: 1, distance: 0, optimalMoves: [], moveScores: [] });
+  });
+
+  it('gives symmetric boards the same value', () => {
+    expect(solver.evaluate(TicTacToeState.fromId('100000000'))).toEqual(solver.evaluate(TicTacToeState.fromId('000000001')));
+  });
+
+  it('only solves boards reachable with X first', () => {
+    expect(() => solver.evaluate(TicTacToeState.fromId('220000000'))).toThrow('Only states reachable with X first can be solved');
+  });
+});
@@ -3,38 +3,84 @@
  * 
  * This class creates all possible board configurations and provides
  * filtering and querying capabilities.
+ *
+ * Other variants (a size×size board, winLength in a row) have far too many
+ * configurations to enumerate (3^16 for 4×4), so generateReachable() walks
+ * the game tree from the empty board instead.
+ *
+ * The rules option (see Rules.js) picks the game: the game tree, the
+ * canonical states and the *ForRules statistics follow it, while the
+ * *FirstPlayerX queries always describe standard play.
  */
 
 import { TicTacToeState } from './TicTacToeState.js';
+import { Rules } from './Rules.js';
+import { SymmetryUtils } from './SymmetryUtils.js';
+
+// generateAll() enumerates 3^cells boards: 3×3 is the biggest square that fits
+const MAX_ENUMERATED_CELLS = 9;
 
 export class StateGenerator {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.size] - Board side (3)
+   * @param {number} [options.winLength] - Marks in a row that win (the board side)
+   * @param {Object} [options.rules] - A Rules object (Rules.standard())
+   */
+  constructor({ size = 3, winLength = size, rules = Rules.standard() } = {}) {
+    this.size = size;
+    this.winLength = winLength;
+    this.rules = rules;
     this.allStates = [];
+    // State ID -> state, for every generated state
+    this.stateMap = new Map();
     this.canonicalMap = new Map();
+
+    // Game-tree adjacency (state ID -> state IDs), built lazily
+    this.childrenMap = null;
+    this.parentsMap = null;
+  }
+
+  /**
+   * Board variant of the generated states
+   * @returns {{ size: number, winLength: number, rules: Object }}
+   */
+  get variant() {
+    return { size: this.size, winLength: this.winLength, rules: this.rules };
   }
 
   /**
-   * Generate all 19,683 states
+   * Generate all 19,683 states (every 3^cells configuration of the board)
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with (generated, total) after each state
    * @returns {TicTacToeState[]}
    */
-  generateAll() {
+  generateAll({ onProgress } = {}) {
+    const cells = this.size * this.size;
+    if (cells > MAX_ENUMERATED_CELLS) {
+      throw new Error(`A ${this.size}×${this.size} board has too many configurations: use generateReachable()`);
+    }
+
     console.time('generateAll');
 
-    this.allStates = [];
+    this._reset();
 
     // Generate all 3^9 = 19,683 combinations
-    for (let i = 0; i < 19683; i++) {
-      // Convert decimal to base-3, pad to 9 digits
-      const id = i.toString(3).padStart(9, '0');
+    const total = 3 ** cells;
+    for (let i = 0; i < total; i++) {
+      // Convert decimal to base-3, pad to one digit per cell
+      const id = i.toString(3).padStart(cells, '0');
       const config = id.split('').map(Number);
-      const state = new TicTacToeState(config);
+      const state = new TicTacToeState(config, this.variant);
 
       this.allStates.push(state);
+      this.stateMap.set(state.id, state);
 
       // Build canonical map
       if (!this.canonicalMap.has(state.canonical)) {
         this.canonicalMap.set(state.canonical, state);
       }
+      onProgress?.(i + 1, total);
     }
 
     console.timeEnd('generateAll');
@@ -46,14 +92,72 @@ export class StateGenerator {
     return this.allStates;
   }
 
+  /**
+   * Generate the states reachable from the empty board under the generator's
+   * rules, level by level (turn by turn). Works on any board variant; on 3×3
+   * with standard rules it yields the 5,478 legal states.
+   * @param {Object} [options]
+   * @param {number} [options.maxTurns] - Stop after this many moves, to explore big boards
+   * @returns {TicTacToeState[]} States in order of turn count
+   */
+  generateReachable({ maxTurns = Infinity } = {}) {
+    console.time('generateReachable');
+
+    this._reset();
+
+    let level = [TicTacToeState.empty(this.variant)];
+    this.stateMap.set(level[0].id, level[0]);
+    for (let turn = 0; level.length > 0; turn++) {
+      level.forEach(state => this.allStates.push(state));
+      if (turn >= maxTurns) break;
+
+      const next = [];
+      for (const state of level) {
+        for (const position of state.getPossibleMoves()) {
+          for (const mark of state.nextMarks) {
+            const child = state.makeMove(position, mark);
+            if (this.stateMap.has(child.id)) continue;
+            this.stateMap.set(child.id, child);
+            next.push(child);
+          }
+        }
+      }
+      level = next;
+    }
+
+    // Symmetric boards are reachable too, so every canonical form is its own
+    // representative, as with generateAll()
+    for (const state of this.allStates) {
+      if (!this.canonicalMap.has(state.canonical)) {
+        this.canonicalMap.set(state.canonical, this.stateMap.get(state.canonical));
+      }
+    }
+
+    console.timeEnd('generateReachable');
+    console.log(`✅ Reached ${this.allStates.length} states on ${this.size}×${this.size}, ${this.winLength} in a row, ${this.rules.id} rules (${this.canonicalMap.size} canonical forms)`);
+
+    return this.allStates;
+  }
+
+  /**
+   * Forget previously generated states
+   * @private
+   */
+  _reset() {
+    this.allStates = [];
+    this.stateMap = new Map();
+    this.canonicalMap = new Map();
+    this.childrenMap = null;
+    this.parentsMap = null;
+  }
+
   /**
    * Get state by ID
-   * @param {string} id - 9-digit base-3 string
+   * @param {string} id - Base-3 string, one digit per cell
    * @returns {TicTacToeState|undefined}
    */
   getStateById(id) {
-    const decimalId = parseInt(id, 3);
-    return this.allStates[decimalId];
+    return this.stateMap.get(id);
   }
 
   /**
@@ -86,9 +190,58 @@ export class StateGenerator {
    * @returns {TicTacToeState[]}
    */
   getCanonicalValidStatesFirstPlayerX() {
-    return Array.from(this.canonicalMap.values()).filter(state =>
-      this.getValidStatesFirstPlayerX().some(s => s.canonical === state.canonical)
-    );
+    const canonicalIds = new Set(this.getValidStatesFirstPlayerX().map(state => state.canonical));
+    return this.getCanonicalStates().filter(state => canonicalIds.has(state.canonical));
+  }
+
+  /**
+   * Get all valid states under the generator's rules
+   * @returns {TicTacToeState[]}
+   */
+  getValidStatesForRules() {
+    return this.filterByProperty(state => state.isValidForRules);
+  }
+
+  /**
+   * Get the canonical states of the valid states under the generator's rules
+   * @returns {TicTacToeState[]}
+   */
+  getCanonicalValidStatesForRules() {
+    const canonicalIds = new Set(this.getValidStatesForRules().map(state => state.canonical));
+    return this.getCanonicalStates().filter(state => canonicalIds.has(state.canonical));
+  }
+
+  /**
+   * Get the states a real game can reach under the generator's rules
+   * (the 5,478 legal positions of standard 3×3 play)
+   * @returns {TicTacToeState[]}
+   */
+  getReachableStates() {
+    return this.filterByProperty(state => state.isReachable);
+  }
+
+  /**
+   * Get the canonical states a real game can reach (the 765 claimable states)
+   * @returns {TicTacToeState[]}
+   */
+  getCanonicalReachableStates() {
+    return this.getCanonicalStates().filter(state => state.isReachable);
+  }
+
+  /**
+   * Get the distinct reachable boards (under the generator's rules, X first
+   * by default) that share a canonical form.
+   * Their count is the state's rarity (rareza_count).
+   * @param {string} canonicalId - Canonical base-3 string, one digit per cell (any orientation works)
+   * @returns {TicTacToeState[]} The orbit of the board, the given orientation first
+   */
+  getEquivalentStates(canonicalId) {
+    const state = this.getStateById(canonicalId);
+    if (!state) return [];
+
+    return SymmetryUtils.getOrbit(state.config)
+      .map(config => this.getStateById(config.join('')))
+      .filter(equivalent => equivalent && equivalent.isReachable);
   }
 
   /**
@@ -124,6 +277,228 @@ export class StateGenerator {
     return Array.from(this.canonicalMap.values());
   }
 
+  /**
+   * Build the game-tree adjacency maps for states reachable under the
+   * generator's rules (X first by default)
+   * @private
+   */
+  _buildGraph() {
+    if (this.childrenMap) return;
+
+    if (this.allStates.length === 0) {
+      throw new Error('States not generated. Call generateAll() first');
+    }
+
+    this.childrenMap = new Map();
+    this.parentsMap = new Map();
+
+    for (const state of this.allStates) {
+      if (!state.isValidForRules) continue;
+      this.childrenMap.set(state.id, []);
+      if (!this.parentsMap.has(state.id)) this.parentsMap.set(state.id, []);
+
+      for (const position of state.getPossibleMoves()) {
+        for (const mark of state.nextMarks) {
+          const childId = state.makeMove(position, mark).id;
+          // Beyond maxTurns of generateReachable()
+          if (!this.stateMap.has(childId)) continue;
+          this.childrenMap.get(state.id).push(childId);
+
+          if (!this.parentsMap.has(childId)) this.parentsMap.set(childId, []);
+          this.parentsMap.get(childId).push(state.id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Resolve a list of state IDs to their state instances
+   * @private
+   */
+  _toStates(ids) {
+    return ids.map(id => this.getStateById(id));
+  }
+
+  /**
+   * Collect every state reachable from a state by following an adjacency map
+   * @private
+   * @param {string} id - Starting state ID (excluded from the result)
+   * @param {Function} next - Maps a state ID to its neighbour IDs
+   * @returns {string[]}
+   */
+  _traverse(id, next) {
+    const visited = new Set([id]);
+    const queue = [id];
+    const result = [];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const neighbour of next(current)) {
+        if (visited.has(neighbour)) continue;
+        visited.add(neighbour);
+        result.push(neighbour);
+        queue.push(neighbour);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Breadth-first shortest path between two nodes of an adjacency function
+   * @private
+   * @returns {string[]|null} IDs from start to end (inclusive), or null if unreachable
+   */
+  _shortestPath(fromId, toId, next) {
+    const previous = new Map([[fromId, null]]);
+    const queue = [fromId];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (current === toId) {
+        const path = [];
+        for (let id = toId; id !== null; id = previous.get(id)) path.unshift(id);
+        return path;
+      }
+      for (const neighbour of next(current)) {
+        if (previous.has(neighbour)) continue;
+        previous.set(neighbour, current);
+        queue.push(neighbour);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the states that can follow a state with one move under the
+   * generator's rules (X first by default)
+   * @param {string} id - Base-3 string, one digit per cell
+   * @returns {TicTacToeState[]}
+   */
+  getChildren(id) {
+    this._buildGraph();
+    return this._toStates(this.childrenMap.get(id) || []);
+  }
+
+  /**
+   * Get the states that lead into a state with one move under the
+   * generator's rules (X first by default)
+   * @param {string} id - Base-3 string, one digit per cell
+   * @returns {TicTacToeState[]}
+   */
+  getParents(id) {
+    this._buildGraph();
+    return this._toStates(this.parentsMap.get(id) || []);
+  }
+
+  /**
+   * Get every state from which a state can be reached, nearest first
+   * @param {string} id - Base-3 string, one digit per cell
+   * @returns {TicTacToeState[]}
+   */
+  getAncestors(id) {
+    this._buildGraph();
+    return this._toStates(this._traverse(id, current => this.parentsMap.get(current) || []));
+  }
+
+  /**
+   * Get every state a state can become, nearest first
+   * @param {string} id - Base-3 string, one digit per cell
+   * @returns {TicTacToeState[]}
+   */
+  getDescendants(id) {
+    this._buildGraph();
+    return this._toStates(this._traverse(id, current => this.childrenMap.get(current) || []));
+  }
+
+  /**
+   * Get the shortest sequence of moves from one state to another
+   * @param {string} fromId - Starting state ID
+   * @param {string} toId - Target state ID
+   * @returns {TicTacToeState[]|null} States from start to target (inclusive), or null if unreachable
+   */
+  getPath(fromId, toId) {
+    this._buildGraph();
+    const path = this._shortestPath(fromId, toId, current => this.childrenMap.get(current) || []);
+    return path && this._toStates(path);
+  }
+
+  /**
+   * Map state IDs to the unique canonical states they belong to
+   * @private
+   */
+  _toCanonicalIds(ids) {
+    return Array.from(new Set(ids.map(id => this.getStateById(id).canonical)));
+  }
+
+  /**
+   * Get canonical IDs reachable with one move from any board of a canonical form
+   * @private
+   */
+  _canonicalChildIds(canonicalId) {
+    this._buildGraph();
+    return this._toCanonicalIds(this.childrenMap.get(canonicalId) || []);
+  }
+
+  /**
+   * Get canonical IDs leading into any board of a canonical form with one move
+   * @private
+   */
+  _canonicalParentIds(canonicalId) {
+    this._buildGraph();
+    return this._toCanonicalIds(this.parentsMap.get(canonicalId) || []);
+  }
+
+  /**
+   * Get the canonical states that can follow a canonical state with one move.
+   * Symmetric boards have symmetric children, so the canonical representative
+   * is enough to cover the whole equivalence class.
+   * @param {string} canonicalId - Canonical base-3 string, one digit per cell
+   * @returns {TicTacToeState[]}
+   */
+  getCanonicalChildren(canonicalId) {
+    return this._toStates(this._canonicalChildIds(canonicalId));
+  }
+
+  /**
+   * Get the canonical states that lead into a canonical state with one move
+   * @param {string} canonicalId - Canonical base-3 string, one digit per cell
+   * @returns {TicTacToeState[]}
+   */
+  getCanonicalParents(canonicalId) {
+    return this._toStates(this._canonicalParentIds(canonicalId));
+  }
+
+  /**
+   * Get every canonical state from which a canonical state can be reached
+   * @param {string} canonicalId - Canonical base-3 string, one digit per cell
+   * @returns {TicTacToeState[]}
+   */
+  getCanonicalAncestors(canonicalId) {
+    return this._toStates(this._traverse(canonicalId, current => this._canonicalParentIds(current)));
+  }
+
+  /**
+   * Get every canonical state a canonical state can become
+   * @param {string} canonicalId - Canonical base-3 string, one digit per cell
+   * @returns {TicTacToeState[]}
+   */
+  getCanonicalDescendants(canonicalId) {
+    return this._toStates(this._traverse(canonicalId, current => this._canonicalChildIds(current)));
+  }
+
+  /**
+   * Get the shortest path between two canonical states, up to symmetry
+   * @param {string} fromCanonicalId - Starting canonical ID
+   * @param {string} toCanonicalId - Target canonical ID
+   * @returns {TicTacToeState[]|null} Canonical states from start to target, or null if unreachable
+   */
+  getCanonicalPath(fromCanonicalId, toCanonicalId) {
+    const path = this._shortestPath(fromCanonicalId, toCanonicalId, current => this._canonicalChildIds(current));
+    return path && this._toStates(path);
+  }
+
   /**
    * Get comprehensive statistics
    * @returns {Object}
@@ -138,7 +513,7 @@ export class StateGenerator {
 
     // Count by turn
     const byTurnCount = {};
-    for (let i = 0; i <= 9; i++) {
+    for (let i = 0; i <= this.size * this.size; i++) {
       byTurnCount[i] = this.getStatesByTurnCount(i).length;
     }
 
@@ -171,6 +546,12 @@ export class StateGenerator {
     );
     const canonicalFirstPlayerX = Array.from(new Set(validFirstPlayerX.map(state => state.canonical)));
 
+    // Count statistics under the generator's rules (players as in Rules.js)
+    const validForRules = this.getValidStatesForRules();
+    const terminalForRules = validForRules.filter(state => state.isTerminal);
+    const canonicalForRules = Array.from(new Set(validForRules.map(state => state.canonical)));
+    const reachable = this.getReachableStates();
+
     return {
       total,
       valid: valid.length,
@@ -195,6 +576,16 @@ export class StateGenerator {
       canonicalFirstPlayerX: canonicalFirstPlayerX.length,
       canonicalPercentageFirstPlayerX: ((canonicalFirstPlayerX.length / validFirstPlayerX.length) * 100).toFixed(2) + '%',
 
+      rules: this.rules.id,
+      validForRules: validForRules.length,
+      canonicalForRules: canonicalForRules.length,
+      reachable: reachable.length,
+      canonicalReachable: new Set(reachable.map(state => state.canonical)).size,
+      terminalForRules: terminalForRules.length,
+      firstPlayerWinsForRules: terminalForRules.filter(state => state.outcome === this.rules.firstPlayer).length,
+      secondPlayerWinsForRules: terminalForRules.filter(state => state.outcome === 3 - this.rules.firstPlayer).length,
+      drawsForRules: terminalForRules.filter(state => state.outcome === 0).length,
+
       byTurnCount
     };
   }
@@ -227,6 +618,15 @@ export class StateGenerator {
     console.log(`  - Draws:            ${stats.drawsFirstPlayerX.toLocaleString()}`);
     console.log(`Terminal states:      ${stats.terminalFirstPlayerX.toLocaleString()}`);
     console.log(`Canonical forms (X first): ${stats.canonicalFirstPlayerX.toLocaleString()} (${stats.canonicalPercentageFirstPlayerX})`);
+    console.log('');
+    console.log(`Under ${stats.rules} rules\n`);
+    console.log(`Valid states:         ${stats.validForRules.toLocaleString()}`);
+    console.log(`Canonical forms:      ${stats.canonicalForRules.toLocaleString()}`);
+    console.log(`Reachable in a game:  ${stats.reachable.toLocaleString()} (${stats.canonicalReachable.toLocaleString()} canonical)`);
+    console.log(`Terminal states:      ${stats.terminalForRules.toLocaleString()}`);
+    console.log(`  - First player wins:  ${stats.firstPlayerWinsForRules.toLocaleString()}`);
+    console.log(`  - Second player wins: ${stats.secondPlayerWinsForRules.toLocaleString()}`);
+    console.log(`  - Draws:              ${stats.drawsForRules.toLocaleString()}`);
     console.log('─────────────────────────────\n');
 
     return stats;
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { StateGenerator } from './StateGenerator.js';
+import { Rules } from './Rules.js';
+
+describe('Reachability', () => {
+  beforeAll(() => {
+    // The generators report their counts as they go
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'time').mockImplementation(() => {});
+    vi.spyOn(console, 'timeEnd').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('standard play', () => {
+    let generator;
+
+    beforeAll(() => {
+      generator = new StateGenerator();
+      generator.generateAll();
+    });
+
+    it('has the known 5,478 reachable and 765 canonical positions', () => {
+      expect(generator.getReachableStates()).toHaveLength(5478);
+      expect(generator.getCanonicalReachableStates()).toHaveLength(765);
+    });
+
+    it('has the known 958 terminal positions: 626 won by X, 316 by O, 16 draws', () => {
+      const terminal = generator.getReachableStates().filter(state => state.isTerminal);
+
+      expect(terminal).toHaveLength(958);
+      expect(terminal.filter(state => state.winners.includes(1))).toHaveLength(626);
+      expect(terminal.filter(state => state.winners.includes(2))).toHaveLength(316);
+      expect(terminal.filter(state => !state.hasWinner)).toHaveLength(16);
+    });
+
+    it('explains why a board with valid counts is unreachable', () => {
+      const state = generator.getStateById('111222100');
+
+      expect(state.isValid).toBe(true);
+      expect(state.isReachable).toBe(false);
+      expect(state.reachabilityReason).toBe('Both players have a line');
+    });
+  });
+
+  describe('game tree', () => {
+    let generator;
+    const ids = states => states.map(state => state.id);
+
+    beforeAll(() => {
+      generator = new StateGenerator();
+      generator.generateAll();
+    });
+
+    it('opens with 9 moves, 3 of them different up to symmetry', () => {
+      expect(generator.getChildren('000000000')).toHaveLength(9);
+      expect(ids(generator.getCanonicalChildren('000000000'))).toEqual(['000000001', '000000010', '000010000']);
+    });
+
+    it('finds the boards a move comes from', () => {
+      expect(ids(generator.getParents('100000000'))).toEqual(['000000000']);
+      expect(ids(generator.getParents('000012021'))).toEqual(['000010021', '000012001']);
+      expect(ids(generator.getAncestors('100000000'))).toEqual(['000000000']);
+    });
+
+    it('finds the shortest game between two boards', () => {
+      expect(ids(generator.getPath('000000000', '000012021')))
+        .toEqual(['000000000', '000010000', '000012000', '000012001', '000012021']);
+      expect(ids(generator.getCanonicalPath('000000000', '000012021')))
+        .toEqual(['000000000', '000000001', '000000021', '000010021', '000012021']);
+    });
+
+    it('has no path to unreachable or earlier boards', () => {
+      expect(generator.getPath('000000000', '111222100')).toBeNull();
+      expect(generator.getPath('000012021', '000000000')).toBeNull();
+    });
+
+    it('stops at finished games', () => {
+      const descendants = generator.getDescendants('110220000');
+
+      expect(ids(descendants)).toContain('111220000');
+      expect(generator.getChildren('111220000')).toEqual([]);
+      // Nothing follows a won board
+      descendants.forEach(state => {
+        expect(generator.getParents(state.id).some(parent => parent.isTerminal)).toBe(false);
+      });
+    });
+  });
+
+  it.each(Rules.all().map(rules => [rules.id, rules]))(
+    'finds the same boards enumerating configurations and walking the game tree (%s)',
+    (_, rules) => {
+      const all = new StateGenerator({ rules });
+      all.generateAll();
+      const played = new StateGenerator({ rules });
+      played.generateReachable();
+
+      const reachableIds = all.getReachableStates().map(state => state.id).sort();
+      const playedIds = played.allStates.map(state => state.id).sort();
+      expect(reachableIds).toEqual(playedIds);
+    }
+  );
+});
@@ -0,0 +1,350 @@
+/**
+ * StateIndex - Compact, precomputed index of every board configuration
+ *
+ * StateGenerator.generateAll() builds a TicTacToeState for each of the 3^9
+ * configurations and computes 8 symmetries for every one. The index keeps
+ * only what the app queries, in typed arrays indexed by decimal ID:
+ *
+ *   canonical  Uint16  decimal ID of the canonical form
+ *   transform  Uint8   index in TRANSFORMS of the symmetry that gives it
+ *   flags      Uint8   FLAGS bits (validity, reachability, end, lines)
+ *
+ * It is built once at build time (src/oneoffs/build-state-index.js) and
+ * shipped as a binary file:
+ *
+ *   bytes 0-3   'GATO'
+ *   byte  4     format version (VERSION)
+ *   byte  5     board side
+ *   byte  6     win length
+ *   byte  7     rules, as an index in Rules.all()
+ *   bytes 8-11  number of configurations (uint32, little endian)
+ *   then        canonical (2 bytes each, little endian), transform, flags
+ *
+ * Queries answer from the arrays; TicTacToeState objects are only created,
+ * and memoized, when a caller asks for one.
+ */
+
+import { TicTacToeState } from './TicTacToeState.js';
+import { SymmetryUtils, TRANSFORMS } from './SymmetryUtils.js';
+import { Rules } from './Rules.js';
+
+const MAGIC = 'GATO';
+const VERSION = 1;
+const HEADER_BYTES = 12;
+
+export const FLAGS = Object.freeze({
+  valid: 1,
+  validFirstPlayerX: 2,
+  validForRules: 4,
+  reachable: 8,
+  terminal: 16,
+  xLine: 32,
+  oLine: 64,
+});
+
+export class StateIndex {
+  /**
+   * @param {Object} data
+   * @param {number} data.size - Board side
+   * @param {number} data.winLength - Marks in a row that win
+   * @param {Object} data.rules - A Rules object
+   * @param {Uint16Array} data.canonical - Canonical decimal ID per decimal ID
+   * @param {Uint8Array} data.transform - TRANSFORMS index per decimal ID
+   * @param {Uint8Array} data.flags - FLAGS bits per decimal ID
+   */
+  constructor({ size, winLength, rules, canonical, transform, flags }) {
+    this.size = size;
+    this.winLength = winLength;
+    this.rules = rules;
+    this.canonical = canonical;
+    this.transform = transform;
+    this.flags = flags;
+
+    // State ID -> TicTacToeState, created on first request
+    this.cache = new Map();
+    // Reachable orientations per canonical decimal ID, counted lazily
+    this.rarity = null;
+  }
+
+  /**
+   * Index the states of a generator
+   * @param {StateGenerator} generator - After generateAll()
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with (indexed, total) after each state
+   * @returns {StateIndex}
+   */
+  static build(generator, { onProgress } = {}) {
+    const count = 3 ** (generator.size * generator.size);
+    if (generator.allStates.length !== count) {
+      throw new Error('The index needs every configuration: call generateAll() first');
+    }
+
+    const canonical = new Uint16Array(count);
+    const transform = new Uint8Array(count);
+    const flags = new Uint8Array(count);
+
+    generator.allStates.forEach(state => {
+      const { transform: name, canonical: canonicalId } = SymmetryUtils.getCanonicalTransform(state.config);
+      canonical[state.decimalId] = parseInt(canonicalId, 3);
+      transform[state.decimalId] = TRANSFORMS.indexOf(name);
+      flags[state.decimalId] =
+        (state.isValid ? FLAGS.valid : 0) |
+        (state.isValidFirstPlayerX ? FLAGS.validFirstPlayerX : 0) |
+        (state.isValidForRules ? FLAGS.validForRules : 0) |
+        (state.isReachable ? FLAGS.reachable : 0) |
+        (state.isTerminal ? FLAGS.terminal : 0) |
+        (state.winners.includes(1) ? FLAGS.xLine : 0) |
+        (state.winners.includes(2) ? FLAGS.oLine : 0);
+      onProgress?.(state.decimalId + 1, count);
+    });
+
+    return new StateIndex({ ...generator.variant, canonical, transform, flags });
+  }
+
+  /**
+   * Read an index written by toBuffer()
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @returns {StateIndex}
+   */
+  static fromBuffer(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    const magic = String.fromCharCode(...bytes.subarray(0, MAGIC.length));
+    if (bytes.byteLength < HEADER_BYTES || magic !== MAGIC) {
+      throw new Error('Not a state index');
+    }
+    if (view.getUint8(4) !== VERSION) {
+      throw new Error(`Unsupported state index version: ${view.getUint8(4)}`);
+    }
+
+    const count = view.getUint32(8, true);
+    if (bytes.byteLength !== HEADER_BYTES + count * 4) {
+      throw new Error('Truncated state index');
+    }
+
+    // Copy out, so the arrays are aligned whatever buffer they came from
+    const canonical = new Uint16Array(count);
+    for (let i = 0; i < count; i++) {
+      canonical[i] = view.getUint16(HEADER_BYTES + i * 2, true);
+    }
+    const transformOffset = HEADER_BYTES + count * 2;
+
+    return new StateIndex({
+      size: view.getUint8(5),
+      winLength: view.getUint8(6),
+      rules: Rules.all()[view.getUint8(7)],
+      canonical,
+      transform: bytes.slice(transformOffset, transformOffset + count),
+      flags: bytes.slice(transformOffset + count, transformOffset + count * 2),
+    });
+  }
+
+  /**
+   * Fetch and read an index file
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {Function} [options.fetch] - fetch implementation (globalThis.fetch)
+   * @returns {Promise<StateIndex>}
+   */
+  static async load(url, { fetch = globalThis.fetch } = {}) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not load the state index: ${response.status}`);
+    }
+    return StateIndex.fromBuffer(await response.arrayBuffer());
+  }
+
+  /**
+   * Serialize the index (see the layout above)
+   * @returns {Uint8Array}
+   */
+  toBuffer() {
+    const count = this.count;
+    const bytes = new Uint8Array(HEADER_BYTES + count * 4);
+    const view = new DataView(bytes.buffer);
+
+    bytes.set([...MAGIC].map(char => char.charCodeAt(0)));
+    view.setUint8(4, VERSION);
+    view.setUint8(5, this.size);
+    view.setUint8(6, this.winLength);
+    view.setUint8(7, Rules.all().indexOf(this.rules));
+    view.setUint32(8, count, true);
+
+    this.canonical.forEach((canonical, i) => view.setUint16(HEADER_BYTES + i * 2, canonical, true));
+    bytes.set(this.transform, HEADER_BYTES + count * 2);
+    bytes.set(this.flags, HEADER_BYTES + count * 3);
+    return bytes;
+  }
+
+  /**
+   * Board variant of the indexed states
+   * @returns {{ size: number, winLength: number, rules: Object }}
+   */
+  get variant() {
+    return { size: this.size, winLength: this.winLength, rules: this.rules };
+  }
+
+  /**
+   * Number of indexed configurations
+   * @returns {number}
+   */
+  get count() {
+    return this.flags.length;
+  }
+
+  /**
+   * The indexed facts about a board, with the same names as TicTacToeState
+   * properties, so filters written for states work on records too
+   * @param {string} id - Base-3 state ID
+   * @returns {Object|null} { id, decimalId, canonical, transform, turnCount,
+   *   isValid, isValidFirstPlayerX, isValidForRules, isReachable, isTerminal,
+   *   hasWinner, winners }, or null for IDs outside the index
+   */
+  getRecord(id) {
+    const decimalId = this._decimalId(id);
+    return decimalId === null ? null : this._record(decimalId);
+  }
+
+  /**
+   * Records of the boards that pass a test, in decimal ID order
+   * @param {Function} predicate - Called with each record
+   * @returns {Object[]}
+   */
+  filterByProperty(predicate) {
+    const records = [];
+    for (let decimalId = 0; decimalId < this.count; decimalId++) {
+      const record = this._record(decimalId);
+      if (predicate(record)) records.push(record);
+    }
+    return records;
+  }
+
+  /**
+   * Canonical ID of a board
+   * @param {string} id - Base-3 state ID
+   * @returns {string|null}
+   */
+  getCanonicalId(id) {
+    const decimalId = this._decimalId(id);
+    return decimalId === null ? null : this._id(this.canonical[decimalId]);
+  }
+
+  /**
+   * Number of reachable orientations of a board (its rarity, rareza_count)
+   * @param {string} id - Base-3 state ID, in any orientation
+   * @returns {number} 0 for unreachable boards
+   */
+  getRarity(id) {
+    const decimalId = this._decimalId(id);
+    if (decimalId === null) return 0;
+
+    if (!this.rarity) {
+      this.rarity = new Uint8Array(this.count);
+      this.flags.forEach((flags, i) => {
+        if (flags & FLAGS.reachable) this.rarity[this.canonical[i]]++;
+      });
+    }
+    return this.rarity[this.canonical[decimalId]];
+  }
+
+  /**
+   * Get a state by ID
+   * @param {string} id - Base-3 state ID
+   * @returns {TicTacToeState|null} null for IDs outside the index
+   */
+  getStateById(id) {
+    if (this._decimalId(id) === null) return null;
+
+    if (!this.cache.has(id)) {
+      this.cache.set(id, TicTacToeState.fromId(id, this.variant));
+    }
+    return this.cache.get(id);
+  }
+
+  /**
+   * IDs of the boards reachable in play
+   * @returns {string[]}
+   */
+  getReachableIds() {
+    return this.filterByProperty(record => record.isReachable).map(record => record.id);
+  }
+
+  /**
+   * IDs of the canonical forms of the reachable boards (the claimable states)
+   * @returns {string[]}
+   */
+  getCanonicalReachableIds() {
+    return this.filterByProperty(record => record.isReachable && record.id === record.canonical)
+      .map(record => record.id);
+  }
+
+  /**
+   * The canonical reachable states, like StateGenerator.getCanonicalReachableStates
+   * @returns {TicTacToeState[]}
+   */
+  getCanonicalReachableStates() {
+    return this.getCanonicalReachableIds().map(id => this.getStateById(id));
+  }
+
+  /**
+   * The reachable boards equivalent to a state under rotation or reflection,
+   * like StateGenerator.getEquivalentStates
+   * @param {string} canonicalId - Base-3 state ID (any orientation works)
+   * @returns {TicTacToeState[]} The orbit of the board, the given orientation first
+   */
+  getEquivalentStates(canonicalId) {
+    const state = this.getStateById(canonicalId);
+    if (!state) return [];
+
+    return SymmetryUtils.getOrbit(state.config)
+      .map(config => config.join(''))
+      .filter(id => this.getRecord(id).isReachable)
+      .map(id => this.getStateById(id));
+  }
+
+  /**
+   * @private
+   */
+  _record(decimalId) {
+    const flags = this.flags[decimalId];
+    const id = this._id(decimalId);
+    const winners = [
+      ...(flags & FLAGS.xLine ? [1] : []),
+      ...(flags & FLAGS.oLine ? [2] : []),
+    ];
+
+    return {
+      id,
+      decimalId,
+      canonical: this._id(this.canonical[decimalId]),
+      transform: TRANSFORMS[this.transform[decimalId]],
+      turnCount: id.replace(/0/g, '').length,
+      isValid: Boolean(flags & FLAGS.valid),
+      isValidFirstPlayerX: Boolean(flags & FLAGS.validFirstPlayerX),
+      isValidForRules: Boolean(flags & FLAGS.validForRules),
+      isReachable: Boolean(flags & FLAGS.reachable),
+      isTerminal: Boolean(flags & FLAGS.terminal),
+      hasWinner: winners.length > 0,
+      winners,
+    };
+  }
+
+  /**
+   * Decimal ID of a base-3 ID, or null when it isn't a board of this index
+   * @private
+   */
+  _decimalId(id) {
+    if (typeof id !== 'string' || id.length !== this.size * this.size || !/^[012]+$/.test(id)) {
+      return null;
+    }
+    return parseInt(id, 3);
+  }
+
+  /**
+   * @private
+   */
+  _id(decimalId) {
+    return decimalId.toString(3).padStart(this.size * this.size, '0');
+  }
+}
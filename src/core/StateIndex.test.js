@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { StateIndex } from './StateIndex.js';
+import { StateGenerator } from './StateGenerator.js';
+import { SymmetryUtils } from './SymmetryUtils.js';
+import { Rules } from './Rules.js';
+import { runTask } from '../services/engineTasks.js';
+
+const FIELDS = ['canonical', 'turnCount', 'isValid', 'isValidFirstPlayerX', 'isValidForRules',
+  'isReachable', 'isTerminal', 'hasWinner'];
+
+/**
+ * What the index answers for a board, next to what live generation says
+ */
+function compare(index, state, rarity) {
+  const record = index.getRecord(state.id);
+  return {
+    actual: {
+      ...Object.fromEntries(FIELDS.map(field => [field, record[field]])),
+      winners: record.winners,
+      transformed: SymmetryUtils.transform(state.config, record.transform).join(''),
+      rarity: index.getRarity(state.id),
+    },
+    expected: {
+      ...Object.fromEntries(FIELDS.map(field => [field, state[field]])),
+      winners: [...state.winners].sort(),
+      transformed: state.canonical,
+      rarity: state.isReachable ? rarity.get(state.canonical) : 0,
+    },
+  };
+}
+
+describe('StateIndex', () => {
+  beforeAll(() => {
+    // The generators report their counts as they go
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'time').mockImplementation(() => {});
+    vi.spyOn(console, 'timeEnd').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    vi.restoreAllMocks();
+  });
+
+  it.each(Rules.all().map(rules => [rules.id, rules]))('matches live generation (%s)', (_, rules) => {
+    const generator = new StateGenerator({ rules });
+    generator.generateAll();
+    const index = StateIndex.fromBuffer(StateIndex.build(generator).toBuffer());
+
+    expect(index.variant).toEqual(generator.variant);
+    expect(index.count).toBe(generator.allStates.length);
+
+    const rarity = new Map();
+    generator.getReachableStates().forEach(state => {
+      rarity.set(state.canonical, (rarity.get(state.canonical) || 0) + 1);
+    });
+
+    const mismatches = generator.allStates
+      .map(state => ({ id: state.id, ...compare(index, state, rarity) }))
+      .filter(({ actual, expected }) => JSON.stringify(actual) !== JSON.stringify(expected));
+    expect(mismatches).toEqual([]);
+
+    expect(index.getCanonicalReachableIds())
+      .toEqual(generator.getCanonicalReachableStates().map(state => state.id));
+  });
+
+  describe('queries', () => {
+    let generator;
+    let index;
+
+    beforeAll(() => {
+      generator = new StateGenerator();
+      generator.generateAll();
+      index = StateIndex.build(generator);
+    });
+
+    it('returns the same equivalent states as the generator', () => {
+      for (const id of ['000000000', '000010000', '000012021', '100000000']) {
+        expect(index.getEquivalentStates(id).map(state => state.id))
+          .toEqual(generator.getEquivalentStates(id).map(state => state.id));
+      }
+    });
+
+    it('creates each state once', () => {
+      expect(index.getStateById('000012021')).toBe(index.getStateById('000012021'));
+    });
+
+    it('knows nothing of boards outside the index', () => {
+      expect(index.getRecord('0000')).toBeNull();
+      expect(index.getStateById('00000000x')).toBeNull();
+      expect(index.getRarity('0000000000')).toBe(0);
+    });
+  });
+
+  describe('fromBuffer', () => {
+    let buffer;
+
+    beforeAll(() => {
+      const generator = new StateGenerator();
+      generator.generateAll();
+      buffer = StateIndex.build(generator).toBuffer();
+    });
+
+    it('is what the engine builds', () => {
+      expect(runTask('buildIndex')).toEqual(buffer);
+    });
+
+    it('rejects other files', () => {
+      expect(() => StateIndex.fromBuffer(new TextEncoder().encode('<!doctype html>'))).toThrow('Not a state index');
+    });
+
+    it('rejects other format versions', () => {
+      const other = buffer.slice();
+      other[4] = 99;
+      expect(() => StateIndex.fromBuffer(other)).toThrow('Unsupported state index version: 99');
+    });
+
+    it('rejects truncated files', () => {
+      expect(() => StateIndex.fromBuffer(buffer.slice(0, buffer.length - 1))).toThrow('Truncated state index');
+    });
+
+    it('reads an index from an unaligned view', () => {
+      const padded = new Uint8Array(buffer.length + 1);
+      padded.set(buffer, 1);
+      const index = StateIndex.fromBuffer(padded.subarray(1));
+
+      expect(index.getCanonicalId('000000012')).toBe(StateIndex.fromBuffer(buffer).getCanonicalId('000000012'));
+    });
+  });
+});
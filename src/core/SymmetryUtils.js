@@ -1,15 +1,57 @@
 /**
  * SymmetryUtils - Handles rotations, reflections, and canonical forms
  * 
- * Tic-tac-toe boards have 8 symmetries (4 rotations + 4 reflections).
- * This class provides transformations and canonical form calculation.
+ * Square boards have 8 symmetries (4 rotations + 4 reflections).
+ * This class provides transformations and canonical form calculation
+ * for any board side; the size is taken from the config length.
+ *
+ * The symmetries form a group. Each one has a name (see TRANSFORMS) and an
+ * index map with transform(config)[i] = config[map[i]]; mapIndex() goes the
+ * other way and tells where a cell ends up. To play a move chosen on the
+ * canonical board on the original one:
+ *
+ *   const { transform } = SymmetryUtils.getCanonicalTransform(config);
+ *   const cell = SymmetryUtils.mapIndex(canonicalCell, SymmetryUtils.inverse(transform), size);
  * 
- * Board positions:
+ * Board positions (3×3, other sides are numbered the same way):
  * 0 1 2
  * 3 4 5
  * 6 7 8
  */
 
+/**
+ * Names of the 8 symmetries, in the order of getAllSymmetries()
+ */
+export const TRANSFORMS = Object.freeze([
+  'identity',
+  'rotate90',
+  'rotate180',
+  'rotate270',
+  'reflectHorizontal',
+  'reflectVertical',
+  'reflectDiagonal',
+  'reflectAntiDiagonal',
+]);
+
+// Rotations undo each other; every other symmetry undoes itself
+const INVERSES = { rotate90: 'rotate270', rotate270: 'rotate90' };
+
+// Where each cell of a transformed board comes from: result[i] = config[map[i]].
+// Given as the source [row, col] for the target cell (row, col) on a side n.
+const SOURCES = {
+  identity: (row, col) => [row, col],
+  rotate90: (row, col, n) => [n - 1 - col, row],
+  rotate180: (row, col, n) => [n - 1 - row, n - 1 - col],
+  rotate270: (row, col, n) => [col, n - 1 - row],
+  reflectHorizontal: (row, col, n) => [n - 1 - row, col],
+  reflectVertical: (row, col, n) => [row, n - 1 - col],
+  reflectDiagonal: (row, col) => [col, row],
+  reflectAntiDiagonal: (row, col, n) => [n - 1 - col, n - 1 - row],
+};
+
+// board side -> { transform name -> index map }
+const indexMapsCache = new Map();
+
 export class SymmetryUtils {
   /**
    * Rotate board 90 degrees clockwise
@@ -17,8 +59,8 @@ export class SymmetryUtils {
    * @returns {number[]}
    */
   static rotate90(config) {
-    // Mapping: [6,3,0,7,4,1,8,5,2]
-    return [config[6], config[3], config[0], config[7], config[4], config[1], config[8], config[5], config[2]];
+    // 3×3 mapping: [6,3,0,7,4,1,8,5,2]
+    return this.transform(config, 'rotate90');
   }
   
   /**
@@ -27,8 +69,8 @@ export class SymmetryUtils {
    * @returns {number[]}
    */
   static rotate180(config) {
-    // Mapping: [8,7,6,5,4,3,2,1,0]
-    return [config[8], config[7], config[6], config[5], config[4], config[3], config[2], config[1], config[0]];
+    // 3×3 mapping: [8,7,6,5,4,3,2,1,0]
+    return this.transform(config, 'rotate180');
   }
   
   /**
@@ -37,8 +79,8 @@ export class SymmetryUtils {
    * @returns {number[]}
    */
   static rotate270(config) {
-    // Mapping: [2,5,8,1,4,7,0,3,6]
-    return [config[2], config[5], config[8], config[1], config[4], config[7], config[0], config[3], config[6]];
+    // 3×3 mapping: [2,5,8,1,4,7,0,3,6]
+    return this.transform(config, 'rotate270');
   }
   
   /**
@@ -47,8 +89,8 @@ export class SymmetryUtils {
    * @returns {number[]}
    */
   static reflectHorizontal(config) {
-    // Mapping: [6,7,8,3,4,5,0,1,2]
-    return [config[6], config[7], config[8], config[3], config[4], config[5], config[0], config[1], config[2]];
+    // 3×3 mapping: [6,7,8,3,4,5,0,1,2]
+    return this.transform(config, 'reflectHorizontal');
   }
   
   /**
@@ -57,8 +99,8 @@ export class SymmetryUtils {
    * @returns {number[]}
    */
   static reflectVertical(config) {
-    // Mapping: [2,1,0,5,4,3,8,7,6]
-    return [config[2], config[1], config[0], config[5], config[4], config[3], config[8], config[7], config[6]];
+    // 3×3 mapping: [2,1,0,5,4,3,8,7,6]
+    return this.transform(config, 'reflectVertical');
   }
   
   /**
@@ -67,8 +109,8 @@ export class SymmetryUtils {
    * @returns {number[]}
    */
   static reflectDiagonal(config) {
-    // Mapping: [0,3,6,1,4,7,2,5,8]
-    return [config[0], config[3], config[6], config[1], config[4], config[7], config[2], config[5], config[8]];
+    // 3×3 mapping: [0,3,6,1,4,7,2,5,8]
+    return this.transform(config, 'reflectDiagonal');
   }
   
   /**
@@ -77,8 +119,8 @@ export class SymmetryUtils {
    * @returns {number[]}
    */
   static reflectAntiDiagonal(config) {
-    // Mapping: [8,5,2,7,4,1,6,3,0]
-    return [config[8], config[5], config[2], config[7], config[4], config[1], config[6], config[3], config[0]];
+    // 3×3 mapping: [8,5,2,7,4,1,6,3,0]
+    return this.transform(config, 'reflectAntiDiagonal');
   }
   
   /**
@@ -117,6 +159,139 @@ export class SymmetryUtils {
    * @returns {boolean}
    */
   static areEquivalent(config1, config2) {
-    return this.getCanonicalForm(config1) === this.getCanonicalForm(config2);
+    return config1.length === config2.length &&
+      this.getCanonicalForm(config1) === this.getCanonicalForm(config2);
+  }
+
+  /**
+   * Apply a symmetry by name
+   * @param {number[]} config
+   * @param {string} name - One of TRANSFORMS
+   * @returns {number[]}
+   */
+  static transform(config, name) {
+    return this._indexMap(this.sizeOf(config), name).map(index => config[index]);
+  }
+
+  /**
+   * The symmetry that undoes another one
+   * @param {string} name - One of TRANSFORMS
+   * @returns {string}
+   */
+  static inverse(name) {
+    this._checkName(name);
+    return INVERSES[name] || name;
+  }
+
+  /**
+   * The symmetry that turns a board into its canonical form (the first one
+   * in TRANSFORMS order when several do)
+   * @param {number[]} config
+   * @returns {{ transform: string, inverse: string, canonical: string }}
+   */
+  static getCanonicalTransform(config) {
+    let best = null;
+    for (const name of TRANSFORMS) {
+      const id = this.transform(config, name).join('');
+      if (best === null || id < best.canonical) best = { transform: name, canonical: id };
+    }
+    return { transform: best.transform, inverse: this.inverse(best.transform), canonical: best.canonical };
+  }
+
+  /**
+   * The symmetries that leave a board unchanged, identity included
+   * @param {number[]} config
+   * @returns {string[]}
+   */
+  static getStabilizer(config) {
+    const id = config.join('');
+    return TRANSFORMS.filter(name => this.transform(config, name).join('') === id);
+  }
+
+  /**
+   * The distinct boards a board becomes under the 8 symmetries, itself first.
+   * Its length is 8 divided by the size of the stabilizer.
+   * @param {number[]} config
+   * @returns {number[][]}
+   */
+  static getOrbit(config) {
+    const seen = new Set();
+    return TRANSFORMS.map(name => this.transform(config, name)).filter(image => {
+      const id = image.join('');
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+  }
+
+  /**
+   * Where a cell ends up after a symmetry
+   * @param {number} index - Cell index
+   * @param {string} name - One of TRANSFORMS
+   * @param {number} [size] - Board side
+   * @returns {number} transform(config)[result] === config[index]
+   */
+  static mapIndex(index, name, size = 3) {
+    return this._indexMap(size, this.inverse(name))[index];
+  }
+
+  /**
+   * A winning line after a symmetry, sorted like TicTacToeState.getWinningLines()
+   * @param {number[]} line - Cell indices
+   * @param {string} name - One of TRANSFORMS
+   * @param {number} [size] - Board side
+   * @returns {number[]}
+   */
+  static mapLine(line, name, size = 3) {
+    return line.map(index => this.mapIndex(index, name, size)).sort((a, b) => a - b);
+  }
+
+  /**
+   * Board side of a config
+   * @param {number[]} config
+   * @returns {number}
+   */
+  static sizeOf(config) {
+    const size = Math.sqrt(config.length);
+    if (!Number.isInteger(size) || size === 0) {
+      throw new Error('Config must describe a square board');
+    }
+    return size;
+  }
+
+  /**
+   * Index maps of every transformation for a board side, built once per side
+   * @param {number} size
+   * @returns {Object} Transform name (TRANSFORMS) -> number[] with result[i] = config[map[i]]
+   */
+  static getIndexMaps(size) {
+    if (!indexMapsCache.has(size)) {
+      const maps = {};
+      for (const [name, source] of Object.entries(SOURCES)) {
+        maps[name] = Array.from({ length: size * size }, (_, i) => {
+          const [row, col] = source(Math.floor(i / size), i % size, size);
+          return row * size + col;
+        });
+      }
+      indexMapsCache.set(size, maps);
+    }
+    return indexMapsCache.get(size);
+  }
+
+  /**
+   * @private
+   */
+  static _indexMap(size, name) {
+    this._checkName(name);
+    return this.getIndexMaps(size)[name];
+  }
+
+  /**
+   * @private
+   */
+  static _checkName(name) {
+    if (!TRANSFORMS.includes(name)) {
+      throw new Error(`Unknown symmetry: ${name}`);
+    }
   }
-}
\ No newline at end of file
+}
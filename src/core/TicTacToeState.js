@@ -4,22 +4,67 @@
  * This class is rendering-agnostic and handles all logic related to
  * a single board state including validation, winner detection, and
  * canonical form calculation.
+ *
+ * Boards are size×size (3×3 by default) and a player wins with winLength
+ * marks in a row, column or diagonal (the whole side by default), so 4×4
+ * four-in-a-row or 5×5 four-in-a-row are states too. Cells are numbered row
+ * by row and the ID is one base-3 digit per cell.
+ *
+ * isValidFirstPlayerX, nextPlayerFirstPlayerX and winners describe standard
+ * play. The rules option (see Rules.js) adds the same analysis for misère,
+ * O-first, wild and Notakto play: isValidForRules, nextPlayerForRules,
+ * nextMarks and outcome.
+ *
+ * The validity flags only look at piece counts and lines. isReachable goes
+ * further and checks that a legal sequence of moves ends in the board, so
+ * boards where play went on after the game was over are rejected too;
+ * reachabilityReason says why a board can't come up in a game.
  */
 
 import { SymmetryUtils } from './SymmetryUtils.js';
+import { Rules } from './Rules.js';
+
+// "size:winLength" -> winning lines, shared by every state of a variant
+const winningLinesCache = new Map();
+
+// Above this many cells parseInt(id, 3) is no longer exact (3^33 < 2^53)
+const MAX_DECIMAL_ID_CELLS = 33;
+
+// "size:winLength:rules" -> Map(state ID -> reachabilityReason), shared by every state of a variant
+const reachabilityCache = new Map();
+
+/**
+ * Why a board can't come up in a game (reachabilityReason)
+ */
+export const UNREACHABLE_REASONS = Object.freeze({
+  marks: 'Only X marks are played in Notakto',
+  bothWon: 'Both players have a line',
+  counts: 'The piece counts do not fit the turn order',
+  winnerNotLast: 'The line was not completed by the last move',
+  playedAfterEnd: 'Play went on after the game was over',
+});
 
 export class TicTacToeState {
   /**
-   * @param {number[]} config - Array of 9 values (0=empty, 1=X, 2=O)
+   * @param {number[]} config - Array of size×size values (0=empty, 1=X, 2=O), row by row
+   * @param {Object} [options]
+   * @param {number} [options.size] - Board side (3)
+   * @param {number} [options.winLength] - Marks in a row that win (the board side)
+   * @param {Object} [options.rules] - A Rules object (Rules.standard())
    */
-  constructor(config) {
-    if (!Array.isArray(config) || config.length !== 9) {
-      throw new Error('Config must be an array of 9 numbers');
+  constructor(config, { size = 3, winLength = size, rules = Rules.standard() } = {}) {
+    TicTacToeState._checkVariant(size, winLength);
+    if (!Array.isArray(config) || config.length !== size * size) {
+      throw new Error(`Config must be an array of ${size * size} numbers`);
     }
 
+    this.size = size;
+    this.winLength = winLength;
+    this.rules = rules;
     this.config = config;
     this.id = config.join('');
-    this.decimalId = parseInt(this.id, 3);
+    // null on boards too big for an exact number; the ID string is the key
+    this.decimalId = config.length <= MAX_DECIMAL_ID_CELLS ? parseInt(this.id, 3) : null;
 
     // Calculate all properties
     this._analyze();
@@ -57,8 +102,20 @@ export class TicTacToeState {
     this.nextPlayer = !this.isValid ? null : (count1 === count2 ? undefined : (count1 > count2 ? 2 : 1));
     this.nextPlayerFirstPlayerX = !this.isValidFirstPlayerX ? null : (count1 === count2 ? 1 : 2);
 
+    // Validation, next player and result under this.rules
+    this._ruleViolation = this._findRuleViolation(count1, count2, winnerInfo);
+    this.isValidForRules = this._ruleViolation === null;
+
     // Check if terminal
-    this.isTerminal = this.isValid && (this.hasWinner || count0 === 0);
+    this.isTerminal = (this.isValid || this.isValidForRules) && (this.hasWinner || count0 === 0);
+
+    this.nextPlayerForRules = this.isValidForRules && !this.isTerminal ? this._nextPlayerForRules(count1, count2) : null;
+    this.nextMarks = this.nextPlayerForRules === null ? []
+      : this.rules.wild ? [1, 2]
+        : this.rules.singleMark ? [1]
+          : [this.nextPlayerForRules];
+    // Winning player (0 = draw) once the game is over
+    this.outcome = this.isValidForRules && this.isTerminal ? this._outcomeForRules() : null;
 
     // Determine valid one winner (valid game ending)
     this.isValidOneWinner = this.isValid && this.hasUniqueWinner;
@@ -76,7 +133,7 @@ export class TicTacToeState {
     // Players must alternate, no assumptions about who started
     const totalPieces = count1 + count2;
 
-    if (count0 + totalPieces !== 9) return false;
+    if (count0 + totalPieces !== this.config.length) return false;
     if (Math.abs(count1 - count2) > 1) return false;
     return true;
   }
@@ -117,27 +174,152 @@ export class TicTacToeState {
     return true;
   }
 
+  /**
+   * Check if state is valid under this.rules: piece counts that fit the
+   * turn order, and lines only of the mark that moved last, all through one cell
+   * @private
+   * @returns {string|null} One of UNREACHABLE_REASONS, or null when valid
+   */
+  _findRuleViolation(count1, count2, winnerInfo) {
+    const { rules } = this;
+    if (rules.singleMark && count2 > 0) return UNREACHABLE_REASONS.marks;
+
+    // The last move completes every line on the board
+    if (winnerInfo.winners.length > 1) return UNREACHABLE_REASONS.bothWon;
+    const [firstLine, ...otherLines] = winnerInfo.lines;
+    if (otherLines.length > 0 && !firstLine.some(cell => otherLines.every(line => line.includes(cell)))) {
+      return UNREACHABLE_REASONS.playedAfterEnd;
+    }
+
+    // Shared marks: any mix of pieces is possible
+    if (rules.wild || rules.singleMark) return null;
+
+    const first = rules.firstPlayer;
+    const countFirst = first === 1 ? count1 : count2;
+    const countSecond = first === 1 ? count2 : count1;
+    if (countFirst < countSecond || countFirst > countSecond + 1) return UNREACHABLE_REASONS.counts;
+
+    if (winnerInfo.hasWinner) {
+      const lastMover = countFirst > countSecond ? first : 3 - first;
+      if (winnerInfo.winners[0] !== lastMover) return UNREACHABLE_REASONS.winnerNotLast;
+    }
+
+    return null;
+  }
+
+  /**
+   * Why the board can't come up in a game under this.rules, or null if it can.
+   * Searches backwards for a legal move sequence; computed on first use.
+   * @returns {string|null} One of UNREACHABLE_REASONS
+   */
+  get reachabilityReason() {
+    if (this._reachabilityReason === undefined) {
+      this._reachabilityReason = this._searchReachability();
+    }
+    return this._reachabilityReason;
+  }
+
+  /**
+   * Whether a legal sequence of moves from the empty board ends in this board
+   * @returns {boolean}
+   */
+  get isReachable() {
+    return this.reachabilityReason === null;
+  }
+
+  /**
+   * A valid board is reachable if taking back a possible last move leaves a
+   * reachable board. The last move lies on every line, so taking it back
+   * leaves a board where the game wasn't over yet.
+   * @private
+   */
+  _searchReachability() {
+    const key = `${this.size}:${this.winLength}:${this.rules.id}`;
+    if (!reachabilityCache.has(key)) reachabilityCache.set(key, new Map());
+    const memo = reachabilityCache.get(key);
+    if (memo.has(this.id)) return memo.get(this.id);
+
+    let reason = this._ruleViolation;
+    if (reason === null && this.turnCount > 0) {
+      reason = UNREACHABLE_REASONS.playedAfterEnd;
+      for (const cell of this._lastMoveCells()) {
+        const config = [...this.config];
+        config[cell] = 0;
+        const id = config.join('');
+        const previousReason = memo.has(id) ? memo.get(id) : new TicTacToeState(config, this.variant).reachabilityReason;
+        if (previousReason === null) {
+          reason = null;
+          break;
+        }
+      }
+    }
+
+    memo.set(this.id, reason);
+    return reason;
+  }
+
+  /**
+   * Cells that may hold the last move: marks of the player who moved last,
+   * on every winning line if there are any
+   * @private
+   */
+  _lastMoveCells() {
+    const { rules } = this;
+    let lastMark = null;
+    if (!rules.wild && !rules.singleMark) {
+      const first = rules.firstPlayer;
+      const countFirst = first === 1 ? this.count1 : this.count2;
+      const countSecond = first === 1 ? this.count2 : this.count1;
+      lastMark = countFirst > countSecond ? first : 3 - first;
+    }
+
+    return this.config
+      .map((value, cell) => (value !== 0 && (lastMark === null || value === lastMark) ? cell : -1))
+      .filter(cell => cell !== -1 && this.winningLines.every(line => line.includes(cell)));
+  }
+
+  /**
+   * @private
+   */
+  _nextPlayerForRules(count1, count2) {
+    const { rules } = this;
+    if (rules.wild || rules.singleMark) {
+      return this.turnCount % 2 === 0 ? 1 : 2;
+    }
+
+    const first = rules.firstPlayer;
+    const countFirst = first === 1 ? count1 : count2;
+    const countSecond = first === 1 ? count2 : count1;
+    return countFirst === countSecond ? first : 3 - first;
+  }
+
+  /**
+   * Winner of a finished game under this.rules, 0 for a draw
+   * @private
+   */
+  _outcomeForRules() {
+    if (!this.hasWinner) return 0;
+
+    const { rules } = this;
+    const lastMover = rules.wild || rules.singleMark
+      ? (this.turnCount % 2 === 1 ? 1 : 2)
+      : this.winners[0];
+    return rules.misere ? 3 - lastMover : lastMover;
+  }
+
   /**
    * Calculate all winning lines for this state
    * @private
    * @returns {Object} { winners: number[], hasWinner: boolean, lines: number[][] }
    */
   _calculateWinners() {
-    const winningLines = [
-      [0, 1, 2], [3, 4, 5], [6, 7, 8], // rows
-      [0, 3, 6], [1, 4, 7], [2, 5, 8], // cols
-      [0, 4, 8], [2, 4, 6],            // diagonals
-    ];
-
     const lines = [];
     const winnersSet = new Set();
 
-    for (const line of winningLines) {
-      const [a, b, c] = line;
-      if (this.config[a] !== 0 &&
-        this.config[a] === this.config[b] &&
-        this.config[a] === this.config[c]) {
-        winnersSet.add(this.config[a]);
+    for (const line of TicTacToeState.getWinningLines(this.size, this.winLength)) {
+      const player = this.config[line[0]];
+      if (player !== 0 && line.every(cell => this.config[cell] === player)) {
+        winnersSet.add(player);
         lines.push(line);
       }
     }
@@ -156,7 +338,7 @@ export class TicTacToeState {
    * @returns {number[]}
    */
   getPossibleMoves() {
-    if (!this.isValid || this.isTerminal) {
+    if (!this._isPlayable() || this.isTerminal) {
       return [];
     }
 
@@ -165,13 +347,30 @@ export class TicTacToeState {
       .filter(idx => idx !== -1);
   }
 
+  /**
+   * Standard play accepts any alternating board; other rules need a valid one
+   * @private
+   */
+  _isPlayable() {
+    return this.rules.id === 'standard' ? this.isValid : this.isValidForRules;
+  }
+
+  /**
+   * Board size, win length and rules, to build other states of the same variant
+   * @returns {{ size: number, winLength: number, rules: Object }}
+   */
+  get variant() {
+    return { size: this.size, winLength: this.winLength, rules: this.rules };
+  }
+
   /**
    * Create a new state with a move applied
-   * @param {number} position - Cell index (0-8)
+   * @param {number} position - Cell index (0 to size×size - 1)
+   * @param {number} [mark] - Mark to place (1=X, 2=O); wild play offers both, see nextMarks
    * @returns {TicTacToeState}
    */
-  makeMove(position) {
-    if (!this.isValid || this.isTerminal) {
+  makeMove(position, mark) {
+    if (!this._isPlayable() || this.isTerminal) {
       throw new Error('Cannot make move on invalid or terminal state');
     }
 
@@ -179,10 +378,18 @@ export class TicTacToeState {
       throw new Error('Position already occupied');
     }
 
+    if (mark === undefined) {
+      mark = this.rules.id === 'standard'
+        ? this.nextPlayer || 1 // Default to Player 1 if undefined
+        : this.nextMarks[0];
+    } else if ((mark !== 1 && mark !== 2) || (this.isValidForRules && !this.nextMarks.includes(mark))) {
+      throw new Error(`Mark ${mark} cannot be placed on this turn`);
+    }
+
     const newConfig = [...this.config];
-    newConfig[position] = this.nextPlayer || 1; // Default to Player 1 if undefined
+    newConfig[position] = mark;
 
-    return new TicTacToeState(newConfig);
+    return new TicTacToeState(newConfig, this.variant);
   }
 
   /**
@@ -191,7 +398,7 @@ export class TicTacToeState {
    * @returns {boolean}
    */
   equals(other) {
-    return this.id === other.id;
+    return this.id === other.id && this.winLength === other.winLength && this.rules.id === other.rules.id;
   }
 
   /**
@@ -202,6 +409,9 @@ export class TicTacToeState {
     return {
       id: this.id,
       decimalId: this.decimalId,
+      size: this.size,
+      winLength: this.winLength,
+      rules: this.rules.id,
       config: this.config,
       canonical: this.canonical,
       isValid: this.isValid,
@@ -215,6 +425,12 @@ export class TicTacToeState {
       winningLines: this.winningLines,
       nextPlayer: this.nextPlayer,
       nextPlayerFirstPlayerX: this.nextPlayerFirstPlayerX,
+      isValidForRules: this.isValidForRules,
+      isReachable: this.isReachable,
+      reachabilityReason: this.reachabilityReason,
+      nextPlayerForRules: this.nextPlayerForRules,
+      nextMarks: this.nextMarks,
+      outcome: this.outcome,
       turnCount: this.turnCount,
       count0: this.count0,
       count1: this.count1,
@@ -224,10 +440,11 @@ export class TicTacToeState {
 
   toPrettyString() {
     const symbols = ['.', 'X', 'O'];
+    const last = this.config.length - 1;
     let str = '';
-    for (let i = 0; i < 9; i++) {
+    for (let i = 0; i <= last; i++) {
       str += symbols[this.config[i]];
-      if (i % 3 === 2 && i < 8) str += '\n';
+      if (i % this.size === this.size - 1 && i < last) str += '\n';
     }
     return str;
   }
@@ -242,34 +459,82 @@ export class TicTacToeState {
    */
   toAscii() {
     const symbols = [' ', 'x', 'o'];
+    const separator = `\n${Array(this.size).fill('---').join('+')}\n`;
+    const last = this.config.length - 1;
     let str = '';
-    for (let i = 0; i < 9; i++) {
+    for (let i = 0; i <= last; i++) {
       str += ` ${symbols[this.config[i]]} `;
-      if (i % 3 === 2 && i < 8) str += '\n---+---+---\n';
-      else if (i % 3 !== 2) str += '|';
+      if (i % this.size === this.size - 1 && i < last) str += separator;
+      else if (i % this.size !== this.size - 1) str += '|';
     }
     return str;
   }
 
   /**
-   * Create state from ID string
-   * @param {string} id - 9-digit base-3 string
+   * Create state from ID string. The board size follows from the ID length.
+   * @param {string} id - Base-3 string, one digit per cell (9 digits for 3×3)
+   * @param {Object} [options]
+   * @param {number} [options.winLength] - Marks in a row that win (the board side)
+   * @param {Object} [options.rules] - A Rules object (Rules.standard())
    * @returns {TicTacToeState}
    */
-  static fromId(id) {
-    if (typeof id !== 'string' || id.length !== 9) {
-      throw new Error('ID must be a 9-character string');
+  static fromId(id, { winLength, rules } = {}) {
+    const size = typeof id === 'string' ? Math.sqrt(id.length) : NaN;
+    if (!Number.isInteger(size) || size === 0) {
+      throw new Error('ID must be a string with a square number of digits (9 for 3×3)');
     }
 
     const config = id.split('').map(Number);
-    return new TicTacToeState(config);
+    return new TicTacToeState(config, { size, winLength, rules });
   }
 
   /**
    * Create empty board
+   * @param {Object} [options] - { size, winLength, rules }, as in the constructor
    * @returns {TicTacToeState}
    */
-  static empty() {
-    return new TicTacToeState([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  static empty({ size = 3, winLength = size, rules } = {}) {
+    return new TicTacToeState(new Array(size * size).fill(0), { size, winLength, rules });
+  }
+
+  /**
+   * Every run of winLength cells in a row, column or diagonal: rows first,
+   * then columns, diagonals and anti-diagonals, each from the top left
+   * @param {number} [size] - Board side
+   * @param {number} [winLength] - Cells per line
+   * @returns {number[][]}
+   */
+  static getWinningLines(size = 3, winLength = size) {
+    const key = `${size}:${winLength}`;
+    if (winningLinesCache.has(key)) return winningLinesCache.get(key);
+
+    TicTacToeState._checkVariant(size, winLength);
+    const directions = [[0, 1], [1, 0], [1, 1], [1, -1]]; // [dRow, dCol]
+    const lines = [];
+    for (const [dRow, dCol] of directions) {
+      for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+          const endRow = row + dRow * (winLength - 1);
+          const endCol = col + dCol * (winLength - 1);
+          if (endRow >= size || endCol < 0 || endCol >= size) continue;
+          lines.push(Array.from({ length: winLength }, (_, k) => (row + dRow * k) * size + col + dCol * k));
+        }
+      }
+    }
+
+    winningLinesCache.set(key, lines);
+    return lines;
+  }
+
+  /**
+   * @private
+   */
+  static _checkVariant(size, winLength) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error('Board size must be a positive integer');
+    }
+    if (!Number.isInteger(winLength) || winLength < 1 || winLength > size) {
+      throw new Error(`Win length must be an integer between 1 and ${size}`);
+    }
   }
 }
@@ -0,0 +1,261 @@
+/**
+ * Horoscope phrases - The fragments HoroscopeEngine composes, per locale
+ *
+ * Every locale has the same shape:
+ *
+ *   emblems[category]   first half of the corto, by the board's most striking feature
+ *   omens               second half of the corto
+ *   center[player]      opening sentence, by who holds the center (0 = nobody)
+ *   fork, threat, quiet tactical sentence while the game is on ({p} player, {n} threats)
+ *   win, draw           closing sentence of finished games ({w} winner, {shape} line)
+ *   outcome             clause with the solver's verdict ({o})
+ *   rarity[count], turn optional third sentence ({t} turn)
+ *   shapes, threats(n), sides(corners, edges), outcomeText(outcome, distance)
+ *
+ * Adding a locale means adding an object here; emblem and omen lists must be
+ * long enough for every category to get unique cortos (see HoroscopeEngine.generateAll).
+ */
+
+const NUMBERS_ES = ['ninguna', 'una', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho'];
+const NUMBERS_EN = ['no', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight'];
+
+const es = {
+  emblems: {
+    'x-wins': ['La cruz triunfante', 'Victoria de la X', 'Tres cruces alineadas', 'La X corona su viaje', 'Triunfo de la cruz', 'La línea de la X', 'Cruz victoriosa', 'La X llega a Belén'],
+    'o-wins': ['El círculo triunfante', 'Victoria de la O', 'Tres círculos alineados', 'La O cierra su ronda', 'Triunfo del círculo', 'La línea de la O', 'Círculo victorioso', 'La O llega a Belén'],
+    draw: ['Tablero lleno', 'Empate de estrellas', 'Nueve casillas en paz', 'Nadie pierde', 'Equilibrio perfecto', 'Tregua de Reyes', 'Todas las casillas', 'Paz en el tablero'],
+    empty: ['Tablero en blanco', 'Antes del primer paso', 'Nueve casillas vacías', 'Todo por escribirse'],
+    fork: ['Doble amenaza', 'Dos caminos abiertos', 'La horquilla', 'Jaque doble', 'Dos estrellas a la vez', 'Dos puertas abiertas', 'Trampa de Reyes', 'Doble promesa'],
+    threat: ['Amenaza en el aire', 'Una línea a medias', 'Casi victoria', 'Dos de tres', 'Una casilla decisiva', 'Un paso del triunfo', 'Tensión de Reyes', 'La línea espera', 'Camino casi completo', 'Promesa a punto'],
+    'center-x': ['La X al centro', 'Cruz en el corazón', 'Centro de la cruz', 'La X en medio', 'Corazón marcado', 'Centro conquistado', 'La cruz central', 'El centro es tuyo'],
+    'center-o': ['La O al centro', 'Círculo en el corazón', 'Centro del círculo', 'La O en medio', 'Corazón redondo', 'Centro defendido', 'El círculo central', 'Centro en calma'],
+    corners: ['Esquinas de Reyes', 'Cuatro puntas', 'Desde la esquina', 'Orilla y esquina', 'Las esquinas hablan', 'Rincón de estrellas', 'Casa en la esquina', 'Ángulo del destino'],
+    edges: ['Por la orilla', 'Lados del tablero', 'Caminos laterales', 'Desde el borde', 'La orilla llama', 'Junto al camino', 'Borde luminoso', 'Senda lateral'],
+  },
+
+  omens: [
+    'tu estrella ya se mueve', 'el oro llega a tiempo', 'la mirra guarda tu secreto',
+    'el incienso sube contigo', 'los camellos conocen tu nombre', 'Belén queda más cerca',
+    'la rosca guarda tu sorpresa', 'alguien deja un regalo', 'el cielo te marca el paso',
+    'la noche de Reyes te sonríe', 'el desierto se vuelve camino', 'tu viaje apenas brilla',
+    'una estrella te acompaña', 'el regalo eres tú', 'el camino se ilumina',
+    'tu destino cambia de forma', 'los Reyes te esperan', 'la corona te queda bien',
+    'el niño de la rosca eres tú', 'tus pasos dejan huella', 'la mañana trae zapatos llenos',
+    'tu casilla tiene historia', 'el horizonte se abre', 'cada jugada cuenta',
+    'la suerte cambia de manos', 'la fe mueve tus piezas', 'los astros juegan contigo',
+    'tu calma vale oro', 'el tiempo juega a tu favor', 'tu intuición acierta',
+    'la paciencia trae regalos', 'tu audacia encuentra premio', 'los amigos llegan juntos',
+    'la familia celebra contigo', 'el asombro sigue intacto', 'el misterio te sienta bien',
+    'hay luz en tu próximo paso', 'nadie más juega así', 'la historia recuerda tu jugada',
+    'tu forma es irrepetible',
+  ],
+
+  center: {
+    1: [
+      'La X en el centro te da un corazón firme, y todo gira a tu alrededor',
+      'Ocupar el centro con la X dice mucho de ti: vas directo a lo esencial',
+      'Con la cruz en el centro, sabes que la fuerza nace de estar en medio de todo',
+    ],
+    2: [
+      'La O guarda el centro con calma, como quien cuida el fuego del hogar',
+      'Con el círculo en el centro, tu paciencia se vuelve el eje del tablero',
+      'El centro es de la O: sabes defender lo que importa sin alzar la voz',
+    ],
+    0: [
+      'El centro sigue libre, como una promesa que nadie se atreve a tomar',
+      'Nadie ha tomado el centro todavía; prefieres rodear antes de decidir',
+      'Con el centro vacío, tu camino se escribe desde las orillas',
+    ],
+  },
+
+  fork: [
+    '{p} tiene una doble amenaza: cuando se abren dos caminos, ninguno puede cerrarse a tiempo',
+    'La horquilla de {p} deja dos victorias posibles, y tu astucia sabe aprovecharlo',
+    '{p} amenaza por dos lados a la vez: eres de quienes siempre tienen un plan B',
+  ],
+
+  threat: [
+    'Hay {n} en el aire, y una sola casilla puede cambiarlo todo',
+    'Se respiran {n}: sabes que los grandes giros llegan en silencio',
+    'El tablero guarda {n}, y tu instinto sabe dónde poner la siguiente pieza',
+  ],
+
+  win: [
+    'La {shape} de {w} sella el destino, y con ella llega tu regalo',
+    '{w} completa su {shape} y el viaje termina en triunfo',
+    'Una {shape} perfecta le da la victoria a {w}: las estrellas sabían el final',
+  ],
+
+  draw: [
+    'El tablero se llenó sin vencedores, porque a veces el mejor final es el compartido',
+    'Nueve casillas ocupadas y ningún ganador: tu don es que todos lleguen juntos',
+    'Nadie completó su línea, y en ese empate hay una sabiduría antigua',
+  ],
+
+  quiet: [
+    'Aún no hay amenazas, y cada pieza busca su lugar con calma',
+    'El tablero respira tranquilo: es tiempo de sembrar, no de cosechar',
+    'Todavía nadie amenaza, y tu juego es de preparación y paciencia',
+  ],
+
+  outcome: [
+    'con juego perfecto, {o}',
+    'si nadie se equivoca, {o}',
+    'los astros calculan que, sin errores, {o}',
+  ],
+
+  rarity: {
+    1: ['Tu forma es única: ningún giro ni reflejo la repite', 'Ningún espejo copia tu tablero, igual que nadie te copia a ti'],
+    2: ['Solo dos tableros comparten tu forma, como dos amigos que se reconocen'],
+    4: ['Cuatro tableros comparten tu forma, como cuatro puntos cardinales'],
+    8: ['Ocho reflejos comparten tu forma, como ocho caminos que llevan a Belén', 'Tu forma aparece en ocho giros y reflejos: estás en todas partes'],
+  },
+
+  turn: [
+    'Van {t} de 9 turnos, y tu historia sigue escribiéndose',
+    'En el turno {t} de 9, los Reyes ya conocen tu jugada',
+    'Con {t} de 9 turnos jugados, el viaje tiene su propio ritmo',
+  ],
+
+  shapes: { row: 'fila', column: 'columna', diagonal: 'diagonal', double: 'doble línea' },
+
+  threats: n => (n === 1 ? 'una amenaza' : `${NUMBERS_ES[n]} amenazas`),
+
+  // ", con dos esquinas y una orilla ocupadas"
+  sides(corners, edges) {
+    if (corners === 0 && edges === 0) return '';
+
+    const parts = [];
+    if (corners > 0) parts.push(`${NUMBERS_ES[corners]} ${corners === 1 ? 'esquina' : 'esquinas'}`);
+    if (edges > 0) parts.push(`${NUMBERS_ES[edges]} ${edges === 1 ? 'orilla' : 'orillas'}`);
+    const occupied = corners + edges === 1 ? 'ocupada' : 'ocupadas';
+    return `, con ${parts.join(' y ')} ${occupied}`;
+  },
+
+  outcomeText(outcome, distance) {
+    if (outcome === 'draw') return 'todo termina en empate';
+    const moves = distance === 1 ? 'una jugada' : `${NUMBERS_ES[distance]} jugadas`;
+    return `gana ${outcome === 'x' ? 'X' : 'O'} en ${moves}`;
+  },
+};
+
+const en = {
+  emblems: {
+    'x-wins': ['The triumphant cross', 'Victory for X', 'Three crosses in a row', 'X crowns its journey', 'Triumph of the cross', 'The line of X', 'Victorious cross', 'X reaches Bethlehem'],
+    'o-wins': ['The triumphant circle', 'Victory for O', 'Three circles in a row', 'O closes its round', 'Triumph of the circle', 'The line of O', 'Victorious circle', 'O reaches Bethlehem'],
+    draw: ['A full board', 'A draw of stars', 'Nine squares at peace', 'Nobody loses', 'Perfect balance', 'The Kings\' truce', 'Every square taken', 'Peace on the board'],
+    empty: ['A blank board', 'Before the first step', 'Nine empty squares', 'Everything still unwritten'],
+    fork: ['Double threat', 'Two open roads', 'The fork', 'Double check', 'Two stars at once', 'Two open doors', 'The Kings\' trap', 'A double promise'],
+    threat: ['Threat in the air', 'A line half drawn', 'Almost a victory', 'Two out of three', 'One deciding square', 'One step from triumph', 'Twelfth Night tension', 'The line is waiting', 'A road nearly done', 'A promise about to land'],
+    'center-x': ['X in the center', 'A cross at the heart', 'Center of the cross', 'X in the middle', 'A marked heart', 'The center conquered', 'The central cross', 'The center is yours'],
+    'center-o': ['O in the center', 'A circle at the heart', 'Center of the circle', 'O in the middle', 'A rounded heart', 'The center defended', 'The central circle', 'A calm center'],
+    corners: ['Corners of the Kings', 'Four points', 'From the corner', 'Edge and corner', 'The corners speak', 'A corner of stars', 'A home in the corner', 'Angle of destiny'],
+    edges: ['Along the edge', 'Sides of the board', 'Side roads', 'From the border', 'The edge is calling', 'Beside the road', 'A shining border', 'The side path'],
+  },
+
+  omens: [
+    'your star is already moving', 'the gold arrives on time', 'the myrrh keeps your secret',
+    'the incense rises with you', 'the camels know your name', 'Bethlehem is closer now',
+    'the king cake hides your surprise', 'someone leaves you a gift', 'the sky sets your pace',
+    'Twelfth Night smiles at you', 'the desert becomes a road', 'your journey is just starting to shine',
+    'a star keeps you company', 'the gift is you', 'the road lights up',
+    'your destiny changes shape', 'the Kings are waiting for you', 'the crown suits you',
+    'you found the figurine in the cake', 'your steps leave a mark', 'morning brings full shoes',
+    'your square has a story', 'the horizon opens', 'every move counts',
+    'luck changes hands', 'faith moves your pieces', 'the stars play along',
+    'your calm is worth gold', 'time is on your side', 'your intuition is right',
+    'patience brings gifts', 'your daring finds its prize', 'friends arrive together',
+    'your family celebrates with you', 'the wonder is still intact', 'mystery suits you',
+    'there is light in your next step', 'nobody else plays like this', 'history remembers your move',
+    'your shape is one of a kind',
+  ],
+
+  center: {
+    1: [
+      'X in the center gives you a steady heart, and everything turns around you',
+      'Taking the center with X says a lot about you: you go straight to what matters',
+      'With the cross in the center, you know strength comes from being in the middle of it all',
+    ],
+    2: [
+      'O keeps the center calmly, like someone tending the fire at home',
+      'With the circle in the center, your patience becomes the axis of the board',
+      'The center belongs to O: you defend what matters without raising your voice',
+    ],
+    0: [
+      'The center is still free, like a promise nobody dares to take',
+      'Nobody has taken the center yet; you prefer to circle before deciding',
+      'With an empty center, your path is written from the edges',
+    ],
+  },
+
+  fork: [
+    '{p} has a double threat: when two roads open, neither can be closed in time',
+    'The fork of {p} leaves two possible victories, and your cunning knows how to use it',
+    '{p} threatens from two sides at once: you always have a plan B',
+  ],
+
+  threat: [
+    'The air holds {n}, and a single square can change everything',
+    'You can feel {n}: you know the great turns come quietly',
+    'The board holds {n}, and your instinct knows where the next piece goes',
+  ],
+
+  win: [
+    'The {shape} of {w} seals fate, and your gift comes with it',
+    '{w} completes its {shape} and the journey ends in triumph',
+    'A perfect {shape} gives {w} the victory: the stars knew the ending',
+  ],
+
+  draw: [
+    'The board filled up without a winner, because sometimes the best ending is a shared one',
+    'Nine squares taken and no winner: your gift is bringing everyone along',
+    'Nobody completed a line, and there is old wisdom in that draw',
+  ],
+
+  quiet: [
+    'There are no threats yet, and every piece calmly looks for its place',
+    'The board breathes easy: it is time to sow, not to reap',
+    'Nobody threatens yet, and your game is one of preparation and patience',
+  ],
+
+  outcome: [
+    'with perfect play, {o}',
+    'if nobody makes a mistake, {o}',
+    'the stars reckon that, without errors, {o}',
+  ],
+
+  rarity: {
+    1: ['Your shape is unique: no turn or reflection repeats it', 'No mirror copies your board, just as nobody copies you'],
+    2: ['Only two boards share your shape, like two friends who recognize each other'],
+    4: ['Four boards share your shape, like the four points of the compass'],
+    8: ['Eight reflections share your shape, like eight roads leading to Bethlehem', 'Your shape appears in eight turns and reflections: you are everywhere'],
+  },
+
+  turn: [
+    '{t} of 9 turns played, and your story is still being written',
+    'On turn {t} of 9, the Kings already know your move',
+    'With {t} of 9 turns played, the journey has its own rhythm',
+  ],
+
+  shapes: { row: 'row', column: 'column', diagonal: 'diagonal', double: 'double line' },
+
+  threats: n => (n === 1 ? 'one threat' : `${NUMBERS_EN[n]} threats`),
+
+  // ", with two corners and one edge taken"
+  sides(corners, edges) {
+    if (corners === 0 && edges === 0) return '';
+
+    const parts = [];
+    if (corners > 0) parts.push(`${NUMBERS_EN[corners]} ${corners === 1 ? 'corner' : 'corners'}`);
+    if (edges > 0) parts.push(`${NUMBERS_EN[edges]} ${edges === 1 ? 'edge' : 'edges'}`);
+    return `, with ${parts.join(' and ')} taken`;
+  },
+
+  outcomeText(outcome, distance) {
+    if (outcome === 'draw') return 'it all ends in a draw';
+    const moves = distance === 1 ? 'one move' : `${NUMBERS_EN[distance]} moves`;
+    return `${outcome === 'x' ? 'X' : 'O'} wins in ${moves}`;
+  },
+};
+
+export const HOROSCOPE_PHRASES = { es, en };
@@ -0,0 +1,211 @@
+/**
+ * English messages. Every catalog has the same keys; see i18n/index.js
+ */
+
+export default {
+  meta: {
+    title: 'The Three Kings play tic-tac-toe',
+  },
+
+  locale: {
+    label: 'Language',
+    name: 'English',
+  },
+
+  loading: 'Loading the 765 unique states and the cosmos...',
+
+  intro: {
+    title: 'Three wise kings, three gifts.',
+    gift: 'This Three Kings Day I want to share a little of what I love with my family and friends.',
+    states: 'Here are all the possible states of tic-tac-toe. There are <strong>765</strong> of them, and I am giving one to every person I know (who lets me ;] ).',
+    connect: 'To me, the game and this exercise are a way of connecting with the people who have a place in my memories and in my life. A way of making those bonds beat. It is a way of exposing myself, of being vulnerable but real. <i>You know, like the <strong>three kings ("royals")</strong>.</i>',
+    journeyTitle: 'How near or far along your journey are you?',
+    journey: '<span translate="no">El juego del gato</span>, or <i>tic-tac-toe</i>, reminds me of people: some show up very early in our lives, like the first turns. Others arrive later, others come back, and a cross or a circle in the corner is shared by many great positions on the board. Some games have ended, but the rest of us are still playing.',
+    explore: 'Explore the boards and discover which state is yours. You will get to choose between three options.',
+    claimedHint: '<em>States stay grey until they are claimed. When someone claims their state, it lights up and comes to life on the board.</em>',
+    greeting: 'Happy Three Kings Day!',
+    claimButton: 'Discover your own state',
+    recoverButton: 'Already claimed one? Find your state',
+  },
+
+  stats: {
+    available: '{available} of {total} states available',
+  },
+
+  filters: {
+    turn: 'Turn',
+    terminal: 'Game',
+    winner: 'Winner',
+    claimed: 'Owner',
+    rarity: 'Rarity',
+    pattern: 'Pattern',
+    allMasculine: 'all',
+    allFeminine: 'all',
+    any: 'any',
+    finished: 'finished',
+    playing: 'in play',
+    draw: 'draw',
+    claimedStates: 'claimed',
+    availableStates: 'available',
+    reset: 'Clear',
+    count: 'Showing {shown} of {total} states',
+  },
+
+  view: {
+    label: 'Board view',
+    title: 'Show boards as',
+    ascii: 'text',
+    svg: 'drawing',
+    canvas: 'canvas',
+  },
+
+  board: {
+    label: 'State {id}',
+    turn: 'Turn {turn}/9',
+    rarity: 'Rarity: {rarity}',
+    finished: 'Game over',
+    perfectDraw: 'With perfect play: draw',
+    perfectWin: 'With perfect play: {winner} wins in {distance}',
+    probability: '{percent}% X wins {model}',
+  },
+
+  // Keys returned by PlayModels.describe
+  probModels: {
+    random: 'if both play at random',
+    perfect: 'if both play perfectly',
+    'perfect-vs-random': 'if X plays perfectly and O at random',
+    'random-vs-perfect': 'if X plays at random and O perfectly',
+    'epsilon-greedy': 'if both play well but slip {percent}% of the time',
+  },
+
+  claim: {
+    selectionTitle: 'The Three Kings offer you three gifts',
+    selectionHint: 'Choose the one that speaks to you most...',
+    shuffling: 'The Three Kings are preparing your gifts...',
+    emailTitle: 'Claim your unique state',
+    update: 'In a while I will send you a small update. One more surprise.',
+    nameLabel: 'Your name',
+    namePlaceholder: 'Name (optional)',
+    emailLabel: 'Your email *',
+    emailPlaceholder: 'email@example.com',
+    knowsHugo: 'I know Hugo',
+    submit: 'Claim my gift',
+    note: 'Your details secure your unique state and help me build my personal address book to stay in touch.',
+    hold: 'Your gift is set aside for you for {minutes}:{seconds}',
+    successTitle: 'Your gift has been claimed!',
+    success: 'Congratulations, <strong>{name}</strong>, your unique state has been claimed!<br>Look out for your extra surprise and remember to celebrate with friends and family.<br><br>I hope you enjoy some king cake.<br>{probability}<br>ID: {id}<br><br>Share your state: {link}',
+    defaultName: 'Friend',
+    demo: '<strong>Demo</strong> - This is an example of how your claimed state would look.<br>ID: {id}',
+    playButton: 'Play your destiny',
+    close: 'Close',
+    errorTitle: 'Something went wrong',
+    retry: 'Try again',
+  },
+
+  card: {
+    open: 'Printable card',
+    title: 'State card',
+    id: 'ID {id}',
+    scan: 'Scan to see the board',
+    svg: 'Download SVG',
+    png: 'Download PNG',
+    print: 'Print',
+    close: 'Close',
+    failed: 'The image could not be created. Try SVG or print the card.',
+  },
+
+  errors: {
+    loadPage: 'The boards could not be loaded. Reload the page to try again.',
+    loadStates: 'The available states could not be loaded. Please try again.',
+    taken: 'This state has already been claimed. Please choose another one.',
+    held: 'Someone else is claiming this state right now. Please choose another one.',
+    holdFailed: 'Your state could not be set aside. Please try again.',
+    tooManyHolds: 'Many states were set aside in a short time. Wait a few minutes and try again.',
+    holdExpired: 'Time ran out to claim this state. Please try again.',
+    claimedMeanwhile: 'Someone just claimed this state. Please choose another one.',
+    demo: 'The demo could not be loaded.',
+    invalidEmail: 'That email does not look valid. Check it and try again.',
+    invalidName: 'Your name is too long. Please use a shorter version.',
+    claimLimit: 'You have already claimed every state allowed for this email. Use "Find your state" to see yours.',
+    tooManyAttempts: 'Many states were claimed in a short time. Wait a few minutes and try again.',
+    claimFailed: 'Something went wrong while claiming your state. Please try again.',
+  },
+
+  play: {
+    title: 'Play your destiny',
+    difficulty: 'The Kings play',
+    random: 'at random',
+    heuristic: 'cunningly',
+    perfect: 'perfectly',
+    restart: 'Restart',
+    close: 'Close',
+    draw: 'A draw. Nobody takes the whole king cake.',
+    won: 'You won! Your destiny is in your hands.',
+    lost: 'This time the Three Kings win.',
+    yourTurn: 'Your turn: you play {mark}',
+    thinking: 'The Three Kings are thinking about their move...',
+  },
+
+  recover: {
+    title: 'Find your state',
+    hint: 'Enter the email you used to claim your gift. We will send you a code to confirm it is yours.',
+    emailLabel: 'Your email',
+    codeLabel: 'Code from the email',
+    sendCode: 'Send me a code',
+    sending: 'Sending the code...',
+    codeSent: 'We sent a 6-digit code to {email}. Enter it here.',
+    invalidCode: 'The code is not valid or has expired.',
+    resend: 'Send me another code',
+    tooMany: 'Too many attempts. Wait a few minutes and try again.',
+    submit: 'Find my state',
+    close: 'Close',
+    searching: 'Looking for your state...',
+    none: 'We found no claimed states for that email.',
+    many: 'You claimed {count} states:',
+    failed: 'We could not look up your state. Please try again.',
+  },
+
+  detail: {
+    title: 'State {id}',
+    invalid: 'This board does not exist in tic-tac-toe',
+    consulting: 'Consulting the stars...',
+    rarity: {
+      one: 'Rarity: {count} equivalent board',
+      other: 'Rarity: {count} equivalent boards',
+    },
+    paths: {
+      one: 'This board can be reached in only one way',
+      other: 'This board can be reached in {count} ways ({games} up to symmetry)',
+    },
+    mine: 'This is your state',
+    claimed: 'Already has an owner',
+    available: 'Available to claim',
+    variants: {
+      one: 'Your board has no twins',
+      other: 'Your board and its {twins} twins',
+    },
+    previous: 'Previous state',
+    next: 'Next state',
+    share: 'Share link',
+    copied: 'Link copied!',
+    play: 'Play from here',
+    close: 'Close',
+    shareTitle: 'My Three Kings tic-tac-toe state',
+    copyPrompt: 'Copy this link:',
+    yes: 'yes',
+    no: 'no',
+    props: {
+      id: 'ID',
+      decimalId: 'Decimal ID',
+      canonical: 'Canonical form',
+      turnCount: 'Turns played',
+      nextPlayer: 'Next player',
+      terminal: 'Finished',
+      winner: 'Winner',
+      winningLines: 'Winning lines',
+      cells: 'Squares (empty / X / O)',
+      rarity: 'Rarity',
+      sampleGame: 'One possible game',
+    },
+  },
+};
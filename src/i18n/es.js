@@ -0,0 +1,211 @@
+/**
+ * Spanish messages (default locale). Every catalog has the same keys; see i18n/index.js
+ */
+
+export default {
+  meta: {
+    title: 'Reyes magos juegan gato',
+  },
+
+  locale: {
+    label: 'Idioma',
+    name: 'Español',
+  },
+
+  loading: 'Cargando los 765 estados únicos y el cosmos...',
+
+  intro: {
+    title: 'Tres reyes magos, tres regalos.',
+    gift: 'En este día de reyes quiero regalar un poco de mis gustos a mi familia y amigos.',
+    states: 'Aquí están todos los estados posibles del juego del gato. Son <strong>765</strong> y voy a regalar uno a cada persona que conozco (y que se deje ;] ).',
+    connect: 'Me parece que el juego y este ejercicio son una forma de conectar con personas que ocupan un lugar en mis memorias y en mi vida. Una forma de hacer latir esos enlaces. Esto es una forma de exponerme, de ser vulnerable pero real. <i>Ya saben, como los <strong>reyes magos ("reales/royales")</strong>.</i>',
+    journeyTitle: '¿Qué tan cerca o lejos estás en tu viaje?',
+    journey: '<span translate="no">El juego del gato</span>, o <i>tic tac toe</i>, me recuerda a las personas pues algunas aparecen muy temprano en nuestras vidas, como los primeros turnos. Otras, llegan después, otras regresan, una cruz o un círculo en la esquina la comparten muchas y grandes posiciones del tablero. Algunas otras han concluido, pero el resto aquí seguimos jugando.',
+    explore: 'Explora los tableros y descubre cuál es tu estado. Podrás escoger entre tres opciones.',
+    claimedHint: '<em>Los estados aparecen en gris hasta que son reclamados. Cuando alguien reclama su estado, este se ilumina y cobra vida en el tablero.</em>',
+    greeting: '¡Feliz día de reyes!',
+    claimButton: 'Descubre tu propio estado',
+    recoverButton: '¿Ya reclamaste uno? Encuentra tu estado',
+  },
+
+  stats: {
+    available: '{available} de {total} estados disponibles',
+  },
+
+  filters: {
+    turn: 'Turno',
+    terminal: 'Partida',
+    winner: 'Ganador',
+    claimed: 'Dueño',
+    rarity: 'Rareza',
+    pattern: 'Patrón',
+    allMasculine: 'todos',
+    allFeminine: 'todas',
+    any: 'cualquiera',
+    finished: 'terminada',
+    playing: 'en juego',
+    draw: 'empate',
+    claimedStates: 'reclamados',
+    availableStates: 'disponibles',
+    reset: 'Limpiar',
+    count: 'Mostrando {shown} de {total} estados',
+  },
+
+  view: {
+    label: 'Vista de los tableros',
+    title: 'Ver tableros como',
+    ascii: 'texto',
+    svg: 'dibujo',
+    canvas: 'lienzo',
+  },
+
+  board: {
+    label: 'Estado {id}',
+    turn: 'Turno {turn}/9',
+    rarity: 'Rareza: {rarity}',
+    finished: 'Partida terminada',
+    perfectDraw: 'Con juego perfecto: empate',
+    perfectWin: 'Con juego perfecto: gana {winner} en {distance}',
+    probability: '{percent}% gana X {model}',
+  },
+
+  // Keys returned by PlayModels.describe
+  probModels: {
+    random: 'si ambos juegan al azar',
+    perfect: 'si ambos juegan perfecto',
+    'perfect-vs-random': 'si X juega perfecto y O al azar',
+    'random-vs-perfect': 'si X juega al azar y O perfecto',
+    'epsilon-greedy': 'si ambos juegan bien pero fallan el {percent}% de las veces',
+  },
+
+  claim: {
+    selectionTitle: 'Los Reyes Magos te ofrecen tres regalos',
+    selectionHint: 'Elige el que más resuene contigo...',
+    shuffling: 'Los Reyes Magos preparan tus regalos...',
+    emailTitle: 'Reclama tu estado único',
+    update: 'Después de un rato les daré una pequeña actualización. Una sorpresa más.',
+    nameLabel: 'Tu nombre',
+    namePlaceholder: 'Nombre (opcional)',
+    emailLabel: 'Tu email *',
+    emailPlaceholder: 'email@ejemplo.com',
+    knowsHugo: 'Conozco a Hugo',
+    submit: 'Reclamar mi regalo',
+    note: 'Los datos garantizan tu estado único y me ayudan a crear mi libreta personal para estar en contacto.',
+    hold: 'Tu regalo está apartado para ti durante {minutes}:{seconds}',
+    successTitle: '¡Tu regalo ha sido reclamado!',
+    success: '¡Enhorabuena, <strong>{name}</strong>, tu estado único ha sido reclamado!<br>Espera tu sorpresa adicional y recuerda festejar en compañía de amigos y familia.<br><br>Ojalá disfrutes rosca(s) de reyes.<br>{probability}<br>ID: {id}<br><br>Comparte tu estado: {link}',
+    defaultName: 'Amigo',
+    demo: '<strong>Demo</strong> - Este es un ejemplo de cómo se vería tu estado reclamado.<br>ID: {id}',
+    playButton: 'Juega tu destino',
+    close: 'Cerrar',
+    errorTitle: 'Algo salió mal',
+    retry: 'Intentar de nuevo',
+  },
+
+  card: {
+    open: 'Tarjeta para imprimir',
+    title: 'Tarjeta del estado',
+    id: 'ID {id}',
+    scan: 'Escanea para ver el tablero',
+    svg: 'Descargar SVG',
+    png: 'Descargar PNG',
+    print: 'Imprimir',
+    close: 'Cerrar',
+    failed: 'No se pudo crear la imagen. Intenta con SVG o imprime la tarjeta.',
+  },
+
+  errors: {
+    loadPage: 'No se pudieron cargar los tableros. Recarga la página para intentar de nuevo.',
+    loadStates: 'No se pudieron cargar los estados disponibles. Intenta de nuevo.',
+    taken: 'Este estado ya fue reclamado. Por favor elige otro.',
+    held: 'Alguien más está reclamando este estado en este momento. Por favor elige otro.',
+    holdFailed: 'No se pudo apartar tu estado. Intenta de nuevo.',
+    tooManyHolds: 'Se han apartado muchos estados en poco tiempo. Espera unos minutos e intenta de nuevo.',
+    holdExpired: 'Se acabó el tiempo para reclamar este estado. Vuelve a intentarlo.',
+    claimedMeanwhile: 'Alguien acaba de reclamar este estado. Por favor elige otro.',
+    demo: 'No se pudo cargar el demo.',
+    invalidEmail: 'Ese email no parece válido. Revísalo e intenta de nuevo.',
+    invalidName: 'Tu nombre es demasiado largo. Usa una versión más corta.',
+    claimLimit: 'Ya reclamaste todos los estados permitidos con este email. Usa "Encuentra tu estado" para ver los tuyos.',
+    tooManyAttempts: 'Se han reclamado muchos estados en poco tiempo. Espera unos minutos e intenta de nuevo.',
+    claimFailed: 'Hubo un error al reclamar tu estado. Intenta de nuevo.',
+  },
+
+  play: {
+    title: 'Juega tu destino',
+    difficulty: 'Los Reyes juegan',
+    random: 'al azar',
+    heuristic: 'con astucia',
+    perfect: 'a la perfección',
+    restart: 'Reiniciar',
+    close: 'Cerrar',
+    draw: 'Empate. Nadie se lleva la rosca entera.',
+    won: '¡Ganaste! Tu destino está en tus manos.',
+    lost: 'Esta vez ganan los Reyes Magos.',
+    yourTurn: 'Tu turno: juegas con {mark}',
+    thinking: 'Los Reyes Magos piensan su jugada...',
+  },
+
+  recover: {
+    title: 'Encuentra tu estado',
+    hint: 'Escribe el email con el que reclamaste tu regalo. Te enviaremos un código para confirmar que es tuyo.',
+    emailLabel: 'Tu email',
+    codeLabel: 'Código del correo',
+    sendCode: 'Enviarme un código',
+    sending: 'Enviando el código...',
+    codeSent: 'Te enviamos un código de 6 cifras a {email}. Escríbelo aquí.',
+    invalidCode: 'El código no es válido o ya caducó.',
+    resend: 'Enviarme otro código',
+    tooMany: 'Demasiados intentos. Espera unos minutos e intenta de nuevo.',
+    submit: 'Buscar mi estado',
+    close: 'Cerrar',
+    searching: 'Buscando tu estado...',
+    none: 'No encontramos estados reclamados con ese correo.',
+    many: 'Reclamaste {count} estados:',
+    failed: 'No pudimos buscar tu estado. Intenta de nuevo.',
+  },
+
+  detail: {
+    title: 'Estado {id}',
+    invalid: 'Este tablero no existe en el juego del gato',
+    consulting: 'Consultando a las estrellas...',
+    rarity: {
+      one: 'Rareza: {count} tablero equivalente',
+      other: 'Rareza: {count} tableros equivalentes',
+    },
+    paths: {
+      one: 'Se llega a este tablero de una sola manera',
+      other: 'Se llega a este tablero de {count} maneras ({games} sin contar simetrías)',
+    },
+    mine: 'Es tu estado',
+    claimed: 'Ya tiene dueño',
+    available: 'Disponible para reclamar',
+    variants: {
+      one: 'Tu tablero no tiene gemelos',
+      other: 'Tu tablero y sus {twins} gemelos',
+    },
+    previous: 'Estado anterior',
+    next: 'Estado siguiente',
+    share: 'Compartir enlace',
+    copied: '¡Enlace copiado!',
+    play: 'Jugar desde aquí',
+    close: 'Cerrar',
+    shareTitle: 'Mi estado del gato de Reyes',
+    copyPrompt: 'Copia este enlace:',
+    yes: 'sí',
+    no: 'no',
+    props: {
+      id: 'ID',
+      decimalId: 'ID decimal',
+      canonical: 'Forma canónica',
+      turnCount: 'Turnos jugados',
+      nextPlayer: 'Siguiente jugador',
+      terminal: 'Terminado',
+      winner: 'Ganador',
+      winningLines: 'Líneas ganadoras',
+      cells: 'Casillas (vacías / X / O)',
+      rarity: 'Rareza',
+      sampleGame: 'Una partida posible',
+    },
+  },
+};
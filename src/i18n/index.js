@@ -0,0 +1,156 @@
+/**
+ * i18n - Message catalogs, language detection and switching
+ *
+ * Catalogs (es.js, en.js) are nested objects of messages looked up by dotted
+ * key: t('errors.taken'). Messages may contain {placeholders} filled from the
+ * params, and may be an object of plural forms ({ one, other }) chosen by
+ * params.count with Intl.PluralRules. Missing keys fall back to DEFAULT_LOCALE,
+ * then to the key itself.
+ *
+ * Static markup is translated by translatePage() through attributes:
+ *
+ *   data-i18n="intro.title"                      textContent
+ *   data-i18n-html="intro.states"                innerHTML (catalog text only, never user input)
+ *   data-i18n-attr="placeholder:claim.emailPlaceholder,aria-label:..."
+ *
+ * The locale comes from, in order: the visitor's choice saved in localStorage,
+ * the browser languages (navigator.languages) and DEFAULT_LOCALE.
+ */
+
+import es from './es.js';
+import en from './en.js';
+
+export const CATALOGS = { es, en };
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+export const DEFAULT_LOCALE = 'es';
+export const LOCALE_KEY = 'reyes-gato:locale';
+
+let currentLocale = DEFAULT_LOCALE;
+const listeners = new Set();
+
+/**
+ * Supported locale for a language tag ('en-US' -> 'en'), or null
+ * @param {string} tag
+ * @returns {string|null}
+ */
+export function matchLocale(tag) {
+  const language = String(tag ?? '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Pick the locale for this visitor
+ * @param {Object} [options]
+ * @param {Storage|null} [options.storage] - Where a previous choice is saved
+ * @param {string[]} [options.languages] - Preferred languages, most preferred first
+ * @returns {string}
+ */
+export function detectLocale({
+  storage = globalThis.localStorage ?? null,
+  languages = globalThis.navigator?.languages ?? [globalThis.navigator?.language],
+} = {}) {
+  try {
+    const saved = matchLocale(storage?.getItem(LOCALE_KEY));
+    if (saved) return saved;
+  } catch (error) {
+    console.error('Error reading saved locale:', error);
+  }
+
+  for (const language of languages || []) {
+    const locale = matchLocale(language);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * @returns {string} The active locale
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Switch the active locale and notify the listeners
+ * @param {string} locale - One of SUPPORTED_LOCALES
+ * @param {Object} [options]
+ * @param {boolean} [options.persist] - Remember the choice for the next visit
+ * @param {Storage|null} [options.storage]
+ */
+export function setLocale(locale, { persist = true, storage = globalThis.localStorage ?? null } = {}) {
+  if (!CATALOGS[locale]) {
+    throw new Error(`Unsupported locale: ${locale}`);
+  }
+
+  currentLocale = locale;
+  if (persist) {
+    try {
+      storage?.setItem(LOCALE_KEY, locale);
+    } catch (error) {
+      // Private browsing may refuse storage; the choice lasts for this visit
+      console.error('Error saving locale:', error);
+    }
+  }
+  if (typeof document !== 'undefined') {
+    document.documentElement.lang = locale;
+  }
+
+  listeners.forEach(listener => listener(locale));
+}
+
+/**
+ * Call a function whenever the locale changes
+ * @param {Function} listener - Called with the new locale
+ * @returns {Function} Unsubscribe function
+ */
+export function onLocaleChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+/**
+ * Translate a message
+ * @param {string} key - Dotted path in the catalog, e.g. 'detail.title'
+ * @param {Object} [params] - Values for {placeholders}; count also selects plural forms
+ * @param {string} [locale] - Defaults to the active locale
+ * @returns {string}
+ */
+export function t(key, params = {}, locale = currentLocale) {
+  let message = lookup(CATALOGS[locale], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (message == null) {
+    console.warn(`Missing message: ${key}`);
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(locale).select(params.count ?? 0);
+    message = message[form] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+}
+
+/**
+ * Translate the data-i18n, data-i18n-html and data-i18n-attr elements under root
+ * @param {ParentNode} [root]
+ */
+export function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+
+  root.querySelectorAll('[data-i18n-html]').forEach(element => {
+    element.innerHTML = t(element.dataset.i18nHtml);
+  });
+
+  root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+    element.dataset.i18nAttr.split(',').forEach(pair => {
+      const [attribute, key] = pair.split(':').map(part => part.trim());
+      element.setAttribute(attribute, t(key));
+    });
+  });
+}
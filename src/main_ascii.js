@@ -1,58 +1,99 @@
-import { StateGenerator } from './core/StateGenerator.js';
-import { getRandomStates, claimState, getClaimStats, getClaimedStateIds } from './services/supabase.js';
+import { TicTacToeState } from './core/TicTacToeState.js';
+import { Solver } from './core/Solver.js';
+import { AIPlayer } from './core/AIPlayer.js';
+import { MoveHistory } from './core/MoveHistory.js';
+import { PlayModels } from './core/PlayModels.js';
+import { getEngine } from './services/engine.js';
+import { getStateIndex } from './services/stateIndex.js';
+import { getRenderer, canvasRenderer, createTheme, applyTheme, renderCard, cardToPng, escapeXml } from './render/index.js';
+import { getRandomStates, claimState, holdState, releaseHold, getClaimStats, getClaimedStateIds, getStateDetails, requestRecoveryCode, recoverClaims, verifyClaimTokens, subscribeToClaims } from './services/backend.js';
+import { t, detectLocale, getLocale, setLocale, onLocaleChange, translatePage } from './i18n/index.js';
 
 // Global state
+let stateIndex = null;
 let availableStates = [];
 let selectedState = null;
 let claimedStateIds = new Set();
 let justClaimedStateId = null;
+let successState = null;
+let successName = '';
+let claimingStateId = null;
+
+// Hold on the selected state while the visitor fills in the email step
+const HOLD_SECONDS = 300;
+let currentHold = null;
+let holdCountdownInterval = null;
+let statsRefreshTimeout = null;
+
+// Boards claimed from this browser, remembered with signed claim tokens
+const MY_CLAIMS_KEY = 'reyes-gato:my-claims';
+
+// How boards are drawn, chosen with the view toggle and remembered in this browser
+const BOARD_VIEW_KEY = 'reyes-gato:board-view';
+const BOARD_VIEWS = ['ascii', 'svg', 'canvas'];
+const boardTheme = createTheme();
+let boardView = 'ascii';
+// Canvas view: layout of the drawn grid and the state ID of each tile, for clicks
+let gridLayout = null;
+let gridCanvasIds = [];
+let gridRedraw = null;
+let myStateIds = new Set();
+
+// Play mode state
+let playStartState = null;
+let playState = null;
+let playHuman = null;
+let playAI = null;
+let playAITimeout = null;
+
+// Detail view state
+const STATE_ROUTE = /^#\/state\/([012]{9})$/;
+let detailState = null;
+let detailReturnFocus = null;
+// Backend row of the open detail board (horoscope), once loaded
+let detailRow = null;
+
+// Printable card being previewed (see render/card.js)
+let cardData = null;
+
+// Grid filters, kept in sync with the query string
+const FILTER_KEYS = ['turn', 'terminal', 'winner', 'claimed', 'rarity', 'q'];
+
+// Shared with the upload scripts, so what we show matches what is stored
+const solver = new Solver();
+
+// Move orders that lead to each board, for the detail view
+const moveHistory = new MoveHistory();
+
+// Perfect play for the grid boards (canonical ID -> Solver.solve result), worked out by the engine
+let perfectPlay = new Map();
 
 function renderStateBoard(state) {
-    // Create ASCII board
-    const board = [
-        ['   ', '   ', '   '],
-        ['   ', '   ', '   '],
-        ['   ', '   ', '   '],
-    ];
-
-    for (let j = 0; j < state.config.length; j++) {
-        const row = Math.floor(j / 3);
-        const col = j % 3;
-        if (state.config[j] === 1) board[row][col] = ' x ';
-        else if (state.config[j] === 2) board[row][col] = ' o ';
-    }
+    // The canvas view only draws the grid; boards elsewhere are SVG there
+    const renderer = getRenderer(boardView === 'canvas' ? 'svg' : boardView);
+    return renderer.render(state, { theme: boardTheme });
+}
 
-    // Build winning set for quick lookup
-    const winningPositions = new Set();
-    if (state.winning_lines || state.winningLines) {
-        const lines = state.winning_lines || state.winningLines;
-        lines.forEach(line => {
-            line.forEach(pos => winningPositions.add(pos));
-        });
-    }
+function describePerfectPlay(state) {
+    // Boards the engine didn't solve are solved here
+    const analysis = perfectPlay.get(state.config.join('')) || solver.solve(new TicTacToeState(state.config));
 
-    // Build HTML string with translate="no" to prevent browser translation from breaking spacing
-    let html = '<span translate="no">';
-    for (let row = 0; row < 3; row++) {
-        if (row > 0) {
-            html += '<span class="grid">---+---+---</span><br>';
-        }
+    if (analysis.distance === 0) return t('board.finished');
+    if (analysis.outcome === 'draw') return t('board.perfectDraw');
 
-        for (let col = 0; col < 3; col++) {
-            if (col > 0) {
-                html += '<span class="grid">|</span>';
-            }
+    const winner = analysis.outcome === 'x' ? 'X' : 'O';
+    return t('board.perfectWin', { winner, distance: analysis.distance });
+}
 
-            const pos = row * 3 + col;
-            const char = board[row][col];
-            const isWinning = winningPositions.has(pos) ? ' mark-winning' : '';
-            html += `<span class="mark-${char.trim().toLowerCase()}${isWinning}">${char}</span>`;
-        }
-        html += '<br>';
-    }
-    html += '</span>';
+function describeProbModel(id) {
+    const description = PlayModels.describe(id);
+    return description ? t(description.key, description.params) : '';
+}
 
-    return html;
+function describeProbabilities(state) {
+    // Older rows were filled with perfect-play 0/100 values and have no model
+    if (!state.prob_model || state.prob_x == null) return '';
+    return t('board.probability', { percent: state.prob_x, model: describeProbModel(state.prob_model) });
 }
 
 function renderStateElement(state) {
@@ -66,14 +107,23 @@ function renderStateElement(state) {
     const stateId = state.id || state.canonical_id;
     stateElement.dataset.stateId = stateId;
 
+    // Boards open the detail panel, so they must be reachable by keyboard too
+    stateElement.tabIndex = 0;
+    stateElement.setAttribute('role', 'button');
+    stateElement.setAttribute('aria-label', t('board.label', { id: stateId }));
+
     // Add claimed/unclaimed class
     if (claimedStateIds.has(stateId)) {
         stateElement.classList.add('claimed');
     } else {
         stateElement.classList.add('unclaimed');
     }
+    if (myStateIds.has(stateId)) {
+        stateElement.classList.add('mine');
+    }
 
     stateElement.innerHTML = renderStateBoard(state);
+    stateElement.title = describePerfectPlay(state);
     return stateElement;
 }
 
@@ -82,7 +132,7 @@ async function loadStats() {
         const stats = await getClaimStats();
         const statsText = document.getElementById('stats-text');
         if (statsText && stats) {
-            statsText.textContent = `${stats.available_states} de ${stats.total_states} estados disponibles`;
+            statsText.textContent = t('stats.available', { available: stats.available_states, total: stats.total_states });
         }
     } catch (error) {
         console.error('Error loading stats:', error);
@@ -92,6 +142,8 @@ async function loadStats() {
 async function loadClaimedStates() {
     try {
         claimedStateIds = await getClaimedStateIds();
+        // The claimed/unclaimed filter depends on the ids we just loaded
+        applyFilters();
 
         // Update all state elements with claimed/unclaimed classes
         const stateElements = document.querySelectorAll('.state');
@@ -109,7 +161,171 @@ async function loadClaimedStates() {
     }
 }
 
+function readClaimTokens() {
+    try {
+        return JSON.parse(localStorage.getItem(MY_CLAIMS_KEY)) || [];
+    } catch (error) {
+        console.error('Error reading claim tokens:', error);
+        return [];
+    }
+}
+
+function rememberClaims(claims) {
+    const tokens = new Set(readClaimTokens());
+    claims.forEach(claim => {
+        tokens.add(claim.claim_token);
+        myStateIds.add(claim.canonical_id);
+    });
+
+    try {
+        localStorage.setItem(MY_CLAIMS_KEY, JSON.stringify([...tokens]));
+    } catch (error) {
+        // Private browsing may refuse storage; the boards stay highlighted for this visit
+        console.error('Error saving claim tokens:', error);
+    }
+    markMyStates();
+}
+
+function markMyStates() {
+    myStateIds.forEach(stateId => {
+        const element = document.querySelector(`.state[data-state-id="${stateId}"]`);
+        if (element) element.classList.add('mine');
+    });
+}
+
+async function loadMyClaims() {
+    const tokens = readClaimTokens();
+    if (tokens.length === 0) return;
+
+    try {
+        myStateIds = await verifyClaimTokens(tokens);
+        markMyStates();
+        if (detailState && myStateIds.has(detailState.canonical)) loadDetailData(detailState);
+    } catch (error) {
+        console.error('Error verifying claim tokens:', error);
+    }
+}
+
+function openRecoverModal() {
+    document.getElementById('recover-form').reset();
+    setRecoverStep('email');
+    document.getElementById('recover-status').textContent = '';
+    document.getElementById('recover-results').innerHTML = '';
+    document.getElementById('recover-modal').classList.add('active');
+    document.getElementById('recover-email').focus();
+}
+
+function closeRecoverModal() {
+    document.getElementById('recover-modal').classList.remove('active');
+}
+
+// The recover form asks for the email first, then for the code emailed to it
+function setRecoverStep(step) {
+    const codeStep = step === 'code';
+    const code = document.getElementById('recover-code');
+    const submit = document.getElementById('recover-submit');
+
+    document.getElementById('recover-code-group').hidden = !codeStep;
+    document.getElementById('recover-email').readOnly = codeStep;
+    code.required = codeStep;
+    code.value = '';
+    submit.dataset.i18n = codeStep ? 'recover.submit' : 'recover.sendCode';
+    submit.textContent = t(submit.dataset.i18n);
+}
+
+function recoverErrorMessage(error) {
+    if (error.message.includes('Código inválido')) return t('recover.invalidCode');
+    if (error.message.includes('Demasiados intentos')) return t('recover.tooMany');
+    if (error.message.includes('Email inválido')) return t('errors.invalidEmail');
+    return t('recover.failed');
+}
+
+// Email a one-time code that proves the email is the visitor's
+async function sendRecoveryCode() {
+    const email = document.getElementById('recover-email').value;
+    const status = document.getElementById('recover-status');
+    status.textContent = t('recover.sending');
+
+    try {
+        await requestRecoveryCode(email);
+        setRecoverStep('code');
+        status.textContent = t('recover.codeSent', { email: email.trim() });
+        document.getElementById('recover-code').focus();
+    } catch (error) {
+        console.error('Error sending recovery code:', error);
+        status.textContent = recoverErrorMessage(error);
+    }
+}
+
+async function handleRecoverSubmit(e) {
+    e.preventDefault();
+
+    const email = document.getElementById('recover-email').value;
+    const status = document.getElementById('recover-status');
+    const results = document.getElementById('recover-results');
+    results.innerHTML = '';
+
+    if (document.getElementById('recover-code-group').hidden) {
+        await sendRecoveryCode();
+        return;
+    }
+
+    status.textContent = t('recover.searching');
+
+    try {
+        const claims = await recoverClaims(email, document.getElementById('recover-code').value);
+        if (claims.length === 0) {
+            status.textContent = t('recover.none');
+            return;
+        }
+
+        rememberClaims(claims);
+
+        if (claims.length === 1) {
+            closeRecoverModal();
+            location.hash = `#/state/${claims[0].canonical_id}`;
+            return;
+        }
+
+        status.textContent = t('recover.many', { count: claims.length });
+        results.innerHTML = claims
+            .map(claim => `<a class="detail-variant" href="#/state/${claim.canonical_id}" aria-label="${t('board.label', { id: claim.canonical_id })}">${renderStateBoard(TicTacToeState.fromId(claim.canonical_id))}</a>`)
+            .join('');
+    } catch (error) {
+        console.error('Error recovering claims:', error);
+        status.textContent = recoverErrorMessage(error);
+    }
+}
+
+function handleRemoteClaim(stateId) {
+    // Our own claim is handled by handleClaimSubmit and animated on close
+    if (claimedStateIds.has(stateId) || stateId === claimingStateId) return;
+
+    claimedStateIds.add(stateId);
+    const element = document.querySelector(`.state[data-state-id="${stateId}"]`);
+    if (element) {
+        element.classList.remove('unclaimed');
+        element.classList.add('claimed');
+    }
+
+    // Several claims can arrive together; refresh the counter once
+    clearTimeout(statsRefreshTimeout);
+    statsRefreshTimeout = setTimeout(loadStats, 1000);
+
+    if (getFilters().claimed) applyFilters();
+    if (detailState && detailState.canonical === stateId) loadDetailData(detailState);
+
+    // Someone else just took the board this visitor is about to claim
+    const emailStepActive = document.getElementById('step-email').classList.contains('active');
+    if (emailStepActive && selectedState && selectedState.canonical_id === stateId) {
+        showError(t('errors.claimedMeanwhile'));
+    }
+}
+
 async function openClaimModal() {
+    // Retrying drops the hold on the previous choice
+    releaseCurrentHold();
+
     const modal = document.getElementById('claim-modal');
     modal.classList.add('active');
 
@@ -122,10 +338,10 @@ async function openClaimModal() {
 
     try {
         // Fetch many states for the slot machine effect
-        const allAvailableStates = await getRandomStates();
+        const allAvailableStates = await getRandomStates(getLocale());
 
         // Fetch additional states for cycling animation
-        const extraStates = await getRandomStates();
+        const extraStates = await getRandomStates(getLocale());
         const cycleStates = [...allAvailableStates, ...extraStates];
 
         // Start slot machine animation
@@ -133,7 +349,7 @@ async function openClaimModal() {
 
     } catch (error) {
         console.error('Error fetching states:', error);
-        showError('No se pudieron cargar los estados disponibles. Intenta de nuevo.');
+        showError(t('errors.loadStates'));
     }
 }
 
@@ -187,7 +403,9 @@ function updateSlotContent(slotElement, state) {
     slotElement.innerHTML = `
         <div class="state-board">${boardHtml}</div>
         <div class="state-info">
-            Turno ${turnCount}/9
+            ${t('board.turn', { turn: turnCount })}<br>
+            ${describePerfectPlay(state)}<br>
+            ${describeProbabilities(state)}
         </div>
     `;
 }
@@ -229,8 +447,8 @@ function renderStateOptions(states) {
         option.innerHTML = `
             <div class="state-board">${boardHtml}</div>
             <div class="state-info">
-                Turno ${turnCount}/9<br>
-                Rareza: ${rareza}
+                ${t('board.turn', { turn: turnCount })}<br>
+                ${t('board.rarity', { rarity: rareza })}
             </div>
         `;
 
@@ -239,7 +457,7 @@ function renderStateOptions(states) {
     });
 }
 
-function selectState(index) {
+async function selectState(index) {
     // Get state from the slot's data attribute
     const slots = document.querySelectorAll('.state-option');
     const slotData = slots[index].dataset.stateData;
@@ -255,15 +473,70 @@ function selectState(index) {
         el.classList.toggle('selected', i === index);
     });
 
+    // Hold the state so nobody else can claim it while the email is typed
+    try {
+        const hold = await holdState(selectedState.canonical_id, HOLD_SECONDS);
+        currentHold = { token: hold.hold_token, expiresAt: Date.now() + HOLD_SECONDS * 1000 };
+    } catch (error) {
+        console.error('Error holding state:', error);
+        if (error.message.includes('Estado apartado')) {
+            showError(t('errors.held'));
+        } else if (error.message.includes('Estado no disponible')) {
+            showError(t('errors.taken'));
+        } else if (error.message.includes('Demasiados intentos')) {
+            showError(t('errors.tooManyHolds'));
+        } else {
+            showError(t('errors.holdFailed'));
+        }
+        return;
+    }
+
     // Move to email step
     setTimeout(() => {
         showEmailStep();
+        startHoldCountdown();
     }, 500);
 }
 
+function startHoldCountdown() {
+    stopHoldCountdown();
+    updateHoldCountdown();
+    holdCountdownInterval = setInterval(updateHoldCountdown, 1000);
+}
+
+function updateHoldCountdown() {
+    if (!currentHold) return;
+
+    const remaining = Math.max(0, Math.ceil((currentHold.expiresAt - Date.now()) / 1000));
+    const minutes = Math.floor(remaining / 60);
+    const seconds = String(remaining % 60).padStart(2, '0');
+    document.getElementById('hold-countdown').textContent = t('claim.hold', { minutes, seconds });
+
+    if (remaining === 0) {
+        currentHold = null;
+        showError(t('errors.holdExpired'));
+    }
+}
+
+function stopHoldCountdown() {
+    clearInterval(holdCountdownInterval);
+    holdCountdownInterval = null;
+}
+
+function releaseCurrentHold() {
+    stopHoldCountdown();
+    if (!currentHold) return;
+
+    releaseHold(currentHold.token).catch(error => {
+        console.error('Error releasing hold:', error);
+    });
+    currentHold = null;
+}
+
 function showEmailStep() {
     const display = document.getElementById('selected-state-display');
     display.innerHTML = renderStateBoard(selectedState);
+    showFormError('');
     showStep('step-email');
 }
 
@@ -275,12 +548,19 @@ function showStep(stepId) {
 }
 
 function showError(message) {
+    // Whatever went wrong, the visitor won't claim the held state from here
+    releaseCurrentHold();
     document.getElementById('error-message').textContent = message;
     showStep('step-error');
 }
 
+function showFormError(message) {
+    document.getElementById('claim-form-error').textContent = message;
+}
+
 function closeModal() {
     document.getElementById('claim-modal').classList.remove('active');
+    releaseCurrentHold();
 
     // Animate the claimed state on the board if one was just claimed
     if (justClaimedStateId) {
@@ -321,15 +601,17 @@ async function openDemoMode() {
 
     try {
         // Get a random state
-        const states = await getRandomStates();
+        const states = await getRandomStates(getLocale());
         const demoState = states[0];
+        successState = demoState;
+        successName = '';
 
         // Show success screen
         const display = document.getElementById('claimed-state-display');
         display.innerHTML = renderStateBoard(demoState);
 
         const message = document.getElementById('success-message');
-        message.innerHTML = `<strong>Demo</strong> - Este es un ejemplo de cómo se vería tu estado reclamado.<br>ID: ${demoState.canonical_id}`;
+        message.innerHTML = t('claim.demo', { id: demoState.canonical_id });
 
         showStep('step-success');
 
@@ -338,7 +620,7 @@ async function openDemoMode() {
 
     } catch (error) {
         console.error('Error in demo mode:', error);
-        showError('No se pudo cargar el demo.');
+        showError(t('errors.demo'));
     }
 }
 
@@ -347,19 +629,36 @@ async function handleClaimSubmit(e) {
 
     const email = document.getElementById('user-email').value;
     const nombre = document.getElementById('user-name').value;
+    showFormError('');
+
+    claimingStateId = selectedState.canonical_id;
 
     try {
-        const claimed = await claimState(selectedState.canonical_id, email, nombre);
+        const claimed = await claimState(selectedState.canonical_id, email, nombre, currentHold && currentHold.token, getLocale());
+
+        // The hold is consumed by the claim
+        stopHoldCountdown();
+        currentHold = null;
 
         // Store the claimed state ID for animation when modal closes
         justClaimedStateId = claimed.canonical_id;
+        successState = claimed;
+        successName = nombre;
+
+        // Keep the signed token so this browser recognizes the board later
+        if (claimed.claim_token) rememberClaims([claimed]);
 
         // Show success
         const display = document.getElementById('claimed-state-display');
         display.innerHTML = renderStateBoard(claimed);
 
         const message = document.getElementById('success-message');
-        message.innerHTML = `¡Enhorabuena, <strong>${nombre || 'Amigo'}</strong>, tu estado único ha sido reclamado!<br>Espera tu sorpresa adicional y recuerda festejar en compañía de amigos y familia.<br><br>Ojalá disfrutes rosca(s) de reyes.<br>ID: ${claimed.canonical_id}`;
+        message.innerHTML = t('claim.success', {
+            name: nombre ? escapeXml(nombre) : t('claim.defaultName'),
+            probability: describeProbabilities(claimed),
+            id: claimed.canonical_id,
+            link: `<a href="#/state/${claimed.canonical_id}">${statePermalink(claimed.canonical_id)}</a>`,
+        });
 
         showStep('step-success');
 
@@ -369,13 +668,30 @@ async function handleClaimSubmit(e) {
         // Reload stats and update claimed states
         await loadStats();
         claimedStateIds.add(claimed.canonical_id);
+        claimingStateId = null;
 
     } catch (error) {
         console.error('Error claiming state:', error);
+        const stateId = claimingStateId;
+        claimingStateId = null;
+
         if (error.message.includes('Estado no disponible')) {
-            showError('Este estado ya fue reclamado. Por favor elige otro.');
+            // Someone else got it first: show it as claimed on the board too
+            handleRemoteClaim(stateId);
+            showError(t('errors.taken'));
+        } else if (error.message.includes('Estado apartado')) {
+            showError(t('errors.held'));
+        } else if (error.message.includes('Email inválido')) {
+            // Fixable on the same step, keeping the hold
+            showFormError(t('errors.invalidEmail'));
+        } else if (error.message.includes('Nombre inválido')) {
+            showFormError(t('errors.invalidName'));
+        } else if (error.message.includes('Límite de reclamos alcanzado')) {
+            showError(t('errors.claimLimit'));
+        } else if (error.message.includes('Demasiados intentos')) {
+            showError(t('errors.tooManyAttempts'));
         } else {
-            showError('Hubo un error al reclamar tu estado. Intenta de nuevo.');
+            showError(t('errors.claimFailed'));
         }
     }
 }
@@ -437,16 +753,612 @@ function makeInteractive(displayElement) {
     }
 }
 
-function init() {
-    // Show loading overlay
+function openPlayMode(state) {
+    playStartState = state;
+    document.getElementById('play-modal').classList.add('active');
+    startPlay();
+}
+
+function startPlay() {
+    clearTimeout(playAITimeout);
+    playState = playStartState;
+    // The visitor plays whoever moves next from the chosen board
+    playHuman = playState.nextPlayerFirstPlayerX;
+    playAI = new AIPlayer(document.getElementById('play-difficulty').value, solver);
+    renderPlay();
+}
+
+function renderPlay() {
+    const boardElement = document.getElementById('play-board');
+    boardElement.innerHTML = renderStateBoard(playState);
+    boardElement.classList.toggle('waiting', !isHumanTurn());
+    document.getElementById('play-status').textContent = describePlayStatus();
+}
+
+function isHumanTurn() {
+    return !playState.isTerminal && playState.nextPlayerFirstPlayerX === playHuman;
+}
+
+function describePlayStatus() {
+    if (playState.isTerminal) {
+        if (!playState.hasWinner) return t('play.draw');
+        return playState.winners.includes(playHuman)
+            ? t('play.won')
+            : t('play.lost');
+    }
+
+    if (isHumanTurn()) {
+        return t('play.yourTurn', { mark: playHuman === 1 ? 'X' : 'O' });
+    }
+    return t('play.thinking');
+}
+
+function handlePlayClick(e) {
+    const cell = e.target.closest('[data-pos]');
+    if (!cell || !isHumanTurn()) return;
+
+    const position = Number(cell.dataset.pos);
+    if (playState.config[position] !== 0) return;
+
+    playState = playState.makeMove(position);
+    renderPlay();
+
+    if (!playState.isTerminal) {
+        playAITimeout = setTimeout(playAIMove, 600);
+    }
+}
+
+function playAIMove() {
+    playState = playState.makeMove(playAI.chooseMove(playState));
+    renderPlay();
+}
+
+function handleDifficultyChange(e) {
+    playAI = new AIPlayer(e.target.value, solver);
+}
+
+function closePlayMode() {
+    clearTimeout(playAITimeout);
+    document.getElementById('play-modal').classList.remove('active');
+}
+
+function handleStateClick(e) {
+    const stateElement = e.target.closest('.state');
+    if (!stateElement) return;
+    detailReturnFocus = stateElement;
+    location.hash = `#/state/${stateElement.dataset.stateId}`;
+}
+
+function handleGridCanvasClick(e) {
+    if (!gridLayout) return;
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const index = gridLayout.boardAt(e.clientX - bounds.left, e.clientY - bounds.top);
+    if (index >= 0) {
+        location.hash = `#/state/${gridCanvasIds[index]}`;
+    }
+}
+
+function handleStateKeydown(e) {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    handleStateClick(e);
+}
+
+function playSuccessState() {
+    const state = new TicTacToeState(successState.config);
+    closeModal();
+    openPlayMode(state);
+}
+
+function statePermalink(stateId) {
+    return `${location.origin}${location.pathname}${location.search}#/state/${stateId}`;
+}
+
+function handleRoute() {
+    const match = location.hash.match(STATE_ROUTE);
+    if (match) {
+        openDetailView(match[1]);
+    } else {
+        hideDetailView();
+    }
+}
+
+function clearRoute() {
+    history.replaceState(null, '', location.pathname + location.search);
+    hideDetailView();
+}
+
+function openDetailView(stateId) {
+    const state = TicTacToeState.fromId(stateId);
+    document.getElementById('detail-modal').classList.add('active');
+
+    if (!state.isReachable) {
+        detailState = null;
+        document.getElementById('detail-title').textContent = t('detail.invalid');
+        document.getElementById('detail-body').style.display = 'none';
+        document.getElementById('detail-share').style.display = 'none';
+        document.getElementById('detail-play').style.display = 'none';
+        document.getElementById('detail-card').style.display = 'none';
+        return;
+    }
+
+    // Links may use any orientation of the board; always show the canonical one
+    if (state.canonical !== stateId) {
+        history.replaceState(null, '', `#/state/${state.canonical}`);
+    }
+
+    detailState = stateIndex.getStateById(state.canonical);
+    detailRow = null;
+    document.getElementById('detail-body').style.display = '';
+    document.getElementById('detail-share').style.display = '';
+    document.getElementById('detail-play').style.display = '';
+    document.getElementById('detail-card').style.display = '';
+    renderDetailView(detailState, null);
+    loadDetailData(detailState);
+}
+
+async function loadDetailData(state) {
+    try {
+        const details = await getStateDetails(state.canonical, getLocale());
+        // Ignore late answers for a board the visitor already left
+        if (details && detailState === state) {
+            renderDetailView(state, details);
+        }
+    } catch (error) {
+        console.error('Error loading state details:', error);
+        if (detailState === state) {
+            document.getElementById('detail-horoscope').textContent = '';
+        }
+    }
+}
+
+function renderDetailView(state, details) {
+    if (details) detailRow = details;
+    const claimed = details ? details.is_claimed : claimedStateIds.has(state.canonical);
+    const variants = stateIndex.getEquivalentStates(state.canonical);
+
+    document.getElementById('detail-title').textContent = t('detail.title', { id: state.canonical });
+    document.getElementById('detail-board').innerHTML = renderStateBoard(state);
+
+    const horoscope = document.getElementById('detail-horoscope');
+    if (details) {
+        // Backend text, possibly from a provider or a catalog: never markup
+        const corto = document.createElement('strong');
+        corto.textContent = details.horoscope_corto;
+        horoscope.replaceChildren(corto, document.createElement('br'), details.horoscope_completo ?? '');
+    } else {
+        horoscope.textContent = t('detail.consulting');
+    }
+
+    const stats = [
+        t('board.turn', { turn: state.turnCount }),
+        t('detail.rarity', { count: variants.length }),
+        t('detail.paths', {
+            count: moveHistory.countSequences(state),
+            games: moveHistory.countCanonicalSequences(state),
+        }),
+        describePerfectPlay(state),
+        details ? describeProbabilities(details) : '',
+        myStateIds.has(state.canonical) ? t('detail.mine') : (claimed ? t('detail.claimed') : t('detail.available')),
+    ];
+    document.getElementById('detail-stats').innerHTML = stats
+        .filter(Boolean)
+        .map(stat => `<li>${stat}</li>`)
+        .join('');
+
+    document.getElementById('detail-properties').innerHTML = describeProperties(state, details, variants.length)
+        .map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`)
+        .join('');
+
+    const { previousId, nextId } = getGridNeighbours(state.canonical);
+    document.getElementById('detail-prev').disabled = !previousId;
+    document.getElementById('detail-next').disabled = !nextId;
+
+    document.getElementById('detail-variants-title').textContent = t('detail.variants', {
+        count: variants.length,
+        twins: variants.length - 1,
+    });
+    document.getElementById('detail-variants').innerHTML = variants
+        .map(variant => `<div class="detail-variant">${renderStateBoard(variant)}</div>`)
+        .join('');
+}
+
+function describeProperties(state, details, rarezaCount) {
+    const mark = player => ['—', 'X', 'O'][player] || '—';
+    const yesNo = value => value ? t('detail.yes') : t('detail.no');
+    const props = state.toObject();
+
+    return [
+        [t('detail.props.id'), props.id],
+        [t('detail.props.decimalId'), props.decimalId],
+        [t('detail.props.canonical'), props.canonical],
+        [t('detail.props.turnCount'), props.turnCount],
+        [t('detail.props.nextPlayer'), props.isTerminal ? '—' : mark(props.nextPlayerFirstPlayerX)],
+        [t('detail.props.terminal'), yesNo(props.isTerminal)],
+        [t('detail.props.winner'), props.winners.length > 0 ? props.winners.map(mark).join(', ') : '—'],
+        [t('detail.props.winningLines'), props.winningLines.length > 0 ? props.winningLines.map(line => line.join('-')).join(' · ') : '—'],
+        [t('detail.props.cells'), `${props.count0} / ${props.count1} / ${props.count2}`],
+        [t('detail.props.rarity'), details?.rareza_count ?? rarezaCount],
+        [t('detail.props.sampleGame'), MoveHistory.serialize(moveHistory.sequences(state).next().value || []) || '—'],
+    ];
+}
+
+function getGridNeighbours(stateId) {
+    // Follow the grid ordering, skipping boards hidden from the grid
+    const ids = Array.from(document.querySelectorAll('#all-states .state'))
+        .filter(element => !element.hidden)
+        .map(element => element.dataset.stateId);
+    const index = ids.indexOf(stateId);
+
+    return {
+        previousId: index > 0 ? ids[index - 1] : null,
+        nextId: index !== -1 && index < ids.length - 1 ? ids[index + 1] : null,
+    };
+}
+
+function showNeighbourState(direction) {
+    if (!detailState) return;
+
+    const { previousId, nextId } = getGridNeighbours(detailState.canonical);
+    const stateId = direction < 0 ? previousId : nextId;
+    if (!stateId) return;
+
+    detailReturnFocus = document.querySelector(`.state[data-state-id="${stateId}"]`);
+    history.replaceState(null, '', `#/state/${stateId}`);
+    openDetailView(stateId);
+}
+
+function handleDetailKeydown(e) {
+    if (!document.getElementById('detail-modal').classList.contains('active')) return;
+    // The card opens on top of the detail view and takes the keys
+    if (document.getElementById('card-modal').classList.contains('active')) return;
+
+    if (e.key === 'ArrowLeft') showNeighbourState(-1);
+    else if (e.key === 'ArrowRight') showNeighbourState(1);
+    else if (e.key === 'Escape') clearRoute();
+}
+
+function hideDetailView() {
+    const wasOpen = document.getElementById('detail-modal').classList.contains('active');
+    detailState = null;
+    document.getElementById('detail-modal').classList.remove('active');
+
+    if (wasOpen && detailReturnFocus) {
+        detailReturnFocus.focus();
+        detailReturnFocus = null;
+    }
+}
+
+async function shareDetailState() {
+    const url = statePermalink(detailState.canonical);
+    const button = document.getElementById('detail-share');
+
+    try {
+        if (navigator.share) {
+            await navigator.share({ title: t('detail.shareTitle'), url });
+            return;
+        }
+        await navigator.clipboard.writeText(url);
+        button.textContent = t('detail.copied');
+        setTimeout(() => {
+            button.textContent = t('detail.share');
+        }, 2000);
+    } catch (error) {
+        console.error('Error sharing state:', error);
+        window.prompt(t('detail.copyPrompt'), url);
+    }
+}
+
+function playDetailState() {
+    const state = detailState;
+    clearRoute();
+    openPlayMode(state);
+}
+
+function buildCard(state, { name = '', horoscope = null } = {}) {
+    const id = state.canonical_id || state.canonical;
+    return {
+        id,
+        state,
+        url: statePermalink(id),
+        name,
+        horoscope,
+        labels: {
+            heading: t('meta.title'),
+            id: t('card.id', { id }),
+            rarity: t('detail.rarity', { count: stateIndex.getRarity(id) }),
+            scan: t('card.scan'),
+        },
+    };
+}
+
+function openCardModal(card) {
+    cardData = card;
+    document.getElementById('card-preview').innerHTML = renderCard(card, { theme: boardTheme });
+    document.getElementById('card-status').textContent = '';
+    document.getElementById('card-modal').classList.add('active');
+    document.getElementById('card-png').focus();
+}
+
+function closeCardModal() {
+    cardData = null;
+    document.getElementById('card-modal').classList.remove('active');
+    document.getElementById('card-preview').innerHTML = '';
+}
+
+function handleCardKeydown(e) {
+    if (e.key === 'Escape' && document.getElementById('card-modal').classList.contains('active')) {
+        closeCardModal();
+    }
+}
+
+function openSuccessCard() {
+    openCardModal(buildCard(successState, {
+        name: successName,
+        horoscope: { corto: successState.horoscope_corto, completo: successState.horoscope_completo },
+    }));
+}
+
+function openDetailCard() {
+    // Owners' names aren't public, so detail cards carry none
+    const horoscope = detailRow ? { corto: detailRow.horoscope_corto, completo: detailRow.horoscope_completo } : null;
+    openCardModal(buildCard(detailState, { horoscope }));
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function downloadCardSvg() {
+    const svg = renderCard(cardData, { theme: boardTheme });
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `gato-${cardData.id}.svg`);
+}
+
+async function downloadCardPng() {
+    const card = cardData;
+    try {
+        const png = await cardToPng(renderCard(card, { theme: boardTheme }));
+        downloadBlob(png, `gato-${card.id}.png`);
+    } catch (error) {
+        console.error('Error exporting card:', error);
+        document.getElementById('card-status').textContent = t('card.failed');
+    }
+}
+
+function printCard() {
+    // The print stylesheet shows only #print-area, with the paper-white card
+    const area = document.getElementById('print-area');
+    area.innerHTML = renderCard(cardData, { theme: boardTheme, print: true });
+    window.addEventListener('afterprint', () => {
+        area.innerHTML = '';
+    }, { once: true });
+    window.print();
+}
+
+function readFiltersFromUrl() {
+    const form = document.getElementById('state-filters');
+    const params = new URLSearchParams(location.search);
+
+    FILTER_KEYS.forEach(key => {
+        form.elements[key].value = params.get(key) || '';
+    });
+}
+
+function getFilters() {
+    const form = document.getElementById('state-filters');
+    return Object.fromEntries(FILTER_KEYS.map(key => [key, form.elements[key].value.trim()]));
+}
+
+function syncFiltersToUrl(filters) {
+    const params = new URLSearchParams();
+    FILTER_KEYS.forEach(key => {
+        if (filters[key]) params.set(key, filters[key]);
+    });
+
+    const query = params.toString();
+    history.replaceState(null, '', `${location.pathname}${query ? '?' + query : ''}${location.hash}`);
+}
+
+/**
+ * Normalize a search pattern: 9 characters of 0/1/2 (or x/o) with ? as wildcard
+ * @returns {string|null} Normalized pattern, or null if it isn't valid
+ */
+function parsePattern(pattern) {
+    const normalized = pattern.toLowerCase().replace(/x/g, '1').replace(/o/g, '2');
+    return /^[012?]{9}$/.test(normalized) ? normalized : null;
+}
+
+function matchesPattern(stateId, pattern) {
+    for (let i = 0; i < pattern.length; i++) {
+        if (pattern[i] !== '?' && pattern[i] !== stateId[i]) return false;
+    }
+    return true;
+}
+
+// Runs on StateIndex records, which share these property names with TicTacToeState
+function buildFilterPredicate(filters, pattern) {
+    return state => {
+        if (!state.isReachable) return false;
+        if (filters.turn && state.turnCount !== Number(filters.turn)) return false;
+        if (filters.terminal && state.isTerminal !== (filters.terminal === 'yes')) return false;
+        if (filters.winner === 'x' && !state.winners.includes(1)) return false;
+        if (filters.winner === 'o' && !state.winners.includes(2)) return false;
+        if (filters.winner === 'draw' && !(state.isTerminal && !state.hasWinner)) return false;
+        if (filters.claimed && claimedStateIds.has(state.canonical) !== (filters.claimed === 'yes')) return false;
+        if (filters.rarity && stateIndex.getRarity(state.id) !== Number(filters.rarity)) return false;
+        // Patterns match any orientation of a board, not only the canonical one
+        if (pattern && !matchesPattern(state.id, pattern)) return false;
+        return true;
+    };
+}
+
+function applyFilters() {
+    const filters = getFilters();
+    const pattern = filters.q ? parsePattern(filters.q) : null;
+    const patternInput = document.getElementById('state-filters').elements.q;
+    patternInput.setAttribute('aria-invalid', String(Boolean(filters.q) && !pattern));
+
+    const matching = new Set(
+        stateIndex.filterByProperty(buildFilterPredicate(filters, pattern)).map(state => state.canonical)
+    );
+
+    const stateElements = document.querySelectorAll('#all-states .state');
+    stateElements.forEach(element => {
+        element.hidden = !matching.has(element.dataset.stateId);
+    });
+
+    const isFiltered = FILTER_KEYS.some(key => filters[key]);
+    document.getElementById('filter-count').textContent = isFiltered
+        ? t('filters.count', { shown: matching.size, total: stateElements.length })
+        : '';
+
+    syncFiltersToUrl(filters);
+}
+
+function readBoardView() {
+    try {
+        const saved = localStorage.getItem(BOARD_VIEW_KEY);
+        return BOARD_VIEWS.includes(saved) ? saved : 'ascii';
+    } catch (error) {
+        console.error('Error reading board view:', error);
+        return 'ascii';
+    }
+}
+
+function setBoardView(view, { persist = true } = {}) {
+    const changed = view !== boardView;
+    boardView = view;
+    if (persist) {
+        try {
+            localStorage.setItem(BOARD_VIEW_KEY, view);
+        } catch (error) {
+            // Private browsing may refuse storage; the view lasts for this visit
+            console.error('Error saving board view:', error);
+        }
+    }
+
+    document.querySelectorAll('[data-view]').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.view === view));
+    });
+
+    // The grid stays in the page in the canvas view, for keyboards and screen readers
+    document.getElementById('all-states').classList.toggle('canvas-view', view === 'canvas');
+    document.getElementById('all-states-canvas').hidden = view !== 'canvas';
+    if (changed) {
+        document.querySelectorAll('#all-states .state').forEach(element => {
+            element.innerHTML = renderStateBoard(stateIndex.getStateById(element.dataset.stateId));
+        });
+    }
+    drawGridCanvas();
+}
+
+/**
+ * Paint the visible grid boards on the canvas, in the order of the grid
+ */
+function drawGridCanvas() {
+    if (boardView !== 'canvas') {
+        gridLayout = null;
+        return;
+    }
+
+    const elements = [...document.querySelectorAll('#all-states .state')].filter(element => !element.hidden);
+    gridCanvasIds = elements.map(element => element.dataset.stateId);
+    gridLayout = canvasRenderer.drawAll(document.getElementById('all-states-canvas'), elements.map(element => ({
+        state: stateIndex.getStateById(element.dataset.stateId),
+        dimmed: element.classList.contains('unclaimed'),
+        highlighted: element.classList.contains('mine'),
+    })), { theme: boardTheme, pixelRatio: window.devicePixelRatio || 1 });
+}
+
+// Claims, filters and resizes change the grid; redraw the canvas once per frame
+function scheduleGridRedraw() {
+    if (boardView !== 'canvas' || gridRedraw) return;
+    gridRedraw = requestAnimationFrame(() => {
+        gridRedraw = null;
+        drawGridCanvas();
+    });
+}
+
+function updateLocaleSwitcher() {
+    document.querySelectorAll('[data-locale]').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.locale === getLocale()));
+    });
+}
+
+function handleLocaleChange() {
+    translatePage();
+    updateLocaleSwitcher();
+
+    // Texts built from code: grid labels, counters and the open detail view
+    document.querySelectorAll('#all-states .state').forEach(element => {
+        element.setAttribute('aria-label', t('board.label', { id: element.dataset.stateId }));
+        element.title = describePerfectPlay(TicTacToeState.fromId(element.dataset.stateId));
+    });
+    loadStats();
+    applyFilters();
+    if (detailState) {
+        renderDetailView(detailState, null);
+        loadDetailData(detailState);
+    }
+}
+
+function setLoadingProgress(fraction) {
+    const percent = Math.round(fraction * 100);
+    const progress = document.getElementById('loading-progress');
+    progress.setAttribute('aria-valuenow', String(percent));
+    progress.querySelector('.loading-progress-bar').style.width = `${percent}%`;
+}
+
+// Progress handler for one of the equal steps of the initial load
+function trackLoading(step, steps) {
+    return ({ done, total }) => setLoadingProgress((step + done / total) / steps);
+}
+
+// Fade the loading overlay out, then take it off the page
+function hideLoadingOverlay() {
     const loadingOverlay = document.getElementById('initial-loading');
+    loadingOverlay.classList.add('hidden');
+    setTimeout(() => {
+        loadingOverlay.style.display = 'none';
+    }, 500);
+}
 
-    // Generate states
-    const stateGenerator = new StateGenerator();
-    stateGenerator.generateAll();
-    const canonicalStates = stateGenerator.getCanonicalValidStatesFirstPlayerX();
+async function init() {
+    applyTheme(document.documentElement, boardTheme);
+    boardView = readBoardView();
+
+    // Language: saved choice, then the browser's, then Spanish
+    setLocale(detectLocale(), { persist: false });
+    translatePage();
+    updateLocaleSwitcher();
+
+    // Load the state index, then solve the boards, off the page where possible
+    stateIndex = await getStateIndex({ onProgress: trackLoading(0, 2) });
+    setLoadingProgress(1 / 2);
+    onLocaleChange(handleLocaleChange);
+    document.querySelectorAll('[data-locale]').forEach(button => {
+        button.addEventListener('click', () => {
+            if (button.dataset.locale !== getLocale()) setLocale(button.dataset.locale);
+        });
+    });
+    const canonicalStates = stateIndex.getCanonicalReachableStates();
     canonicalStates.sort((a, b) => a.turnCount - b.turnCount || a.id - b.id);
 
+    try {
+        const ids = canonicalStates.map(state => state.id);
+        perfectPlay = new Map(Object.entries(await getEngine().run('solve', { ids }, { onProgress: trackLoading(1, 2) })));
+    } catch (error) {
+        console.error('Error solving states:', error);
+    }
+    setLoadingProgress(1);
+
     const allElement = document.getElementById("all-states");
 
     for (let i = 0; i < canonicalStates.length; i++) {
@@ -454,13 +1366,30 @@ function init() {
         allElement.appendChild(renderStateElement(state));
     }
 
-    // Hide loading overlay after states are generated
-    setTimeout(() => {
-        loadingOverlay.classList.add('hidden');
-        setTimeout(() => {
-            loadingOverlay.style.display = 'none';
-        }, 500);
-    }, 500);
+    // Hide loading overlay once the states are drawn
+    hideLoadingOverlay();
+
+    // Board view toggle; the canvas view follows every change to the grid
+    setBoardView(boardView, { persist: false });
+    document.querySelectorAll('[data-view]').forEach(button => {
+        button.addEventListener('click', () => setBoardView(button.dataset.view));
+    });
+    new MutationObserver(scheduleGridRedraw).observe(allElement, {
+        subtree: true,
+        childList: true,
+        attributes: true,
+        attributeFilter: ['class', 'hidden'],
+    });
+    window.addEventListener('resize', scheduleGridRedraw);
+    document.getElementById('all-states-canvas').addEventListener('click', handleGridCanvasClick);
+
+    // Restore filters from the URL so filtered views can be shared
+    const filtersForm = document.getElementById('state-filters');
+    readFiltersFromUrl();
+    applyFilters();
+    filtersForm.addEventListener('input', applyFilters);
+    filtersForm.addEventListener('submit', e => e.preventDefault());
+    filtersForm.addEventListener('reset', () => setTimeout(applyFilters));
 
     // Load stats
     loadStats();
@@ -468,11 +1397,58 @@ function init() {
     // Load claimed states and update display
     loadClaimedStates();
 
+    // Highlight the boards this browser claimed before
+    loadMyClaims();
+
+    // Keep claims made by other visitors in sync while the page is open
+    subscribeToClaims(handleRemoteClaim);
+
     // Setup modal event listeners
     document.getElementById('claim-button').addEventListener('click', openClaimModal);
     document.getElementById('modal-done').addEventListener('click', closeModal);
     document.getElementById('retry-button').addEventListener('click', openClaimModal);
     document.getElementById('claim-form').addEventListener('submit', handleClaimSubmit);
+    document.getElementById('play-claimed').addEventListener('click', playSuccessState);
+    document.getElementById('card-claimed').addEventListener('click', openSuccessCard);
+
+    // Recover a forgotten board by email
+    document.getElementById('recover-button').addEventListener('click', openRecoverModal);
+    document.getElementById('recover-form').addEventListener('submit', handleRecoverSubmit);
+    document.getElementById('recover-resend').addEventListener('click', sendRecoveryCode);
+    document.getElementById('recover-results').addEventListener('click', e => {
+        if (e.target.closest('a')) closeRecoverModal();
+    });
+    document.getElementById('recover-close').addEventListener('click', closeRecoverModal);
+    document.querySelector('#recover-modal .modal-backdrop').addEventListener('click', closeRecoverModal);
+
+    // Any board in the grid opens its detail panel
+    allElement.addEventListener('click', handleStateClick);
+    allElement.addEventListener('keydown', handleStateKeydown);
+    document.getElementById('play-board').addEventListener('click', handlePlayClick);
+    document.getElementById('play-difficulty').addEventListener('change', handleDifficultyChange);
+    document.getElementById('play-restart').addEventListener('click', startPlay);
+    document.getElementById('play-close').addEventListener('click', closePlayMode);
+    document.querySelector('#play-modal .modal-backdrop').addEventListener('click', closePlayMode);
+
+    // Detail view, routed through #/state/<id> so boards can be shared
+    document.getElementById('detail-share').addEventListener('click', shareDetailState);
+    document.getElementById('detail-play').addEventListener('click', playDetailState);
+    document.getElementById('detail-card').addEventListener('click', openDetailCard);
+    document.getElementById('detail-close').addEventListener('click', clearRoute);
+    document.getElementById('detail-prev').addEventListener('click', () => showNeighbourState(-1));
+    document.getElementById('detail-next').addEventListener('click', () => showNeighbourState(1));
+    document.addEventListener('keydown', handleDetailKeydown);
+
+    // Printable card, from the success screen and the detail view
+    document.getElementById('card-svg').addEventListener('click', downloadCardSvg);
+    document.getElementById('card-png').addEventListener('click', downloadCardPng);
+    document.getElementById('card-print').addEventListener('click', printCard);
+    document.getElementById('card-close').addEventListener('click', closeCardModal);
+    document.querySelector('#card-modal .modal-backdrop').addEventListener('click', closeCardModal);
+    document.addEventListener('keydown', handleCardKeydown);
+    document.querySelector('#detail-modal .modal-backdrop').addEventListener('click', clearRoute);
+    window.addEventListener('hashchange', handleRoute);
+    handleRoute();
 
     // Close modal on backdrop click (with touch support for mobile)
     const backdrop = document.querySelector('.modal-backdrop');
@@ -483,9 +1459,20 @@ function init() {
     }); */
 }
 
+// Without the state index there are no boards to show, so say so instead of loading forever
+async function start() {
+    try {
+        await init();
+    } catch (error) {
+        console.error('Error loading the page:', error);
+        document.getElementById('load-error').textContent = t('errors.loadPage');
+        hideLoadingOverlay();
+    }
+}
+
 // Start when DOM is ready
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+    document.addEventListener('DOMContentLoaded', start);
 } else {
-    init();
+    start();
 }
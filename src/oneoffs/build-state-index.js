@@ -0,0 +1,55 @@
+/**
+ * Build the precomputed state index the app loads at startup
+ *
+ * Generates every 3×3 configuration with StateGenerator and writes the
+ * compact StateIndex (see src/core/StateIndex.js) to public/state-index.bin,
+ * which Vite serves in development and copies into the build. The app falls
+ * back to generating the states itself when the file is missing.
+ *
+ * Usage:
+ * node src/oneoffs/build-state-index.js
+ *
+ * Runs before `npm run dev` and `npm run build`.
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { StateGenerator } from '../core/StateGenerator.js';
+import { StateIndex } from '../core/StateIndex.js';
+
+export const STATE_INDEX_FILE = join(dirname(fileURLToPath(import.meta.url)), '../../public/state-index.bin');
+
+/**
+ * Generate the states and index them
+ * @returns {{ index: StateIndex, generator: StateGenerator }}
+ */
+export function buildStateIndex() {
+  // Los conteos del generador no aportan nada aquí
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const generator = new StateGenerator();
+    generator.generateAll();
+    return { index: StateIndex.build(generator), generator };
+  } finally {
+    console.log = log;
+  }
+}
+
+// ============================================
+// EJECUCIÓN
+// ============================================
+
+function main() {
+  const { index } = buildStateIndex();
+  const buffer = index.toBuffer();
+
+  mkdirSync(dirname(STATE_INDEX_FILE), { recursive: true });
+  writeFileSync(STATE_INDEX_FILE, buffer);
+  console.log(`✅ Índice de estados: ${index.count} configuraciones, ${buffer.byteLength} bytes`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
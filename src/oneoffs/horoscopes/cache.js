@@ -0,0 +1,76 @@
+/**
+ * Horoscope cache - One JSON file per canonical_id on disk
+ *
+ * Generated horoscopes are written as soon as each batch finishes, so an
+ * interrupted run resumes where it stopped and a failed batch only costs
+ * its own states. Entries that no longer validate are ignored.
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { validateHoroscope } from './schema.js';
+
+/**
+ * Create a cache stored in a directory
+ * @param {string} dir - Created if it doesn't exist
+ * @returns {Object} { dir, get, set, ids }
+ */
+export function createDiskCache(dir) {
+  mkdirSync(dir, { recursive: true });
+
+  const fileFor = id => join(dir, `${id}.json`);
+
+  /**
+   * @param {string} id - Canonical ID
+   * @returns {Object|null} { id, corto, completo, provider, generatedAt }
+   */
+  function get(id) {
+    const file = fileFor(id);
+    if (!existsSync(file)) return null;
+
+    try {
+      const entry = JSON.parse(readFileSync(file, 'utf8'));
+      return entry.id === id && validateHoroscope(entry).length === 0 ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @param {Object} horoscope - { id, corto, completo }
+   * @param {string} provider - Name of the provider that generated it
+   */
+  function set(horoscope, provider) {
+    const entry = { ...horoscope, provider, generatedAt: new Date().toISOString() };
+    // Write then rename, so an interrupted run never leaves half a file
+    const tmp = `${fileFor(horoscope.id)}.tmp`;
+    writeFileSync(tmp, JSON.stringify(entry, null, 2));
+    renameSync(tmp, fileFor(horoscope.id));
+  }
+
+  /**
+   * @returns {string[]} Canonical IDs with a cached horoscope
+   */
+  function ids() {
+    return readdirSync(dir)
+      .filter(file => /^[012]{9}\.json$/.test(file))
+      .map(file => file.slice(0, 9))
+      .filter(id => get(id));
+  }
+
+  return { dir, get, set, ids };
+}
+
+/**
+ * A cache that keeps nothing, for runs that shouldn't touch the disk
+ * @returns {Object} { dir, get, set, ids }
+ */
+export function createMemoryCache() {
+  const entries = new Map();
+  return {
+    dir: null,
+    get: id => entries.get(id) ?? null,
+    set: (horoscope, provider) => entries.set(horoscope.id, { ...horoscope, provider }),
+    ids: () => [...entries.keys()],
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Generate the horoscopes of the 765 canonical states into the disk cache,
+ * or report which states in Supabase still carry placeholder text
+ *
+ * Uso:
+ * node src/oneoffs/horoscopes/generate.js            genera lo que falte en la caché
+ * node src/oneoffs/horoscopes/generate.js report     revisa tic_tac_toe_states en Supabase
+ *
+ * Variables:
+ * HOROSCOPE_PROVIDER   anthropic | template | fixture (anthropic si hay ANTHROPIC_API_KEY, si no template)
+ * HOROSCOPE_CACHE_DIR  carpeta de la caché (por defecto .cache/horoscopes/<proveedor>)
+ * HOROSCOPE_FIXTURES   archivo JSON para el proveedor fixture
+ * HOROSCOPE_SEED       semilla del proveedor template (por defecto reyes)
+ * HOROSCOPE_LOCALE     idioma de los horóscopos: es (por defecto) o en
+ * ANTHROPIC_API_KEY, HOROSCOPE_MODEL   para el proveedor anthropic
+ * SUPABASE_URL, SUPABASE_SERVICE_KEY   para report
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { StateGenerator } from '../../core/StateGenerator.js';
+import { createProvider } from './providers.js';
+import { createDiskCache } from './cache.js';
+import { generateHoroscopes, findPlaceholderRows, logPlaceholderReport } from './pipeline.js';
+
+/**
+ * Provider, cache and language chosen by the environment
+ * @param {Object} [env]
+ * @returns {{ provider: Object, cache: Object, locale: string }}
+ */
+export function createHoroscopeSetup(env = process.env) {
+  const locale = env.HOROSCOPE_LOCALE || 'es';
+  const providerName = env.HOROSCOPE_PROVIDER || (env.ANTHROPIC_API_KEY ? 'anthropic' : 'template');
+  const provider = createProvider(providerName, env);
+  // Spanish keeps the original cache folder; other languages get their own
+  const cacheName = locale === 'es' ? provider.name : `${provider.name}-${locale}`;
+  const cache = createDiskCache(env.HOROSCOPE_CACHE_DIR || `.cache/horoscopes/${cacheName}`);
+  return { provider, cache, locale };
+}
+
+/**
+ * The canonical states, as plain objects
+ * @returns {Object[]}
+ */
+export function getCanonicalStates() {
+  const generator = new StateGenerator();
+  generator.generateAll();
+  return generator.getCanonicalReachableStates().map(state => state.toObject());
+}
+
+async function generate() {
+  const { provider, cache } = createHoroscopeSetup();
+  const states = getCanonicalStates();
+
+  const { placeholders } = await generateHoroscopes(states, { provider, cache, batchDelay: 1000 });
+  console.log(`💾 Caché: ${cache.dir}`);
+  logPlaceholderReport(placeholders, states.length);
+}
+
+async function report() {
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  const { data, error } = await supabase
+    .from('tic_tac_toe_states')
+    .select('canonical_id, horoscope_corto, horoscope_completo')
+    .order('canonical_id');
+
+  if (error) throw error;
+  logPlaceholderReport(findPlaceholderRows(data), data.length);
+}
+
+async function main() {
+  const command = process.argv[2] || 'generate';
+
+  try {
+    if (command === 'generate') await generate();
+    else if (command === 'report') await report();
+    else throw new Error(`Unknown command: ${command} (use generate or report)`);
+  } catch (error) {
+    console.error('\n❌ Error fatal:', error.message);
+    process.exit(1);
+  }
+}
+
+// Ejecutar si es el archivo principal
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,123 @@
+/**
+ * Horoscope pipeline - Generate a horoscope for every state, resumably
+ *
+ * 1. States with a valid cached horoscope are skipped (resume)
+ * 2. The rest are sent to the provider in batches
+ * 3. Every answer is validated; valid items are cached right away
+ * 4. States missing from an answer are retried with exponential backoff
+ * 5. States that still fail get the placeholder text and are reported,
+ *    so the next run picks them up again
+ */
+
+import { PLACEHOLDER_HOROSCOPE } from '../../services/stateRows.js';
+import { validateHoroscopes, isPlaceholder } from './schema.js';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Generate horoscopes for a list of states
+ * @param {Object[]} states - TicTacToeState.toObject() results (canonical forms)
+ * @param {Object} options
+ * @param {Object} options.provider - See providers.js
+ * @param {Object} options.cache - See cache.js
+ * @param {number} [options.retries] - Extra attempts per batch
+ * @param {number} [options.retryDelay] - Milliseconds before the first retry, doubled each time
+ * @param {number} [options.batchDelay] - Milliseconds between batches (rate limiting)
+ * @param {Function} [options.log]
+ * @param {Function} [options.sleep]
+ * @returns {Promise<Object>} { horoscopes: Map<id, { corto, completo }>, placeholders: string[], cached: number, generated: number }
+ */
+export async function generateHoroscopes(states, {
+  provider,
+  cache,
+  retries = 3,
+  retryDelay = 1000,
+  batchDelay = 0,
+  log = console.log,
+  sleep = wait,
+} = {}) {
+  const pending = states.filter(state => !cache.get(state.canonical));
+  const cached = states.length - pending.length;
+  const batchSize = provider.batchSize || 50;
+  const totalBatches = Math.ceil(pending.length / batchSize);
+  let generated = 0;
+
+  log(`🔮 Horóscopos con "${provider.name}": ${cached} en caché, ${pending.length} por generar`);
+
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batchNumber = Math.floor(i / batchSize) + 1;
+    let remaining = pending.slice(i, i + batchSize);
+    log(`   Batch ${batchNumber}/${totalBatches} (${remaining.length} estados)`);
+
+    for (let attempt = 0; attempt <= retries && remaining.length > 0; attempt++) {
+      if (attempt > 0) {
+        const delay = retryDelay * 2 ** (attempt - 1);
+        log(`   🔁 Reintento ${attempt}/${retries} de ${remaining.length} estados en ${delay} ms`);
+        await sleep(delay);
+      }
+
+      try {
+        const items = await provider.generate(remaining);
+        const { valid, errors } = validateHoroscopes(items, remaining.map(state => state.canonical));
+
+        valid.forEach(horoscope => cache.set(horoscope, provider.name));
+        generated += valid.length;
+
+        if (errors.length > 0) {
+          log(`   ⚠️  ${errors.length} respuestas inválidas (p. ej. ${errors[0].id}: ${errors[0].problems.join(', ')})`);
+        }
+
+        const done = new Set(valid.map(horoscope => horoscope.id));
+        remaining = remaining.filter(state => !done.has(state.canonical));
+      } catch (error) {
+        log(`   ❌ Error en batch ${batchNumber}: ${error.message}`);
+      }
+    }
+
+    if (batchDelay > 0 && i + batchSize < pending.length) {
+      await sleep(batchDelay);
+    }
+  }
+
+  const horoscopes = new Map();
+  const placeholders = [];
+  for (const state of states) {
+    const entry = cache.get(state.canonical);
+    if (entry) {
+      horoscopes.set(state.canonical, { corto: entry.corto, completo: entry.completo });
+    } else {
+      horoscopes.set(state.canonical, { ...PLACEHOLDER_HOROSCOPE });
+      placeholders.push(state.canonical);
+    }
+  }
+
+  log(`✅ Horóscopos listos: ${states.length - placeholders.length}/${states.length} (${generated} nuevos)`);
+  return { horoscopes, placeholders, cached, generated };
+}
+
+/**
+ * Canonical IDs of the state rows that still carry placeholder text
+ * @param {Object[]} rows - tic_tac_toe_states rows (horoscope_corto, horoscope_completo)
+ * @returns {string[]}
+ */
+export function findPlaceholderRows(rows) {
+  return rows.filter(row => isPlaceholder(row)).map(row => row.canonical_id);
+}
+
+/**
+ * Print which states still carry placeholder text
+ * @param {string[]} ids - Canonical IDs
+ * @param {number} total - Number of states checked
+ * @param {Function} [log]
+ */
+export function logPlaceholderReport(ids, total, log = console.log) {
+  if (ids.length === 0) {
+    log(`✨ Ningún estado tiene texto provisional (${total} revisados)`);
+    return;
+  }
+
+  log(`📝 ${ids.length} de ${total} estados siguen con texto provisional:`);
+  for (let i = 0; i < ids.length; i += 8) {
+    log(`   ${ids.slice(i, i + 8).join(' ')}`);
+  }
+}
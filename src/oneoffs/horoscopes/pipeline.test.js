@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TicTacToeState } from '../../core/TicTacToeState.js';
+import { PLACEHOLDER_HOROSCOPE } from '../../services/stateRows.js';
+import { generateHoroscopes, findPlaceholderRows, logPlaceholderReport } from './pipeline.js';
+import { createFixtureProvider } from './providers.js';
+import { createDiskCache, createMemoryCache } from './cache.js';
+
+const IDS = ['000000000', '000000001', '000010000'];
+const STATES = IDS.map(id => TicTacToeState.fromId(id).toObject());
+const FIXTURES = IDS.map((id, i) => ({
+  id,
+  corto: `Estrella número ${i + 1}`,
+  completo: `Los Reyes leen el tablero ${id} y ven un buen camino.`,
+}));
+
+describe('generateHoroscopes', () => {
+  let options;
+
+  beforeEach(() => {
+    options = { cache: createMemoryCache(), log: () => {}, sleep: vi.fn(async () => {}), retries: 2, retryDelay: 100 };
+  });
+
+  it('generates every state with the fixture provider', async () => {
+    const result = await generateHoroscopes(STATES, { ...options, provider: createFixtureProvider(FIXTURES) });
+
+    expect(result.horoscopes.get('000000001')).toEqual({ corto: 'Estrella número 2', completo: FIXTURES[1].completo });
+    expect(result).toMatchObject({ placeholders: [], cached: 0, generated: 3 });
+    expect(options.cache.get('000010000')).toMatchObject({ ...FIXTURES[2], provider: 'fixture' });
+  });
+
+  it('reads fixtures from a JSON file', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'horoscopes-'));
+    try {
+      writeFileSync(join(dir, 'fixtures.json'), JSON.stringify(FIXTURES));
+      const result = await generateHoroscopes(STATES, { ...options, provider: createFixtureProvider(join(dir, 'fixtures.json')) });
+
+      expect(result.generated).toBe(3);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('resumes from the cache without asking the provider again', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'horoscopes-'));
+    try {
+      await generateHoroscopes(STATES.slice(0, 2), { ...options, cache: createDiskCache(dir), provider: createFixtureProvider(FIXTURES) });
+
+      const provider = createFixtureProvider(FIXTURES);
+      const generate = vi.spyOn(provider, 'generate');
+      const result = await generateHoroscopes(STATES, { ...options, cache: createDiskCache(dir), provider });
+
+      expect(result).toMatchObject({ cached: 2, generated: 1, placeholders: [] });
+      expect(generate).toHaveBeenCalledTimes(1);
+      expect(generate.mock.calls[0][0].map(state => state.canonical)).toEqual(['000010000']);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('retries a failed batch with exponential backoff', async () => {
+    const provider = createFixtureProvider(FIXTURES);
+    const generate = provider.generate;
+    provider.generate = vi.fn()
+      .mockRejectedValueOnce(new Error('API error: 529'))
+      .mockRejectedValueOnce(new Error('API error: 529'))
+      .mockImplementation(generate);
+
+    const result = await generateHoroscopes(STATES, { ...options, provider });
+
+    expect(provider.generate).toHaveBeenCalledTimes(3);
+    expect(options.sleep.mock.calls).toEqual([[100], [200]]);
+    expect(result).toMatchObject({ generated: 3, placeholders: [] });
+  });
+
+  it('retries only the missing and invalid answers', async () => {
+    const invalid = { ...FIXTURES[0], corto: 'una frase demasiado larga para ser un horóscopo corto de verdad, como esta' };
+    const provider = createFixtureProvider([invalid, FIXTURES[1]]);
+    const generate = vi.spyOn(provider, 'generate');
+
+    await generateHoroscopes(STATES, { ...options, provider });
+
+    expect(generate.mock.calls.map(([states]) => states.map(state => state.canonical))).toEqual([
+      IDS,
+      ['000000000', '000010000'],
+      ['000000000', '000010000'],
+    ]);
+  });
+
+  it('falls back to the placeholder for states that keep failing', async () => {
+    const result = await generateHoroscopes(STATES, { ...options, provider: createFixtureProvider(FIXTURES.slice(1)) });
+
+    expect(result.placeholders).toEqual(['000000000']);
+    expect(result.horoscopes.get('000000000')).toEqual(PLACEHOLDER_HOROSCOPE);
+    // Nothing is cached for it, so the next run tries again
+    expect(options.cache.get('000000000')).toBeNull();
+
+    const retried = await generateHoroscopes(STATES, { ...options, provider: createFixtureProvider(FIXTURES) });
+    expect(retried).toMatchObject({ cached: 2, generated: 1, placeholders: [] });
+  });
+});
+
+describe('placeholder report', () => {
+  it('finds the rows that still have placeholder text', () => {
+    const rows = [
+      { canonical_id: '000000000', horoscope_corto: PLACEHOLDER_HOROSCOPE.corto, horoscope_completo: PLACEHOLDER_HOROSCOPE.completo },
+      { canonical_id: '000000001', horoscope_corto: FIXTURES[1].corto, horoscope_completo: FIXTURES[1].completo },
+      { canonical_id: '000010000', horoscope_corto: 'Un tablero único te aguarda.', horoscope_completo: FIXTURES[2].completo },
+    ];
+
+    expect(findPlaceholderRows(rows)).toEqual(['000000000', '000010000']);
+  });
+
+  it('lists the IDs eight per line', () => {
+    const log = vi.fn();
+    const ids = Array.from({ length: 10 }, (_, i) => String(i).padStart(9, '0'));
+
+    logPlaceholderReport(ids, 765, log);
+
+    expect(log.mock.calls.map(([line]) => line)).toEqual([
+      '📝 10 de 765 estados siguen con texto provisional:',
+      `   ${ids.slice(0, 8).join(' ')}`,
+      `   ${ids.slice(8).join(' ')}`,
+    ]);
+  });
+
+  it('says so when nothing is left', () => {
+    const log = vi.fn();
+
+    logPlaceholderReport([], 765, log);
+
+    expect(log).toHaveBeenCalledWith('✨ Ningún estado tiene texto provisional (765 revisados)');
+  });
+});
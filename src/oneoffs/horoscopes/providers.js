@@ -0,0 +1,223 @@
+/**
+ * Horoscope providers - Where horoscope text comes from
+ *
+ * A provider is an object implementing:
+ *
+ *   name                    -> string    used in logs and to namespace the cache
+ *   batchSize               -> number    states per generate() call
+ *   generate(states)        -> Promise<Array>   [{ id, corto, completo }]
+ *
+ * States are TicTacToeState.toObject() results (canonical, config, turnCount,
+ * isTerminal, winners...). Providers may return fewer items than asked for or
+ * malformed ones: the pipeline validates every item and retries what's missing.
+ * The anthropic and template providers write in the language given by their
+ * locale option ('es' by default).
+ *
+ * Providers:
+ * - anthropic: asks Claude for a batch of horoscopes (needs ANTHROPIC_API_KEY)
+ * - template:  deterministic text composed by HoroscopeEngine from the board's features, offline
+ * - fixture:   fixed horoscopes from an array or JSON file, for tests and demos
+ */
+
+import { readFileSync } from 'fs';
+import { StateGenerator } from '../../core/StateGenerator.js';
+import { HoroscopeEngine } from '../../core/HoroscopeEngine.js';
+import { parseHoroscopeJson } from './schema.js';
+
+/**
+ * Describe a batch of states for the prompt
+ * @param {Object[]} states
+ * @returns {string}
+ */
+export function describeStates(states) {
+  return states
+    .map(s => {
+      const pieces = s.config.filter(x => x !== 0).length;
+      const status = s.isTerminal ? 'terminal' : 'en juego';
+      const winner = s.winners.length > 0 ? (s.winners[0] === 1 ? 'X' : 'O') : 'ninguno';
+
+      return `ID: ${s.canonical}
+Turno: ${s.turnCount}/9 (${pieces} piezas)
+Estado: ${status}
+Ganador: ${winner}`;
+    })
+    .join('\n\n');
+}
+
+// Idiomas en los que se pueden pedir horóscopos al modelo
+const PROMPT_LANGUAGES = { es: 'español', en: 'inglés' };
+
+/**
+ * Prompt asking for one horoscope per state
+ * @param {Object[]} states
+ * @param {string} [locale] - Language of the horoscopes
+ * @returns {string}
+ */
+export function buildPrompt(states, locale = 'es') {
+  if (!PROMPT_LANGUAGES[locale]) {
+    throw new Error(`Unsupported horoscope locale: ${locale}`);
+  }
+
+  return `Genera horóscopos místicos en ${PROMPT_LANGUAGES[locale]} para estos ${states.length} estados de tic-tac-toe del Día de Reyes.
+
+Contexto: Cada estado de tablero es un regalo único. El horóscopo debe sentirse como una lectura de tarot - conectando la configuración del juego con rasgos de personalidad y destino.
+
+Estados:
+${describeStates(states)}
+
+Para CADA estado, crea:
+1. CORTO: Una frase poética (máximo 12 palabras) que capture la esencia del tablero
+2. COMPLETO: 2-3 frases que interpretan el estado como una lectura de personalidad, relacionando estrategia de juego con carácter
+
+Estilo:
+- Místico, cálido, inspirador
+- Tema Día de Reyes: regalos, viaje, estrellas, destino
+- Evita clichés obvios
+- Cada horóscopo debe ser único y específico al estado
+
+Responde SOLO con JSON (sin markdown):
+[
+  {
+    "id": "000000000",
+    "corto": "...",
+    "completo": "..."
+  },
+  ...
+]`;
+}
+
+/**
+ * Remote LLM provider using the Anthropic Messages API
+ * @param {Object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.model]
+ * @param {number} [options.batchSize]
+ * @param {string} [options.locale] - Language of the horoscopes
+ * @param {Function} [options.fetch] - fetch implementation
+ * @returns {Object} Provider
+ */
+export function createAnthropicProvider({
+  apiKey,
+  model = 'claude-sonnet-4-20250514',
+  batchSize = 50,
+  locale = 'es',
+  fetch = globalThis.fetch,
+} = {}) {
+  if (!apiKey) {
+    throw new Error('The anthropic provider needs an API key (ANTHROPIC_API_KEY)');
+  }
+
+  return {
+    name: 'anthropic',
+    batchSize,
+    async generate(states) {
+      const response = await fetch('https://api.anthropic.com/v1/messages', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: 4000,
+          messages: [{ role: 'user', content: buildPrompt(states, locale) }],
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return parseHoroscopeJson(data.content[0].text);
+    },
+  };
+}
+
+/**
+ * Deterministic, offline provider backed by HoroscopeEngine. The whole set is
+ * composed on first use so texts stay unique across batches.
+ * @param {Object} [options]
+ * @param {number} [options.batchSize]
+ * @param {string} [options.seed] - Engine seed; the same seed regenerates the same texts
+ * @param {string} [options.locale] - Language of the horoscopes
+ * @returns {Object} Provider
+ */
+export function createTemplateProvider({ batchSize = 100, seed = 'reyes', locale = 'es' } = {}) {
+  let horoscopes = null;
+
+  function getHoroscopes() {
+    if (horoscopes) return horoscopes;
+
+    const generator = new StateGenerator();
+    generator.generateAll();
+    const rarezaCounts = new Map();
+    generator.getReachableStates().forEach(state => {
+      rarezaCounts.set(state.canonical, (rarezaCounts.get(state.canonical) || 0) + 1);
+    });
+
+    horoscopes = new HoroscopeEngine({ seed, locale }).generateAll(generator.getCanonicalReachableStates(), rarezaCounts);
+    return horoscopes;
+  }
+
+  return {
+    name: 'template',
+    batchSize,
+    async generate(states) {
+      const all = getHoroscopes();
+      return states
+        .filter(state => all.has(state.canonical))
+        .map(state => ({ id: state.canonical, ...all.get(state.canonical) }));
+    },
+  };
+}
+
+/**
+ * Provider that answers from fixed horoscopes; unknown IDs are left out
+ * @param {Object[]|string} fixtures - Array of { id, corto, completo } or a path to a JSON file with one
+ * @param {Object} [options]
+ * @param {number} [options.batchSize]
+ * @returns {Object} Provider
+ */
+export function createFixtureProvider(fixtures, { batchSize = 100 } = {}) {
+  const items = typeof fixtures === 'string' ? JSON.parse(readFileSync(fixtures, 'utf8')) : fixtures;
+  const byId = new Map(items.map(item => [item.id, item]));
+
+  return {
+    name: 'fixture',
+    batchSize,
+    async generate(states) {
+      return states.filter(state => byId.has(state.canonical)).map(state => ({ ...byId.get(state.canonical) }));
+    },
+  };
+}
+
+/**
+ * Create a provider by name, reading its settings from the environment
+ * @param {string} name - 'anthropic', 'template' or 'fixture'
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Provider
+ */
+export function createProvider(name, env = process.env) {
+  switch (name) {
+    case 'anthropic':
+      return createAnthropicProvider({
+        apiKey: env.ANTHROPIC_API_KEY,
+        model: env.HOROSCOPE_MODEL || undefined,
+        locale: env.HOROSCOPE_LOCALE || undefined,
+      });
+    case 'template':
+      return createTemplateProvider({
+        seed: env.HOROSCOPE_SEED || undefined,
+        locale: env.HOROSCOPE_LOCALE || undefined,
+      });
+    case 'fixture':
+      if (!env.HOROSCOPE_FIXTURES) {
+        throw new Error('The fixture provider needs HOROSCOPE_FIXTURES (path to a JSON file)');
+      }
+      return createFixtureProvider(env.HOROSCOPE_FIXTURES);
+    default:
+      throw new Error(`Unknown horoscope provider: ${name}`);
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Horoscope schema - Parse and validate provider responses
+ *
+ * Every horoscope is { id, corto, completo }:
+ * - id:       canonical ID of the state (9 digits 0-2) that was asked for
+ * - corto:    one poetic line, at most 12 words
+ * - completo: a longer reading, 2-3 sentences
+ */
+
+import { PLACEHOLDER_HOROSCOPE } from '../../services/stateRows.js';
+
+export const MAX_CORTO_WORDS = 12;
+export const MAX_COMPLETO_LENGTH = 600;
+
+// Placeholder texts written by older versions of loaddb.js when a batch failed
+export const PLACEHOLDER_TEXTS = new Set([
+  PLACEHOLDER_HOROSCOPE.corto,
+  PLACEHOLDER_HOROSCOPE.completo,
+  'Un tablero único te aguarda en tu viaje.',
+  'Este estado revela tu camino singular. Como los Reyes Magos, cada decisión te acerca a tu destino. Tu regalo espera ser descubierto.',
+  'Un tablero único te aguarda.',
+  'Este es tu regalo especial del Día de Reyes.',
+]);
+
+/**
+ * Parse a JSON array out of a model's text answer, tolerating markdown fences
+ * @param {string} text
+ * @returns {Array}
+ */
+export function parseHoroscopeJson(text) {
+  const jsonText = String(text)
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '')
+    .trim();
+
+  const parsed = JSON.parse(jsonText);
+  if (!Array.isArray(parsed)) {
+    throw new Error('Expected a JSON array of horoscopes');
+  }
+  return parsed;
+}
+
+/**
+ * Validate one horoscope
+ * @param {*} item
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateHoroscope(item) {
+  if (!item || typeof item !== 'object') return ['not an object'];
+
+  const problems = [];
+  if (typeof item.id !== 'string' || !/^[012]{9}$/.test(item.id)) {
+    problems.push('id must be 9 digits 0-2');
+  }
+  for (const field of ['corto', 'completo']) {
+    if (typeof item[field] !== 'string' || item[field].trim() === '') {
+      problems.push(`${field} must be a non-empty string`);
+    }
+  }
+  if (problems.length > 0) return problems;
+
+  if (item.corto.trim().split(/\s+/).length > MAX_CORTO_WORDS) {
+    problems.push(`corto must have at most ${MAX_CORTO_WORDS} words`);
+  }
+  if (item.completo.length > MAX_COMPLETO_LENGTH) {
+    problems.push(`completo must have at most ${MAX_COMPLETO_LENGTH} characters`);
+  }
+  if (isPlaceholder(item)) {
+    problems.push('placeholder text');
+  }
+  return problems;
+}
+
+/**
+ * Keep the valid horoscopes for the requested IDs
+ * @param {Array} items - Provider response
+ * @param {string[]} expectedIds - Canonical IDs that were asked for
+ * @returns {{ valid: Object[], errors: Object[] }} errors: [{ id, problems }]
+ */
+export function validateHoroscopes(items, expectedIds) {
+  const expected = new Set(expectedIds);
+  const valid = new Map();
+  const errors = [];
+
+  for (const item of items) {
+    const problems = validateHoroscope(item);
+    if (problems.length === 0 && !expected.has(item.id)) {
+      problems.push('id was not requested');
+    }
+
+    if (problems.length > 0) {
+      errors.push({ id: item?.id ?? null, problems });
+    } else if (!valid.has(item.id)) {
+      valid.set(item.id, { id: item.id, corto: item.corto.trim(), completo: item.completo.trim() });
+    }
+  }
+
+  return { valid: [...valid.values()], errors };
+}
+
+/**
+ * Whether a horoscope (or a state row) still has placeholder text
+ * @param {Object} horoscope - { corto, completo } or { horoscope_corto, horoscope_completo }
+ * @returns {boolean}
+ */
+export function isPlaceholder(horoscope) {
+  const corto = horoscope.corto ?? horoscope.horoscope_corto;
+  const completo = horoscope.completo ?? horoscope.horoscope_completo;
+  return PLACEHOLDER_TEXTS.has(corto) || PLACEHOLDER_TEXTS.has(completo);
+}
@@ -1,6 +1,7 @@
 /**
  * Simplified script to generate and upload the 756 canonical states to Supabase
- * WITHOUT horoscope generation - uses placeholder text instead
+ * with offline horoscopes from HoroscopeEngine (no external API), in Spanish in
+ * tic_tac_toe_states and in every other language of the engine in state_horoscopes
  *
  * Installation:
  * npm install @supabase/supabase-js
@@ -11,12 +12,20 @@
 
 import { createClient } from '@supabase/supabase-js';
 import { TicTacToeState } from '../core/TicTacToeState.js';
+import { OutcomeProbabilities } from '../core/OutcomeProbabilities.js';
+import { HoroscopeEngine } from '../core/HoroscopeEngine.js';
+import { HOROSCOPE_PHRASES } from '../core/horoscopePhrases.js';
+import { buildStateRow, buildHoroscopeRow } from '../services/stateRows.js';
 
 // ============================================
 // CONFIGURACIÓN - Edita estos valores
 // ============================================
 const SUPABASE_URL = process.env.SUPABASE_URL || 'TU_SUPABASE_URL';
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'TU_SERVICE_ROLE_KEY';
+// Modelo de juego para prob_x/prob_o/prob_empate: random, perfect, perfect-vs-random, epsilon-greedy:0.1
+const PROB_MODEL = process.env.PROB_MODEL || 'random';
+// Semilla de los horóscopos: la misma semilla genera exactamente los mismos textos
+const HOROSCOPE_SEED = process.env.HOROSCOPE_SEED || 'reyes';
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
@@ -46,8 +55,8 @@ function generateAllCanonicalStates() {
 
     const state = new TicTacToeState(config);
 
-    // Solo estados válidos con X empezando
-    if (!state.isValidFirstPlayerX) continue;
+    // Solo estados alcanzables en una partida real con X empezando
+    if (!state.isReachable) continue;
 
     totalValid++;
     const canonical = state.canonical;
@@ -72,71 +81,13 @@ function generateAllCanonicalStates() {
 }
 
 // ============================================
-// CÁLCULO DE PROBABILIDADES CON MINIMAX
+// CÁLCULO DE PROBABILIDADES (enumeración exacta bajo PROB_MODEL)
 // ============================================
 
-const minimaxCache = new Map();
-
-function minimax(state, isMaximizing) {
-  const key = state.id;
-  if (minimaxCache.has(key)) {
-    return minimaxCache.get(key);
-  }
-
-  // Estados terminales
-  if (state.isTerminal) {
-    let score;
-    if (state.winners.includes(1))
-      score = 1; // X gana
-    else if (state.winners.includes(2))
-      score = -1; // O gana
-    else score = 0; // Empate
-
-    minimaxCache.set(key, score);
-    return score;
-  }
-
-  const moves = state.getPossibleMoves();
-  const player = state.nextPlayerFirstPlayerX;
-
-  if (player === 1) {
-    // X maximiza
-    let maxScore = -Infinity;
-    for (const move of moves) {
-      const nextState = state.makeMove(move);
-      const score = minimax(nextState, false);
-      maxScore = Math.max(maxScore, score);
-    }
-    minimaxCache.set(key, maxScore);
-    return maxScore;
-  } else {
-    // O minimiza
-    let minScore = Infinity;
-    for (const move of moves) {
-      const nextState = state.makeMove(move);
-      const score = minimax(nextState, true);
-      minScore = Math.min(minScore, score);
-    }
-    minimaxCache.set(key, minScore);
-    return minScore;
-  }
-}
+const outcomeProbabilities = new OutcomeProbabilities(PROB_MODEL);
 
 function calculateProbabilities(stateObj) {
-  const state = new TicTacToeState(stateObj.config);
-
-  if (state.isTerminal) {
-    if (state.winners.includes(1)) return { probX: 100, probO: 0, probEmpate: 0 };
-    if (state.winners.includes(2)) return { probX: 0, probO: 100, probEmpate: 0 };
-    return { probX: 0, probO: 0, probEmpate: 100 };
-  }
-
-  const result = minimax(state, state.nextPlayerFirstPlayerX === 1);
-
-  // Convertir resultado a probabilidades (juego perfecto)
-  if (result > 0) return { probX: 100, probO: 0, probEmpate: 0 };
-  if (result < 0) return { probX: 0, probO: 100, probEmpate: 0 };
-  return { probX: 0, probO: 0, probEmpate: 100 };
+  return outcomeProbabilities.getProbabilities(new TicTacToeState(stateObj.config));
 }
 
 // ============================================
@@ -148,7 +99,13 @@ async function uploadToSupabase(states) {
   console.log(`   Total de estados: ${states.length}`);
 
   // Calcular probabilidades
-  console.log('\n🧮 Calculando probabilidades con minimax...');
+  console.log(`\n🧮 Calculando probabilidades (modelo: ${PROB_MODEL})...`);
+
+  console.log(`\n🔮 Componiendo horóscopos (semilla: ${HOROSCOPE_SEED})...`);
+  const horoscopes = new HoroscopeEngine({ seed: HOROSCOPE_SEED }).generateAll(
+    states,
+    new Map(states.map(state => [state.canonical, state.rarezaCount]))
+  );
 
   // Preparar datos
   const rows = states.map((state, index) => {
@@ -158,31 +115,11 @@ async function uploadToSupabase(states) {
 
     const probs = calculateProbabilities(state);
 
-    return {
-      canonical_id: state.canonical,
-      decimal_id: state.decimalId,
-      config: state.config,
-      is_valid: state.isValid,
-      is_valid_first_player_x: state.isValidFirstPlayerX,
-      is_terminal: state.isTerminal,
-      has_unique_winner: state.hasUniqueWinner,
-      has_winner: state.hasWinner,
-      winners: state.winners,
-      winning_lines: state.winningLines,
-      next_player: state.nextPlayer,
-      next_player_first_player_x: state.nextPlayerFirstPlayerX,
-      turn_count: state.turnCount,
-      count_0: state.count0,
-      count_1: state.count1,
-      count_2: state.count2,
-      horoscope_corto: 'Tu estado único te espera',
-      horoscope_completo: 'Este es tu regalo especial del Día de Reyes',
-      rareza_count: state.rarezaCount,
-      progreso: Math.round((state.turnCount / 9) * 100),
-      prob_x: probs.probX,
-      prob_o: probs.probO,
-      prob_empate: probs.probEmpate,
-    };
+    return buildStateRow(state, {
+      rarezaCount: state.rarezaCount,
+      probabilities: probs,
+      horoscope: horoscopes.get(state.canonical),
+    });
   });
 
   console.log('\n📦 Subiendo en lotes de 100 estados...');
@@ -210,6 +147,30 @@ async function uploadToSupabase(states) {
   console.log('🎉 ¡Completado!');
 }
 
+async function uploadTranslations(states) {
+  const rarezaCounts = new Map(states.map(state => [state.canonical, state.rarezaCount]));
+  const locales = Object.keys(HOROSCOPE_PHRASES).filter(locale => locale !== 'es');
+
+  for (const locale of locales) {
+    console.log(`\n🌍 Componiendo horóscopos en "${locale}"...`);
+    const horoscopes = new HoroscopeEngine({ seed: HOROSCOPE_SEED, locale }).generateAll(states, rarezaCounts);
+    const rows = states.map(state => buildHoroscopeRow(state.canonical, locale, horoscopes.get(state.canonical)));
+
+    for (let i = 0; i < rows.length; i += 100) {
+      const batch = rows.slice(i, i + 100);
+      const { error } = await supabase
+        .from('state_horoscopes')
+        .upsert(batch, { onConflict: 'canonical_id,locale' });
+
+      if (error) {
+        console.error(`   ❌ Error en batch ${Math.floor(i / 100) + 1}:`, error.message);
+      } else {
+        console.log(`   ✅ Subido batch ${Math.floor(i / 100) + 1} (${i + 1}-${Math.min(i + 100, rows.length)})`);
+      }
+    }
+  }
+}
+
 // ============================================
 // MAIN
 // ============================================
@@ -223,10 +184,14 @@ async function main() {
     const states = generateAllCanonicalStates();
     console.log('✓ Estados generados\n');
 
-    // 2. Subir a Supabase (sin horóscopos)
+    // 2. Subir a Supabase (horóscopos en español)
     console.log('Paso 2: Subiendo a Supabase...');
     await uploadToSupabase(states);
 
+    // 3. Traducciones de los horóscopos
+    console.log('\nPaso 3: Subiendo traducciones...');
+    await uploadTranslations(states);
+
     console.log('\n✨ Todo listo para el Día de Reyes! ✨');
     console.log(`\nEstados subidos: ${states.length}/756`);
   } catch (error) {
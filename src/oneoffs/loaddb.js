@@ -10,13 +10,20 @@
 
 import { createClient } from '@supabase/supabase-js';
 import { TicTacToeState } from '../core/TicTacToeState.js';
+import { OutcomeProbabilities } from '../core/OutcomeProbabilities.js';
+import { buildStateRow, buildHoroscopeRow } from '../services/stateRows.js';
+import { createHoroscopeSetup } from './horoscopes/generate.js';
+import { generateHoroscopes, logPlaceholderReport } from './horoscopes/pipeline.js';
 
 // ============================================
 // CONFIGURACIÓN - Edita estos valores
 // ============================================
 const SUPABASE_URL = process.env.SUPABASE_URL || 'TU_SUPABASE_URL';
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'TU_SERVICE_ROLE_KEY';
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'TU_ANTHROPIC_API_KEY';
+// Modelo de juego para prob_x/prob_o/prob_empate: random, perfect, perfect-vs-random, epsilon-greedy:0.1
+const PROB_MODEL = process.env.PROB_MODEL || 'random';
+// Horóscopos: HOROSCOPE_PROVIDER=anthropic|template|fixture (ver horoscopes/generate.js)
+// Con HOROSCOPE_LOCALE distinto de es solo se suben las traducciones a state_horoscopes
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
@@ -42,8 +49,8 @@ function generateAllCanonicalStates() {
 
     const state = new TicTacToeState(config);
 
-    // Solo estados válidos con X empezando
-    if (!state.isValidFirstPlayerX) continue;
+    // Solo estados alcanzables en una partida real con X empezando
+    if (!state.isReachable) continue;
 
     totalValid++;
     const canonical = state.canonical;
@@ -67,182 +74,13 @@ function generateAllCanonicalStates() {
 }
 
 // ============================================
-// CÁLCULO DE PROBABILIDADES CON MINIMAX
+// CÁLCULO DE PROBABILIDADES (enumeración exacta bajo PROB_MODEL)
 // ============================================
 
-const minimaxCache = new Map();
-
-function minimax(state, isMaximizing) {
-  const key = state.id;
-  if (minimaxCache.has(key)) {
-    return minimaxCache.get(key);
-  }
-
-  // Estados terminales
-  if (state.isTerminal) {
-    let score;
-    if (state.winners.includes(1))
-      score = 1; // X gana
-    else if (state.winners.includes(2))
-      score = -1; // O gana
-    else score = 0; // Empate
-
-    minimaxCache.set(key, score);
-    return score;
-  }
-
-  const moves = state.getPossibleMoves();
-  const player = state.nextPlayerFirstPlayerX;
-
-  if (player === 1) {
-    // X maximiza
-    let maxScore = -Infinity;
-    for (const move of moves) {
-      const nextState = state.makeMove(move);
-      const score = minimax(nextState, false);
-      maxScore = Math.max(maxScore, score);
-    }
-    minimaxCache.set(key, maxScore);
-    return maxScore;
-  } else {
-    // O minimiza
-    let minScore = Infinity;
-    for (const move of moves) {
-      const nextState = state.makeMove(move);
-      const score = minimax(nextState, true);
-      minScore = Math.min(minScore, score);
-    }
-    minimaxCache.set(key, minScore);
-    return minScore;
-  }
-}
+const outcomeProbabilities = new OutcomeProbabilities(PROB_MODEL);
 
 function calculateProbabilities(stateObj) {
-  const state = new TicTacToeState(stateObj.config);
-
-  if (state.isTerminal) {
-    if (state.winners.includes(1)) return { probX: 100, probO: 0, probEmpate: 0 };
-    if (state.winners.includes(2)) return { probX: 0, probO: 100, probEmpate: 0 };
-    return { probX: 0, probO: 0, probEmpate: 100 };
-  }
-
-  const result = minimax(state, state.nextPlayerFirstPlayerX === 1);
-
-  // Convertir resultado a probabilidades (juego perfecto)
-  if (result > 0) return { probX: 100, probO: 0, probEmpate: 0 };
-  if (result < 0) return { probX: 0, probO: 100, probEmpate: 0 };
-  return { probX: 0, probO: 0, probEmpate: 100 };
-}
-
-// ============================================
-// GENERACIÓN DE HORÓSCOPOS CON CLAUDE
-// ============================================
-
-async function generateHoroscopes(states, batchSize = 50) {
-  console.log('🔮 Generando horóscopos...');
-  const horoscopes = [];
-
-  for (let i = 0; i < states.length; i += batchSize) {
-    const batch = states.slice(i, i + batchSize);
-    console.log(
-      `   Batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(states.length / batchSize)} (${i + 1}-${Math.min(i + batchSize, states.length)})`
-    );
-
-    const stateDescriptions = batch
-      .map(s => {
-        const pieces = s.config.filter(x => x !== 0).length;
-        const status = s.isTerminal ? 'terminal' : 'en juego';
-        const winner = s.winners.length > 0 ? (s.winners[0] === 1 ? 'X' : 'O') : 'ninguno';
-
-        return `ID: ${s.canonical}
-Turno: ${s.turnCount}/9 (${pieces} piezas)
-Estado: ${status}
-Ganador: ${winner}`;
-      })
-      .join('\n\n');
-
-    const prompt = `Genera horóscopos místicos en español para estos ${batch.length} estados de tic-tac-toe del Día de Reyes.
-
-Contexto: Cada estado de tablero es un regalo único. El horóscopo debe sentirse como una lectura de tarot - conectando la configuración del juego con rasgos de personalidad y destino.
-
-Estados:
-${stateDescriptions}
-
-Para CADA estado, crea:
-1. CORTO: Una frase poética (máximo 12 palabras) que capture la esencia del tablero
-2. COMPLETO: 2-3 frases que interpretan el estado como una lectura de personalidad, relacionando estrategia de juego con carácter
-
-Estilo:
-- Místico, cálido, inspirador
-- Tema Día de Reyes: regalos, viaje, estrellas, destino
-- Evita clichés obvios
-- Cada horóscopo debe ser único y específico al estado
-
-Responde SOLO con JSON (sin markdown):
-[
-  {
-    "id": "000000000",
-    "corto": "...",
-    "completo": "..."
-  },
-  ...
-]`;
-
-    try {
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': ANTHROPIC_API_KEY,
-          'anthropic-version': '2023-06-01',
-        },
-        body: JSON.stringify({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 4000,
-          messages: [
-            {
-              role: 'user',
-              content: prompt,
-            },
-          ],
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      const text = data.content[0].text;
-
-      // Limpiar markdown si existe
-      const jsonText = text
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
-      const batchHoroscopes = JSON.parse(jsonText);
-
-      horoscopes.push(...batchHoroscopes);
-
-      // Rate limiting
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    } catch (error) {
-      console.error(`   ❌ Error en batch ${Math.floor(i / batchSize) + 1}:`, error.message);
-
-      // Usar placeholders si falla
-      batch.forEach(s => {
-        horoscopes.push({
-          id: s.canonical,
-          corto: 'Un tablero único te aguarda en tu viaje.',
-          completo:
-            'Este estado revela tu camino singular. Como los Reyes Magos, cada decisión te acerca a tu destino. Tu regalo espera ser descubierto.',
-        });
-      });
-    }
-  }
-
-  console.log(`✅ Horóscopos generados: ${horoscopes.length}`);
-  return horoscopes;
+  return outcomeProbabilities.getProbabilities(new TicTacToeState(stateObj.config));
 }
 
 // ============================================
@@ -252,11 +90,8 @@ Responde SOLO con JSON (sin markdown):
 async function uploadToSupabase(states, horoscopes) {
   console.log('📤 Subiendo a Supabase...');
 
-  // Crear mapa de horóscopos
-  const horoscopeMap = new Map(horoscopes.map(h => [h.id, h]));
-
   // Calcular probabilidades
-  console.log('🧮 Calculando probabilidades con minimax...');
+  console.log(`🧮 Calculando probabilidades (modelo: ${PROB_MODEL})...`);
 
   // Preparar datos
   const rows = states.map((state, index) => {
@@ -265,36 +100,11 @@ async function uploadToSupabase(states, horoscopes) {
     }
 
     const probs = calculateProbabilities(state);
-    const horoscope = horoscopeMap.get(state.canonical) || {
-      corto: 'Un tablero único te aguarda.',
-      completo: 'Este es tu regalo especial del Día de Reyes.',
-    };
-
-    return {
-      canonical_id: state.canonical,
-      decimal_id: state.decimalId,
-      config: state.config,
-      is_valid: state.isValid,
-      is_valid_first_player_x: state.isValidFirstPlayerX,
-      is_terminal: state.isTerminal,
-      has_unique_winner: state.hasUniqueWinner,
-      has_winner: state.hasWinner,
-      winners: state.winners,
-      winning_lines: state.winningLines,
-      next_player: state.nextPlayer,
-      next_player_first_player_x: state.nextPlayerFirstPlayerX,
-      turn_count: state.turnCount,
-      count_0: state.count0,
-      count_1: state.count1,
-      count_2: state.count2,
-      horoscope_corto: horoscope.corto,
-      horoscope_completo: horoscope.completo,
-      rareza_count: state.rarezaCount,
-      progreso: Math.round((state.turnCount / 9) * 100),
-      prob_x: probs.probX,
-      prob_o: probs.probO,
-      prob_empate: probs.probEmpate,
-    };
+    return buildStateRow(state, {
+      rarezaCount: state.rarezaCount,
+      probabilities: probs,
+      horoscope: horoscopes.get(state.canonical),
+    });
   });
 
   console.log('📦 Subiendo en lotes...');
@@ -318,6 +128,33 @@ async function uploadToSupabase(states, horoscopes) {
   console.log('🎉 ¡Completado!');
 }
 
+async function uploadTranslations(states, horoscopes, placeholders, locale) {
+  console.log(`📤 Subiendo horóscopos en "${locale}" a state_horoscopes...`);
+
+  // Sin traducción, las RPCs devuelven el texto en español
+  const skipped = new Set(placeholders);
+  const rows = states
+    .filter(state => !skipped.has(state.canonical))
+    .map(state => buildHoroscopeRow(state.canonical, locale, horoscopes.get(state.canonical)));
+
+  for (let i = 0; i < rows.length; i += 100) {
+    const batch = rows.slice(i, i + 100);
+    const { error } = await supabase
+      .from('state_horoscopes')
+      .upsert(batch, { onConflict: 'canonical_id,locale' });
+
+    if (error) {
+      console.error(`   ❌ Error en batch ${Math.floor(i / 100) + 1}:`, error.message);
+    } else {
+      console.log(
+        `   ✅ Subido batch ${Math.floor(i / 100) + 1} (${i + 1}-${Math.min(i + 100, rows.length)})`
+      );
+    }
+  }
+
+  console.log('🎉 ¡Completado!');
+}
+
 // ============================================
 // MAIN
 // ============================================
@@ -329,11 +166,19 @@ async function main() {
     // 1. Generar estados canónicos
     const states = generateAllCanonicalStates();
 
-    // 2. Generar horóscopos
-    const horoscopes = await generateHoroscopes(states);
+    // 2. Generar horóscopos (con caché en disco: si se interrumpe, retoma donde quedó)
+    const { provider, cache, locale } = createHoroscopeSetup();
+    const { horoscopes, placeholders } = await generateHoroscopes(states, { provider, cache, batchDelay: 1000 });
+
+    // 3. Subir a Supabase (los estados van en español; otros idiomas, como traducciones)
+    if (locale === 'es') {
+      await uploadToSupabase(states, horoscopes);
+    } else {
+      await uploadTranslations(states, horoscopes, placeholders, locale);
+    }
 
-    // 3. Subir a Supabase
-    await uploadToSupabase(states, horoscopes);
+    // 4. Avisar qué estados quedaron con texto provisional
+    logPlaceholderReport(placeholders, states.length);
 
     console.log('\n✨ Todo listo para el Día de Reyes! ✨');
   } catch (error) {
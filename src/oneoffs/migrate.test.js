@@ -0,0 +1,43 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { loadMigrations, parseVersion, up } from './migrate.js';
+
+/**
+ * A pg client with nothing applied yet, recording the SQL it is sent
+ */
+function createClient() {
+  const queries = [];
+  return {
+    queries,
+    async query(sql) {
+      queries.push(sql);
+      return { rows: [] };
+    },
+  };
+}
+
+describe('migrate up', () => {
+  const migrations = loadMigrations();
+
+  beforeAll(() => {
+    // up() reports each migration it applies
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('applies the migrations up to the target', async () => {
+    const client = createClient();
+
+    expect(await up(client, migrations, parseVersion('4'))).toEqual(['0000', '0001', '0002', '0003', '0004']);
+  });
+
+  it('rejects unknown targets instead of applying everything', async () => {
+    const client = createClient();
+
+    await expect(up(client, migrations, '4')).rejects.toThrow('Unknown migration version: 4');
+    await expect(up(client, migrations, parseVersion('99'))).rejects.toThrow('Unknown migration version: 0099');
+    expect(client.queries).toEqual([]);
+  });
+});
@@ -0,0 +1,3 @@
+-- Rollback: nothing to undo
+-- On Supabase the roles, schemas and extensions belong to the platform, and on a
+-- local Postgres they go away with the database
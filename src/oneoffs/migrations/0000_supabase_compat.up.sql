@@ -0,0 +1,51 @@
+-- Migration: What Supabase provides out of the box
+-- The schema relies on the anon/authenticated roles, auth.users, pgcrypto and the
+-- supabase_realtime publication. Supabase already has all of them, so this does
+-- nothing there; on a plain local Postgres it creates stand-ins so the rest of the
+-- migrations run unchanged.
+-- Safe to run multiple times
+
+-- ============================================
+-- 1. API roles
+-- ============================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+    CREATE ROLE anon NOLOGIN;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+    CREATE ROLE authenticated NOLOGIN;
+  END IF;
+END;
+$$;
+
+-- ============================================
+-- 2. Auth users (claims.user_id references them)
+-- ============================================
+
+-- Solo si no existe: en Supabase el esquema auth no es del usuario postgres
+DO $$
+BEGIN
+  IF to_regclass('auth.users') IS NULL THEN
+    CREATE SCHEMA IF NOT EXISTS auth;
+    CREATE TABLE auth.users (
+      id UUID PRIMARY KEY
+    );
+  END IF;
+END;
+$$;
+
+-- ============================================
+-- 3. Extensions and the realtime publication
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+    CREATE PUBLICATION supabase_realtime;
+  END IF;
+END;
+$$;
@@ -0,0 +1,10 @@
+-- Rollback: Initial schema
+-- Removes every table and function created by 0001_init_schema.up.sql, with their data
+
+DROP FUNCTION IF EXISTS get_claim_stats();
+DROP FUNCTION IF EXISTS claim_specific_state(TEXT, UUID, TEXT, TEXT);
+DROP FUNCTION IF EXISTS get_random_available_states(INTEGER);
+DROP FUNCTION IF EXISTS claim_random_state(UUID, TEXT, TEXT);
+
+DROP TABLE IF EXISTS claims;
+DROP TABLE IF EXISTS tic_tac_toe_states;
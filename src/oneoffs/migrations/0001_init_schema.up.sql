@@ -1,3 +1,6 @@
+-- Migration: Initial schema
+-- States, claims, row level security and the first RPCs
+
 -- Tabla de estados canónicos
 CREATE TABLE tic_tac_toe_states (
   canonical_id TEXT PRIMARY KEY,
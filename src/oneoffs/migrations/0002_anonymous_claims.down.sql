@@ -0,0 +1,3 @@
+-- Rollback: Allow anonymous claims
+-- Nothing to undo: 0002_anonymous_claims.up.sql recreates the same policy and
+-- functions that 0001_init_schema.up.sql defines
@@ -136,5 +136,5 @@ $$;
 -- ============================================
 -- Done!
 -- ============================================
--- Run this script in Supabase SQL Editor
+-- Apply with `npm run db:migrate`
 -- It's safe to run multiple times
@@ -0,0 +1,11 @@
+-- Rollback: Fix security vulnerability in claims table
+-- Makes claims readable again and removes get_claimed_canonical_ids()
+
+CREATE POLICY "Anyone can view claims"
+  ON claims FOR SELECT
+  TO authenticated, anon
+  USING (true);
+
+DROP FUNCTION IF EXISTS get_claimed_canonical_ids();
+
+ALTER FUNCTION get_claim_stats() SECURITY INVOKER;
@@ -50,7 +50,7 @@ $$;
 -- ============================================
 -- Done!
 -- ============================================
--- Run this in Supabase SQL Editor to fix the security issue
+-- Apply with `npm run db:migrate` to fix the security issue
 -- After running this:
 -- 1. Users can no longer SELECT from claims table directly
 -- 2. They can only call get_claimed_canonical_ids() which returns ONLY canonical_ids
@@ -0,0 +1,3 @@
+-- Rollback: Public details of a single state
+
+DROP FUNCTION IF EXISTS get_state_details(TEXT);
@@ -0,0 +1,54 @@
+-- Migration: Public details of a single state for permalink pages
+-- Returns the stored state data plus whether it has been claimed.
+-- Never exposes who claimed it (claims stays unreadable, see 0003_claims_security.up.sql)
+-- Safe to run multiple times
+
+CREATE OR REPLACE FUNCTION get_state_details(p_canonical_id TEXT)
+RETURNS TABLE(
+  canonical_id TEXT,
+  config INTEGER[],
+  turn_count INTEGER,
+  horoscope_corto TEXT,
+  horoscope_completo TEXT,
+  rareza_count INTEGER,
+  progreso INTEGER,
+  prob_x INTEGER,
+  prob_o INTEGER,
+  prob_empate INTEGER,
+  prob_model TEXT,
+  is_terminal BOOLEAN,
+  has_winner BOOLEAN,
+  winners INTEGER[],
+  winning_lines INTEGER[][],
+  is_claimed BOOLEAN
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT
+    s.canonical_id,
+    s.config,
+    s.turn_count,
+    s.horoscope_corto,
+    s.horoscope_completo,
+    s.rareza_count,
+    s.progreso,
+    s.prob_x,
+    s.prob_o,
+    s.prob_empate,
+    s.prob_model,
+    s.is_terminal,
+    s.has_winner,
+    s.winners,
+    s.winning_lines,
+    (c.canonical_id IS NOT NULL) AS is_claimed
+  FROM tic_tac_toe_states s
+  LEFT JOIN claims c ON s.canonical_id = c.canonical_id
+  WHERE s.canonical_id = p_canonical_id;
+$$;
+
+-- ============================================
+-- Done!
+-- ============================================
+-- Apply with `npm run db:migrate`
@@ -0,0 +1,18 @@
+-- Rollback: Public feed of claim events
+-- Removes the trigger, the events table and its realtime publication
+
+DROP TRIGGER IF EXISTS claims_record_event ON claims;
+DROP FUNCTION IF EXISTS record_claim_event();
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND tablename = 'claim_events'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime DROP TABLE claim_events;
+  END IF;
+END;
+$$;
+
+DROP TABLE IF EXISTS claim_events;
@@ -0,0 +1,76 @@
+-- Migration: Public feed of claim events for realtime updates
+-- Problem: claims can't be read by anon (see 0003_claims_security.up.sql), so realtime
+-- subscriptions on it never fire and other visitors only see new claims on reload
+-- Solution: a trigger copies each claimed canonical_id (and nothing else) into a
+-- readable claim_events table that is published through Supabase Realtime
+-- Safe to run multiple times
+
+-- ============================================
+-- 1. Events table (no personal data)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS claim_events (
+  canonical_id TEXT PRIMARY KEY REFERENCES tic_tac_toe_states(canonical_id),
+  claimed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE claim_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view claim events" ON claim_events;
+
+CREATE POLICY "Anyone can view claim events"
+  ON claim_events FOR SELECT
+  TO authenticated, anon
+  USING (true);
+
+-- Backfill existing claims
+INSERT INTO claim_events (canonical_id, claimed_at)
+SELECT canonical_id, claimed_at FROM claims
+ON CONFLICT (canonical_id) DO NOTHING;
+
+-- ============================================
+-- 2. Copy every new claim into claim_events
+-- ============================================
+
+CREATE OR REPLACE FUNCTION record_claim_event()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  INSERT INTO claim_events (canonical_id, claimed_at)
+  VALUES (NEW.canonical_id, NEW.claimed_at)
+  ON CONFLICT (canonical_id) DO NOTHING;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS claims_record_event ON claims;
+
+CREATE TRIGGER claims_record_event
+  AFTER INSERT ON claims
+  FOR EACH ROW
+  EXECUTE FUNCTION record_claim_event();
+
+-- ============================================
+-- 3. Publish inserts through Supabase Realtime
+-- ============================================
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+    AND NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND tablename = 'claim_events'
+    ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE claim_events;
+  END IF;
+END;
+$$;
+
+-- ============================================
+-- Done!
+-- ============================================
+-- Apply with `npm run db:migrate`
+-- The app subscribes to INSERTs on claim_events and falls back to polling
+-- get_claimed_canonical_ids() when realtime isn't available
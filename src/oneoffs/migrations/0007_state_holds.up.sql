@@ -0,0 +1,212 @@
+-- Migration: Short-lived holds on a state during the email step
+-- Problem: between choosing one of the three options and submitting the email,
+-- someone else can claim the same state and the user only finds out at submit time
+-- Solution: choosing an option places an expiring hold (hold_state), held states
+-- are excluded from get_random_available_states, and the hold is released when
+-- the modal closes (release_hold) or consumed by claim_specific_state
+-- Safe to run multiple times
+
+-- ============================================
+-- 1. Holds table (only reachable through the functions below)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS state_holds (
+  canonical_id TEXT PRIMARY KEY REFERENCES tic_tac_toe_states(canonical_id),
+  hold_token UUID NOT NULL DEFAULT gen_random_uuid(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+ALTER TABLE state_holds ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 2. Place and release holds
+-- ============================================
+
+-- Apartar un estado por p_seconds segundos (entre 30 y 600)
+CREATE OR REPLACE FUNCTION hold_state(p_canonical_id TEXT, p_seconds INTEGER DEFAULT 300)
+RETURNS TABLE(
+  hold_token UUID,
+  expires_at TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  -- Limpiar apartados vencidos
+  DELETE FROM state_holds h WHERE h.expires_at <= NOW();
+
+  -- Verificar que el estado existe y no está reclamado
+  IF NOT EXISTS (
+    SELECT 1
+    FROM tic_tac_toe_states s
+    LEFT JOIN claims c ON s.canonical_id = c.canonical_id
+    WHERE s.canonical_id = p_canonical_id
+    AND c.canonical_id IS NULL
+  ) THEN
+    RAISE EXCEPTION 'Estado no disponible';
+  END IF;
+
+  -- La clave primaria garantiza un solo apartado por estado
+  RETURN QUERY
+  INSERT INTO state_holds AS h (canonical_id, expires_at)
+  VALUES (p_canonical_id, NOW() + make_interval(secs => LEAST(GREATEST(p_seconds, 30), 600)))
+  ON CONFLICT (canonical_id) DO NOTHING
+  RETURNING h.hold_token, h.expires_at;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Estado apartado';
+  END IF;
+END;
+$$;
+
+-- Liberar un apartado (al cerrar el modal)
+CREATE OR REPLACE FUNCTION release_hold(p_hold_token UUID)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+AS $$
+  DELETE FROM state_holds WHERE hold_token = p_hold_token;
+$$;
+
+-- ============================================
+-- 3. Respect holds when offering and claiming states
+-- ============================================
+
+-- Drop existing functions first (since signatures changed)
+DROP FUNCTION IF EXISTS get_random_available_states(INTEGER);
+DROP FUNCTION IF EXISTS claim_specific_state(TEXT, UUID, TEXT, TEXT);
+
+-- Función para obtener N opciones aleatorias no reclamadas ni apartadas
+CREATE OR REPLACE FUNCTION get_random_available_states(n INTEGER DEFAULT 3)
+RETURNS TABLE(
+  canonical_id TEXT,
+  config INTEGER[],
+  turn_count INTEGER,
+  horoscope_corto TEXT,
+  rareza_count INTEGER,
+  progreso INTEGER,
+  prob_x INTEGER,
+  prob_o INTEGER,
+  prob_empate INTEGER,
+  prob_model TEXT,
+  is_terminal BOOLEAN,
+  has_winner BOOLEAN,
+  winners INTEGER[],
+  winning_lines INTEGER[][]
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT
+    s.canonical_id,
+    s.config,
+    s.turn_count,
+    s.horoscope_corto,
+    s.rareza_count,
+    s.progreso,
+    s.prob_x,
+    s.prob_o,
+    s.prob_empate,
+    s.prob_model,
+    s.is_terminal,
+    s.has_winner,
+    s.winners,
+    s.winning_lines
+  FROM tic_tac_toe_states s
+  LEFT JOIN claims c ON s.canonical_id = c.canonical_id
+  WHERE c.canonical_id IS NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM state_holds h
+    WHERE h.canonical_id = s.canonical_id
+    AND h.expires_at > NOW()
+  )
+  ORDER BY RANDOM()
+  LIMIT n;
+$$;
+
+-- Función para reclamar un estado específico (permite user_id NULL para usuarios anónimos)
+-- p_hold_token: el apartado obtenido con hold_state, si lo hay
+CREATE OR REPLACE FUNCTION claim_specific_state(
+  p_canonical_id TEXT,
+  p_user_id UUID,
+  p_nombre TEXT,
+  p_email TEXT,
+  p_hold_token UUID DEFAULT NULL
+)
+RETURNS TABLE(
+  canonical_id TEXT,
+  config INTEGER[],
+  horoscope_corto TEXT,
+  horoscope_completo TEXT,
+  rareza_count INTEGER,
+  progreso INTEGER,
+  prob_x INTEGER,
+  prob_o INTEGER,
+  prob_empate INTEGER,
+  prob_model TEXT,
+  turn_count INTEGER,
+  is_terminal BOOLEAN,
+  has_winner BOOLEAN,
+  winners INTEGER[],
+  winning_lines INTEGER[][]
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  -- Verificar que el estado existe y no está reclamado
+  IF NOT EXISTS (
+    SELECT 1
+    FROM tic_tac_toe_states s
+    LEFT JOIN claims c ON s.canonical_id = c.canonical_id
+    WHERE s.canonical_id = p_canonical_id
+    AND c.canonical_id IS NULL
+  ) THEN
+    RAISE EXCEPTION 'Estado no disponible';
+  END IF;
+
+  -- Verificar que nadie más lo tiene apartado
+  IF EXISTS (
+    SELECT 1 FROM state_holds h
+    WHERE h.canonical_id = p_canonical_id
+    AND h.expires_at > NOW()
+    AND h.hold_token IS DISTINCT FROM p_hold_token
+  ) THEN
+    RAISE EXCEPTION 'Estado apartado';
+  END IF;
+
+  -- Insertar reclamo (user_id puede ser NULL para usuarios anónimos)
+  INSERT INTO claims (canonical_id, user_id, nombre, email)
+  VALUES (p_canonical_id, p_user_id, p_nombre, p_email);
+
+  -- El apartado ya no hace falta
+  DELETE FROM state_holds h WHERE h.canonical_id = p_canonical_id;
+
+  -- Retornar estado reclamado con todos los datos
+  RETURN QUERY
+  SELECT
+    s.canonical_id,
+    s.config,
+    s.horoscope_corto,
+    s.horoscope_completo,
+    s.rareza_count,
+    s.progreso,
+    s.prob_x,
+    s.prob_o,
+    s.prob_empate,
+    s.prob_model,
+    s.turn_count,
+    s.is_terminal,
+    s.has_winner,
+    s.winners,
+    s.winning_lines
+  FROM tic_tac_toe_states s
+  WHERE s.canonical_id = p_canonical_id;
+END;
+$$;
+
+-- ============================================
+-- Done!
+-- ============================================
+-- Apply with `npm run db:migrate`
@@ -0,0 +1,178 @@
+-- Migration: Recover a claimed board by email
+-- Problem: claims can't be read by anon (see 0003_claims_security.up.sql), so a user who
+-- forgets which board they claimed has no way to find it again
+-- Solution: recover_claims(p_email) checks the email against the claims and returns
+-- only the claimed canonical_ids with a signed claim token. The browser keeps the
+-- tokens and verify_claim_tokens() turns them back into canonical_ids on later
+-- visits, so returning visitors see their board highlighted without typing anything.
+-- Tokens are "<claim id>.<HMAC-SHA256 of the claim id>" signed with a server-side
+-- secret that never leaves the database. Names and emails are never returned.
+-- Safe to run multiple times
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- ============================================
+-- 1. Signing secret (only reachable through the functions below)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS claim_token_secret (
+  id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id), -- una sola fila
+  secret TEXT NOT NULL DEFAULT encode(gen_random_bytes(32), 'hex')
+);
+
+ALTER TABLE claim_token_secret ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO claim_token_secret DEFAULT VALUES
+ON CONFLICT (id) DO NOTHING;
+
+-- Firma de un reclamo; solo la usan las funciones de abajo
+CREATE OR REPLACE FUNCTION claim_token(p_claim_id UUID)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+  SELECT p_claim_id::TEXT || '.' || encode(hmac(p_claim_id::TEXT, s.secret, 'sha256'), 'hex')
+  FROM claim_token_secret s;
+$$;
+
+REVOKE EXECUTE ON FUNCTION claim_token(UUID) FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- 2. Recover claims by email and verify stored tokens
+-- ============================================
+
+-- Estados reclamados con un email (sin distinguir mayúsculas ni espacios)
+CREATE OR REPLACE FUNCTION recover_claims(p_email TEXT)
+RETURNS TABLE(
+  canonical_id TEXT,
+  claimed_at TIMESTAMPTZ,
+  claim_token TEXT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+  SELECT c.canonical_id, c.claimed_at, claim_token(c.id)
+  FROM claims c
+  WHERE btrim(p_email) <> ''
+  AND lower(btrim(c.email)) = lower(btrim(p_email))
+  ORDER BY c.claimed_at;
+$$;
+
+-- Estados cuyos tokens guardados en el navegador siguen siendo válidos
+CREATE OR REPLACE FUNCTION verify_claim_tokens(p_tokens TEXT[])
+RETURNS TABLE(canonical_id TEXT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+  SELECT c.canonical_id
+  FROM claims c
+  WHERE c.id::TEXT IN (SELECT split_part(t, '.', 1) FROM unnest(p_tokens) t)
+  AND claim_token(c.id) = ANY(p_tokens);
+$$;
+
+-- ============================================
+-- 3. Return the claim token from claim_specific_state
+-- ============================================
+
+-- Drop existing function first (since return type changed)
+DROP FUNCTION IF EXISTS claim_specific_state(TEXT, UUID, TEXT, TEXT, UUID);
+
+-- Función para reclamar un estado específico (permite user_id NULL para usuarios anónimos)
+-- p_hold_token: el apartado obtenido con hold_state, si lo hay
+CREATE OR REPLACE FUNCTION claim_specific_state(
+  p_canonical_id TEXT,
+  p_user_id UUID,
+  p_nombre TEXT,
+  p_email TEXT,
+  p_hold_token UUID DEFAULT NULL
+)
+RETURNS TABLE(
+  canonical_id TEXT,
+  config INTEGER[],
+  horoscope_corto TEXT,
+  horoscope_completo TEXT,
+  rareza_count INTEGER,
+  progreso INTEGER,
+  prob_x INTEGER,
+  prob_o INTEGER,
+  prob_empate INTEGER,
+  prob_model TEXT,
+  turn_count INTEGER,
+  is_terminal BOOLEAN,
+  has_winner BOOLEAN,
+  winners INTEGER[],
+  winning_lines INTEGER[][],
+  claim_token TEXT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_claim_id UUID;
+BEGIN
+  -- Verificar que el estado existe y no está reclamado
+  IF NOT EXISTS (
+    SELECT 1
+    FROM tic_tac_toe_states s
+    LEFT JOIN claims c ON s.canonical_id = c.canonical_id
+    WHERE s.canonical_id = p_canonical_id
+    AND c.canonical_id IS NULL
+  ) THEN
+    RAISE EXCEPTION 'Estado no disponible';
+  END IF;
+
+  -- Verificar que nadie más lo tiene apartado
+  IF EXISTS (
+    SELECT 1 FROM state_holds h
+    WHERE h.canonical_id = p_canonical_id
+    AND h.expires_at > NOW()
+    AND h.hold_token IS DISTINCT FROM p_hold_token
+  ) THEN
+    RAISE EXCEPTION 'Estado apartado';
+  END IF;
+
+  -- Insertar reclamo (user_id puede ser NULL para usuarios anónimos)
+  INSERT INTO claims (canonical_id, user_id, nombre, email)
+  VALUES (p_canonical_id, p_user_id, p_nombre, p_email)
+  RETURNING id INTO v_claim_id;
+
+  -- El apartado ya no hace falta
+  DELETE FROM state_holds h WHERE h.canonical_id = p_canonical_id;
+
+  -- Retornar estado reclamado con todos los datos y el token para recordarlo
+  RETURN QUERY
+  SELECT
+    s.canonical_id,
+    s.config,
+    s.horoscope_corto,
+    s.horoscope_completo,
+    s.rareza_count,
+    s.progreso,
+    s.prob_x,
+    s.prob_o,
+    s.prob_empate,
+    s.prob_model,
+    s.turn_count,
+    s.is_terminal,
+    s.has_winner,
+    s.winners,
+    s.winning_lines,
+    claim_token(v_claim_id)
+  FROM tic_tac_toe_states s
+  WHERE s.canonical_id = p_canonical_id;
+END;
+$$;
+
+-- ============================================
+-- Done!
+-- ============================================
+-- Apply with `npm run db:migrate`
+-- recover_claims() only confirms which boards an email claimed: boards are public,
+-- names and emails stay private
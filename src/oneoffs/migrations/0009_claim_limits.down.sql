@@ -0,0 +1,98 @@
+-- Rollback: Validate claims and limit how many one person can make
+-- Restores claim_specific_state from 0008_claim_recovery.up.sql and removes the limits
+
+-- Función para reclamar un estado específico (permite user_id NULL para usuarios anónimos)
+-- p_hold_token: el apartado obtenido con hold_state, si lo hay
+CREATE OR REPLACE FUNCTION claim_specific_state(
+  p_canonical_id TEXT,
+  p_user_id UUID,
+  p_nombre TEXT,
+  p_email TEXT,
+  p_hold_token UUID DEFAULT NULL
+)
+RETURNS TABLE(
+  canonical_id TEXT,
+  config INTEGER[],
+  horoscope_corto TEXT,
+  horoscope_completo TEXT,
+  rareza_count INTEGER,
+  progreso INTEGER,
+  prob_x INTEGER,
+  prob_o INTEGER,
+  prob_empate INTEGER,
+  prob_model TEXT,
+  turn_count INTEGER,
+  is_terminal BOOLEAN,
+  has_winner BOOLEAN,
+  winners INTEGER[],
+  winning_lines INTEGER[][],
+  claim_token TEXT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_claim_id UUID;
+BEGIN
+  -- Verificar que el estado existe y no está reclamado
+  IF NOT EXISTS (
+    SELECT 1
+    FROM tic_tac_toe_states s
+    LEFT JOIN claims c ON s.canonical_id = c.canonical_id
+    WHERE s.canonical_id = p_canonical_id
+    AND c.canonical_id IS NULL
+  ) THEN
+    RAISE EXCEPTION 'Estado no disponible';
+  END IF;
+
+  -- Verificar que nadie más lo tiene apartado
+  IF EXISTS (
+    SELECT 1 FROM state_holds h
+    WHERE h.canonical_id = p_canonical_id
+    AND h.expires_at > NOW()
+    AND h.hold_token IS DISTINCT FROM p_hold_token
+  ) THEN
+    RAISE EXCEPTION 'Estado apartado';
+  END IF;
+
+  -- Insertar reclamo (user_id puede ser NULL para usuarios anónimos)
+  INSERT INTO claims (canonical_id, user_id, nombre, email)
+  VALUES (p_canonical_id, p_user_id, p_nombre, p_email)
+  RETURNING id INTO v_claim_id;
+
+  -- El apartado ya no hace falta
+  DELETE FROM state_holds h WHERE h.canonical_id = p_canonical_id;
+
+  -- Retornar estado reclamado con todos los datos y el token para recordarlo
+  RETURN QUERY
+  SELECT
+    s.canonical_id,
+    s.config,
+    s.horoscope_corto,
+    s.horoscope_completo,
+    s.rareza_count,
+    s.progreso,
+    s.prob_x,
+    s.prob_o,
+    s.prob_empate,
+    s.prob_model,
+    s.turn_count,
+    s.is_terminal,
+    s.has_winner,
+    s.winners,
+    s.winning_lines,
+    claim_token(v_claim_id)
+  FROM tic_tac_toe_states s
+  WHERE s.canonical_id = p_canonical_id;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS request_client_hash();
+DROP INDEX IF EXISTS idx_claims_email;
+DROP INDEX IF EXISTS idx_claims_client_hash;
+
+ALTER TABLE claims
+  DROP COLUMN IF EXISTS client_hash;
+
+DROP TABLE IF EXISTS claim_settings;
@@ -0,0 +1,188 @@
+-- Migration: Validate claims and limit how many one person can make
+-- Problem: claim_specific_state accepts any p_email/p_nombre (empty or garbage) and
+-- has no limit, so one person could claim all 765 states with a loop
+-- Solution: claim_specific_state normalizes and checks the email, sanitizes the name,
+-- caps the claims per email and throttles claims per email and per client within a
+-- time window. Each rule raises its own message so the app can explain it:
+--   'Email inválido'                 formato o longitud del email
+--   'Nombre inválido'                nombre demasiado largo
+--   'Límite de reclamos alcanzado'   el email ya tiene max_claims_per_email estados
+--   'Demasiados intentos'            demasiados reclamos en throttle_window_seconds
+-- The limits live in claim_settings and can be changed without redeploying.
+-- Safe to run multiple times
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- ============================================
+-- 1. Configurable limits (only reachable through the functions below)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS claim_settings (
+  id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id), -- una sola fila
+  max_claims_per_email INTEGER NOT NULL DEFAULT 3,
+  max_name_length INTEGER NOT NULL DEFAULT 60,
+  throttle_window_seconds INTEGER NOT NULL DEFAULT 600,
+  max_claims_per_window INTEGER NOT NULL DEFAULT 2
+);
+
+ALTER TABLE claim_settings ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO claim_settings DEFAULT VALUES
+ON CONFLICT (id) DO NOTHING;
+
+-- Para cambiar un límite:
+-- UPDATE claim_settings SET max_claims_per_email = 5;
+
+-- ============================================
+-- 2. Remember which client made each claim (hashed, never the raw IP)
+-- ============================================
+
+ALTER TABLE claims
+  ADD COLUMN IF NOT EXISTS client_hash TEXT; -- sha256 de la IP del cliente
+
+CREATE INDEX IF NOT EXISTS idx_claims_email ON claims(lower(email));
+CREATE INDEX IF NOT EXISTS idx_claims_client_hash ON claims(client_hash, claimed_at);
+
+-- Hash de la IP que hizo la petición (NULL fuera de la API, p. ej. en el SQL Editor)
+CREATE OR REPLACE FUNCTION request_client_hash()
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SET search_path = public, extensions
+AS $$
+  SELECT encode(digest(ip, 'sha256'), 'hex')
+  FROM (
+    SELECT NULLIF(btrim(split_part(current_setting('request.headers', true)::json ->> 'x-forwarded-for', ',', 1)), '') AS ip
+  ) request;
+$$;
+
+-- ============================================
+-- 3. claim_specific_state with validation and limits
+-- ============================================
+
+-- Función para reclamar un estado específico (permite user_id NULL para usuarios anónimos)
+-- p_hold_token: el apartado obtenido con hold_state, si lo hay
+CREATE OR REPLACE FUNCTION claim_specific_state(
+  p_canonical_id TEXT,
+  p_user_id UUID,
+  p_nombre TEXT,
+  p_email TEXT,
+  p_hold_token UUID DEFAULT NULL
+)
+RETURNS TABLE(
+  canonical_id TEXT,
+  config INTEGER[],
+  horoscope_corto TEXT,
+  horoscope_completo TEXT,
+  rareza_count INTEGER,
+  progreso INTEGER,
+  prob_x INTEGER,
+  prob_o INTEGER,
+  prob_empate INTEGER,
+  prob_model TEXT,
+  turn_count INTEGER,
+  is_terminal BOOLEAN,
+  has_winner BOOLEAN,
+  winners INTEGER[],
+  winning_lines INTEGER[][],
+  claim_token TEXT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_settings claim_settings%ROWTYPE;
+  v_email TEXT := lower(btrim(coalesce(p_email, '')));
+  v_nombre TEXT;
+  v_client_hash TEXT := request_client_hash();
+  v_claim_id UUID;
+BEGIN
+  SELECT * INTO v_settings FROM claim_settings;
+
+  -- Validar email
+  IF length(v_email) > 254 OR v_email !~ '^[^@[:space:]]+@[^@[:space:]]+\.[^@[:space:]]+$' THEN
+    RAISE EXCEPTION 'Email inválido';
+  END IF;
+
+  -- Limpiar nombre: sin etiquetas ni caracteres de control, espacios colapsados
+  v_nombre := regexp_replace(coalesce(p_nombre, ''), '<[^>]*>', '', 'g');
+  v_nombre := regexp_replace(v_nombre, '[[:cntrl:]<>]', '', 'g');
+  v_nombre := btrim(regexp_replace(v_nombre, '[[:space:]]+', ' ', 'g'));
+  IF length(v_nombre) > v_settings.max_name_length THEN
+    RAISE EXCEPTION 'Nombre inválido';
+  END IF;
+
+  -- Serializar reclamos del mismo email para que los límites no se salten en paralelo
+  PERFORM pg_advisory_xact_lock(hashtext(v_email));
+
+  IF (SELECT COUNT(*) FROM claims c WHERE lower(c.email) = v_email) >= v_settings.max_claims_per_email THEN
+    RAISE EXCEPTION 'Límite de reclamos alcanzado';
+  END IF;
+
+  IF (
+    SELECT COUNT(*) FROM claims c
+    WHERE c.claimed_at > NOW() - make_interval(secs => v_settings.throttle_window_seconds)
+    AND (lower(c.email) = v_email OR c.client_hash = v_client_hash)
+  ) >= v_settings.max_claims_per_window THEN
+    RAISE EXCEPTION 'Demasiados intentos';
+  END IF;
+
+  -- Verificar que el estado existe y no está reclamado
+  IF NOT EXISTS (
+    SELECT 1
+    FROM tic_tac_toe_states s
+    LEFT JOIN claims c ON s.canonical_id = c.canonical_id
+    WHERE s.canonical_id = p_canonical_id
+    AND c.canonical_id IS NULL
+  ) THEN
+    RAISE EXCEPTION 'Estado no disponible';
+  END IF;
+
+  -- Verificar que nadie más lo tiene apartado
+  IF EXISTS (
+    SELECT 1 FROM state_holds h
+    WHERE h.canonical_id = p_canonical_id
+    AND h.expires_at > NOW()
+    AND h.hold_token IS DISTINCT FROM p_hold_token
+  ) THEN
+    RAISE EXCEPTION 'Estado apartado';
+  END IF;
+
+  -- Insertar reclamo (user_id puede ser NULL para usuarios anónimos)
+  INSERT INTO claims (canonical_id, user_id, nombre, email, client_hash)
+  VALUES (p_canonical_id, p_user_id, v_nombre, v_email, v_client_hash)
+  RETURNING id INTO v_claim_id;
+
+  -- El apartado ya no hace falta
+  DELETE FROM state_holds h WHERE h.canonical_id = p_canonical_id;
+
+  -- Retornar estado reclamado con todos los datos y el token para recordarlo
+  RETURN QUERY
+  SELECT
+    s.canonical_id,
+    s.config,
+    s.horoscope_corto,
+    s.horoscope_completo,
+    s.rareza_count,
+    s.progreso,
+    s.prob_x,
+    s.prob_o,
+    s.prob_empate,
+    s.prob_model,
+    s.turn_count,
+    s.is_terminal,
+    s.has_winner,
+    s.winners,
+    s.winning_lines,
+    claim_token(v_claim_id)
+  FROM tic_tac_toe_states s
+  WHERE s.canonical_id = p_canonical_id;
+END;
+$$;
+
+-- ============================================
+-- Done!
+-- ============================================
+-- Apply with `npm run db:migrate`
+-- Existing claims are not checked again; the limits apply to new claims only
@@ -0,0 +1,31 @@
+-- Rollback: Confirm the email before recovering claims
+-- Restores recover_claims(p_email) from 0008_claim_recovery.up.sql and removes the recovery limits
+
+DROP FUNCTION IF EXISTS recover_claims();
+
+-- Estados reclamados con un email (sin distinguir mayúsculas ni espacios)
+CREATE OR REPLACE FUNCTION recover_claims(p_email TEXT)
+RETURNS TABLE(
+  canonical_id TEXT,
+  claimed_at TIMESTAMPTZ,
+  claim_token TEXT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+  SELECT c.canonical_id, c.claimed_at, claim_token(c.id)
+  FROM claims c
+  WHERE btrim(p_email) <> ''
+  AND lower(btrim(c.email)) = lower(btrim(p_email))
+  ORDER BY c.claimed_at;
+$$;
+
+DROP TABLE IF EXISTS claim_recoveries;
+
+ALTER TABLE claim_settings
+  DROP COLUMN IF EXISTS recovery_window_seconds,
+  DROP COLUMN IF EXISTS max_recoveries_per_window;
+
+-- auth.jwt() stays: on Supabase it isn't ours to drop
@@ -0,0 +1,108 @@
+-- Migration: Confirm the email before recovering claims
+-- Problem: recover_claims(p_email) (see 0008_claim_recovery.up.sql) returns the boards and
+-- valid claim tokens of any email typed into it, so knowing someone's email is enough to
+-- find their boards and show them as your own
+-- Solution: the email has to be confirmed with a one-time code first. The app asks
+-- Supabase Auth to email a code (signInWithOtp), exchanges it for a session (verifyOtp)
+-- and only then calls recover_claims(), which takes the confirmed email from the
+-- session's JWT instead of a parameter. Supabase Auth throttles the codes it sends and
+-- the attempts to verify them; recover_claims() is throttled per email on top, with
+-- its own message:
+--   'Email sin confirmar'   no session with a confirmed email
+--   'Demasiados intentos'   max_recoveries_per_window recoveries in recovery_window_seconds
+-- Safe to run multiple times
+
+-- ============================================
+-- 1. auth.jwt() (Supabase has it; a stand-in on plain Postgres, like 0000_supabase_compat)
+-- ============================================
+
+DO $$
+BEGIN
+  IF to_regprocedure('auth.jwt()') IS NULL THEN
+    CREATE FUNCTION auth.jwt()
+    RETURNS JSONB
+    LANGUAGE sql
+    STABLE
+    AS $jwt$
+      SELECT coalesce(nullif(current_setting('request.jwt.claims', true), ''), '{}')::JSONB;
+    $jwt$;
+  END IF;
+END;
+$$;
+
+-- ============================================
+-- 2. Recovery limits and log (only reachable through the functions below)
+-- ============================================
+
+ALTER TABLE claim_settings
+  ADD COLUMN IF NOT EXISTS recovery_window_seconds INTEGER NOT NULL DEFAULT 3600,
+  ADD COLUMN IF NOT EXISTS max_recoveries_per_window INTEGER NOT NULL DEFAULT 5;
+
+CREATE TABLE IF NOT EXISTS claim_recoveries (
+  id BIGSERIAL PRIMARY KEY,
+  email TEXT NOT NULL,
+  recovered_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE claim_recoveries ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_claim_recoveries_email ON claim_recoveries(email, recovered_at);
+
+-- ============================================
+-- 3. recover_claims() for confirmed emails only
+-- ============================================
+
+DROP FUNCTION IF EXISTS recover_claims(TEXT);
+
+-- Estados reclamados con el email confirmado de la sesión (ver verifyOtp en supabase.js)
+CREATE OR REPLACE FUNCTION recover_claims()
+RETURNS TABLE(
+  canonical_id TEXT,
+  claimed_at TIMESTAMPTZ,
+  claim_token TEXT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_settings claim_settings%ROWTYPE;
+  v_email TEXT := lower(btrim(coalesce(auth.jwt() ->> 'email', '')));
+BEGIN
+  -- Solo sesiones de usuarios que confirmaron su email con el código
+  IF auth.jwt() ->> 'role' IS DISTINCT FROM 'authenticated' OR v_email = '' THEN
+    RAISE EXCEPTION 'Email sin confirmar';
+  END IF;
+
+  SELECT * INTO v_settings FROM claim_settings;
+
+  -- Serializar por email para que el límite no se salte en paralelo
+  PERFORM pg_advisory_xact_lock(hashtext('recover:' || v_email));
+
+  IF (
+    SELECT COUNT(*) FROM claim_recoveries r
+    WHERE r.email = v_email
+    AND r.recovered_at > NOW() - make_interval(secs => v_settings.recovery_window_seconds)
+  ) >= v_settings.max_recoveries_per_window THEN
+    RAISE EXCEPTION 'Demasiados intentos';
+  END IF;
+
+  INSERT INTO claim_recoveries (email) VALUES (v_email);
+
+  RETURN QUERY
+  SELECT c.canonical_id, c.claimed_at, claim_token(c.id)
+  FROM claims c
+  WHERE lower(btrim(c.email)) = v_email
+  ORDER BY c.claimed_at;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION recover_claims() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION recover_claims() TO authenticated;
+
+-- ============================================
+-- Done!
+-- ============================================
+-- Apply with `npm run db:migrate`
+-- In the Supabase dashboard keep the Email provider enabled with "Confirm email" on, and
+-- add {{ .Token }} to the Magic Link email template so the email carries the code
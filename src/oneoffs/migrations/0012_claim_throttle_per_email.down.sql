@@ -0,0 +1,129 @@
+-- Rollback: Throttle claims per email, with a separate, high limit per client
+-- Restores claim_specific_state from 0010_horoscope_locales.up.sql and removes the per-client limit
+
+-- Función para reclamar un estado específico (permite user_id NULL para usuarios anónimos)
+-- p_hold_token: el apartado obtenido con hold_state, si lo hay
+-- p_locale: idioma del horóscopo devuelto (si no hay traducción, el texto en español)
+CREATE OR REPLACE FUNCTION claim_specific_state(
+  p_canonical_id TEXT,
+  p_user_id UUID,
+  p_nombre TEXT,
+  p_email TEXT,
+  p_hold_token UUID DEFAULT NULL,
+  p_locale TEXT DEFAULT 'es'
+)
+RETURNS TABLE(
+  canonical_id TEXT,
+  config INTEGER[],
+  horoscope_corto TEXT,
+  horoscope_completo TEXT,
+  rareza_count INTEGER,
+  progreso INTEGER,
+  prob_x INTEGER,
+  prob_o INTEGER,
+  prob_empate INTEGER,
+  prob_model TEXT,
+  turn_count INTEGER,
+  is_terminal BOOLEAN,
+  has_winner BOOLEAN,
+  winners INTEGER[],
+  winning_lines INTEGER[][],
+  claim_token TEXT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_settings claim_settings%ROWTYPE;
+  v_email TEXT := lower(btrim(coalesce(p_email, '')));
+  v_nombre TEXT;
+  v_client_hash TEXT := request_client_hash();
+  v_claim_id UUID;
+BEGIN
+  SELECT * INTO v_settings FROM claim_settings;
+
+  -- Validar email
+  IF length(v_email) > 254 OR v_email !~ '^[^@[:space:]]+@[^@[:space:]]+\.[^@[:space:]]+$' THEN
+    RAISE EXCEPTION 'Email inválido';
+  END IF;
+
+  -- Limpiar nombre: sin etiquetas ni caracteres de control, espacios colapsados
+  v_nombre := regexp_replace(coalesce(p_nombre, ''), '<[^>]*>', '', 'g');
+  v_nombre := regexp_replace(v_nombre, '[[:cntrl:]<>]', '', 'g');
+  v_nombre := btrim(regexp_replace(v_nombre, '[[:space:]]+', ' ', 'g'));
+  IF length(v_nombre) > v_settings.max_name_length THEN
+    RAISE EXCEPTION 'Nombre inválido';
+  END IF;
+
+  -- Serializar reclamos del mismo email para que los límites no se salten en paralelo
+  PERFORM pg_advisory_xact_lock(hashtext(v_email));
+
+  IF (SELECT COUNT(*) FROM claims c WHERE lower(c.email) = v_email) >= v_settings.max_claims_per_email THEN
+    RAISE EXCEPTION 'Límite de reclamos alcanzado';
+  END IF;
+
+  IF (
+    SELECT COUNT(*) FROM claims c
+    WHERE c.claimed_at > NOW() - make_interval(secs => v_settings.throttle_window_seconds)
+    AND (lower(c.email) = v_email OR c.client_hash = v_client_hash)
+  ) >= v_settings.max_claims_per_window THEN
+    RAISE EXCEPTION 'Demasiados intentos';
+  END IF;
+
+  -- Verificar que el estado existe y no está reclamado
+  IF NOT EXISTS (
+    SELECT 1
+    FROM tic_tac_toe_states s
+    LEFT JOIN claims c ON s.canonical_id = c.canonical_id
+    WHERE s.canonical_id = p_canonical_id
+    AND c.canonical_id IS NULL
+  ) THEN
+    RAISE EXCEPTION 'Estado no disponible';
+  END IF;
+
+  -- Verificar que nadie más lo tiene apartado
+  IF EXISTS (
+    SELECT 1 FROM state_holds h
+    WHERE h.canonical_id = p_canonical_id
+    AND h.expires_at > NOW()
+    AND h.hold_token IS DISTINCT FROM p_hold_token
+  ) THEN
+    RAISE EXCEPTION 'Estado apartado';
+  END IF;
+
+  -- Insertar reclamo (user_id puede ser NULL para usuarios anónimos)
+  INSERT INTO claims (canonical_id, user_id, nombre, email, client_hash)
+  VALUES (p_canonical_id, p_user_id, v_nombre, v_email, v_client_hash)
+  RETURNING id INTO v_claim_id;
+
+  -- El apartado ya no hace falta
+  DELETE FROM state_holds h WHERE h.canonical_id = p_canonical_id;
+
+  -- Retornar estado reclamado con todos los datos y el token para recordarlo
+  RETURN QUERY
+  SELECT
+    s.canonical_id,
+    s.config,
+    COALESCE(tr.horoscope_corto, s.horoscope_corto),
+    COALESCE(tr.horoscope_completo, s.horoscope_completo),
+    s.rareza_count,
+    s.progreso,
+    s.prob_x,
+    s.prob_o,
+    s.prob_empate,
+    s.prob_model,
+    s.turn_count,
+    s.is_terminal,
+    s.has_winner,
+    s.winners,
+    s.winning_lines,
+    claim_token(v_claim_id)
+  FROM tic_tac_toe_states s
+  LEFT JOIN state_horoscopes tr ON tr.canonical_id = s.canonical_id AND tr.locale = p_locale
+  WHERE s.canonical_id = p_canonical_id;
+END;
+$$;
+
+ALTER TABLE claim_settings
+  DROP COLUMN IF EXISTS max_claims_per_client_window;
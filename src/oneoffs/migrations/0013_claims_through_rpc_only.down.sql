@@ -0,0 +1,12 @@
+-- Rollback: Claim only through claim_specific_state
+-- Restores the "Anyone can claim" policy from 0002_anonymous_claims.up.sql
+
+GRANT INSERT ON claims TO anon, authenticated;
+
+DROP POLICY IF EXISTS "Anyone can claim" ON claims;
+
+-- Políticas: Cualquiera puede reclamar (para amigos y familia)
+CREATE POLICY "Anyone can claim"
+  ON claims FOR INSERT
+  TO authenticated, anon
+  WITH CHECK (true);
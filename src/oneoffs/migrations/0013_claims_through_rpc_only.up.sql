@@ -0,0 +1,19 @@
+-- Migration: Claim only through claim_specific_state
+-- Problem: the "Anyone can claim" policy from 0001_init_schema.up.sql (recreated in
+-- 0002_anonymous_claims.up.sql) still lets anon insert into claims directly through
+-- the API. A direct insert skips every check of claim_specific_state: email and name
+-- validation, the per-email cap and throttle, the per-client limit and holds, so one
+-- script could claim all 765 boards
+-- Solution: drop the policy and revoke INSERT on claims from the API roles. The
+-- SECURITY DEFINER functions still insert as their owner
+-- Safe to run multiple times
+
+DROP POLICY IF EXISTS "Anyone can claim" ON claims;
+DROP POLICY IF EXISTS "Authenticated users can claim" ON claims;
+
+REVOKE INSERT ON claims FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- Done!
+-- ============================================
+-- Apply with `npm run db:migrate`
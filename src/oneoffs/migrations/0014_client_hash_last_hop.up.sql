@@ -0,0 +1,174 @@
+-- Migration: Identify the client by the address the proxy saw
+-- Problem: request_client_hash (see 0009_claim_limits.up.sql) hashes the first entry of
+-- X-Forwarded-For, which is whatever the client sends. A script sending a fresh header on
+-- every request counts as a new client each time, so the per-client limit of
+-- 0012_claim_throttle_per_email.up.sql never triggers. Also, only the email was locked,
+-- so parallel claims of one client with different emails could all pass the count
+-- Solution: hash the last entry of X-Forwarded-For, the one the platform's proxy appends
+-- with the address it received the request from, and lock on the client hash too
+-- Safe to run multiple times
+
+-- ============================================
+-- 1. The client is the last hop of X-Forwarded-For
+-- ============================================
+
+-- Hash de la IP que hizo la petición (NULL fuera de la API, p. ej. en el SQL Editor)
+-- Las entradas anteriores de X-Forwarded-For las escribe el cliente y no son confiables
+CREATE OR REPLACE FUNCTION request_client_hash()
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SET search_path = public, extensions
+AS $$
+  SELECT encode(digest(ip, 'sha256'), 'hex')
+  FROM (
+    SELECT NULLIF(btrim(reverse(split_part(reverse(current_setting('request.headers', true)::json ->> 'x-forwarded-for'), ',', 1))), '') AS ip
+  ) request;
+$$;
+
+-- ============================================
+-- 2. claim_specific_state locks the client as well as the email
+-- ============================================
+
+-- Función para reclamar un estado específico (permite user_id NULL para usuarios anónimos)
+-- p_hold_token: el apartado obtenido con hold_state, si lo hay
+-- p_locale: idioma del horóscopo devuelto (si no hay traducción, el texto en español)
+CREATE OR REPLACE FUNCTION claim_specific_state(
+  p_canonical_id TEXT,
+  p_user_id UUID,
+  p_nombre TEXT,
+  p_email TEXT,
+  p_hold_token UUID DEFAULT NULL,
+  p_locale TEXT DEFAULT 'es'
+)
+RETURNS TABLE(
+  canonical_id TEXT,
+  config INTEGER[],
+  horoscope_corto TEXT,
+  horoscope_completo TEXT,
+  rareza_count INTEGER,
+  progreso INTEGER,
+  prob_x INTEGER,
+  prob_o INTEGER,
+  prob_empate INTEGER,
+  prob_model TEXT,
+  turn_count INTEGER,
+  is_terminal BOOLEAN,
+  has_winner BOOLEAN,
+  winners INTEGER[],
+  winning_lines INTEGER[][],
+  claim_token TEXT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_settings claim_settings%ROWTYPE;
+  v_email TEXT := lower(btrim(coalesce(p_email, '')));
+  v_nombre TEXT;
+  v_client_hash TEXT := request_client_hash();
+  v_claim_id UUID;
+BEGIN
+  SELECT * INTO v_settings FROM claim_settings;
+
+  -- Validar email
+  IF length(v_email) > 254 OR v_email !~ '^[^@[:space:]]+@[^@[:space:]]+\.[^@[:space:]]+$' THEN
+    RAISE EXCEPTION 'Email inválido';
+  END IF;
+
+  -- Limpiar nombre: sin etiquetas ni caracteres de control, espacios colapsados
+  v_nombre := regexp_replace(coalesce(p_nombre, ''), '<[^>]*>', '', 'g');
+  v_nombre := regexp_replace(v_nombre, '[[:cntrl:]<>]', '', 'g');
+  v_nombre := btrim(regexp_replace(v_nombre, '[[:space:]]+', ' ', 'g'));
+  IF length(v_nombre) > v_settings.max_name_length THEN
+    RAISE EXCEPTION 'Nombre inválido';
+  END IF;
+
+  -- Serializar reclamos del mismo email y del mismo cliente para que los límites no se
+  -- salten en paralelo (siempre en este orden, para no bloquearse entre sí)
+  PERFORM pg_advisory_xact_lock(hashtext(v_email));
+  IF v_client_hash IS NOT NULL THEN
+    PERFORM pg_advisory_xact_lock(hashtext('client:' || v_client_hash));
+  END IF;
+
+  IF (SELECT COUNT(*) FROM claims c WHERE lower(c.email) = v_email) >= v_settings.max_claims_per_email THEN
+    RAISE EXCEPTION 'Límite de reclamos alcanzado';
+  END IF;
+
+  -- Por email: una persona no puede reclamar en ráfaga
+  IF (
+    SELECT COUNT(*) FROM claims c
+    WHERE c.claimed_at > NOW() - make_interval(secs => v_settings.throttle_window_seconds)
+    AND lower(c.email) = v_email
+  ) >= v_settings.max_claims_per_window THEN
+    RAISE EXCEPTION 'Demasiados intentos';
+  END IF;
+
+  -- Por cliente, con un límite alto: una familia comparte wifi, un script no
+  IF v_client_hash IS NOT NULL AND (
+    SELECT COUNT(*) FROM claims c
+    WHERE c.claimed_at > NOW() - make_interval(secs => v_settings.throttle_window_seconds)
+    AND c.client_hash = v_client_hash
+  ) >= v_settings.max_claims_per_client_window THEN
+    RAISE EXCEPTION 'Demasiados intentos';
+  END IF;
+
+  -- Verificar que el estado existe y no está reclamado
+  IF NOT EXISTS (
+    SELECT 1
+    FROM tic_tac_toe_states s
+    LEFT JOIN claims c ON s.canonical_id = c.canonical_id
+    WHERE s.canonical_id = p_canonical_id
+    AND c.canonical_id IS NULL
+  ) THEN
+    RAISE EXCEPTION 'Estado no disponible';
+  END IF;
+
+  -- Verificar que nadie más lo tiene apartado
+  IF EXISTS (
+    SELECT 1 FROM state_holds h
+    WHERE h.canonical_id = p_canonical_id
+    AND h.expires_at > NOW()
+    AND h.hold_token IS DISTINCT FROM p_hold_token
+  ) THEN
+    RAISE EXCEPTION 'Estado apartado';
+  END IF;
+
+  -- Insertar reclamo (user_id puede ser NULL para usuarios anónimos)
+  INSERT INTO claims (canonical_id, user_id, nombre, email, client_hash)
+  VALUES (p_canonical_id, p_user_id, v_nombre, v_email, v_client_hash)
+  RETURNING id INTO v_claim_id;
+
+  -- El apartado ya no hace falta
+  DELETE FROM state_holds h WHERE h.canonical_id = p_canonical_id;
+
+  -- Retornar estado reclamado con todos los datos y el token para recordarlo
+  RETURN QUERY
+  SELECT
+    s.canonical_id,
+    s.config,
+    COALESCE(tr.horoscope_corto, s.horoscope_corto),
+    COALESCE(tr.horoscope_completo, s.horoscope_completo),
+    s.rareza_count,
+    s.progreso,
+    s.prob_x,
+    s.prob_o,
+    s.prob_empate,
+    s.prob_model,
+    s.turn_count,
+    s.is_terminal,
+    s.has_winner,
+    s.winners,
+    s.winning_lines,
+    claim_token(v_claim_id)
+  FROM tic_tac_toe_states s
+  LEFT JOIN state_horoscopes tr ON tr.canonical_id = s.canonical_id AND tr.locale = p_locale
+  WHERE s.canonical_id = p_canonical_id;
+END;
+$$;
+
+-- ============================================
+-- Done!
+-- ============================================
+-- Apply with `npm run db:migrate`
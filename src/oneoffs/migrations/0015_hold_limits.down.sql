@@ -0,0 +1,51 @@
+-- Rollback: Limit the holds of each client
+-- Restores hold_state from 0007_state_holds.up.sql and removes the hold limits
+
+-- Apartar un estado por p_seconds segundos (entre 30 y 600)
+CREATE OR REPLACE FUNCTION hold_state(p_canonical_id TEXT, p_seconds INTEGER DEFAULT 300)
+RETURNS TABLE(
+  hold_token UUID,
+  expires_at TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  -- Limpiar apartados vencidos
+  DELETE FROM state_holds h WHERE h.expires_at <= NOW();
+
+  -- Verificar que el estado existe y no está reclamado
+  IF NOT EXISTS (
+    SELECT 1
+    FROM tic_tac_toe_states s
+    LEFT JOIN claims c ON s.canonical_id = c.canonical_id
+    WHERE s.canonical_id = p_canonical_id
+    AND c.canonical_id IS NULL
+  ) THEN
+    RAISE EXCEPTION 'Estado no disponible';
+  END IF;
+
+  -- La clave primaria garantiza un solo apartado por estado
+  RETURN QUERY
+  INSERT INTO state_holds AS h (canonical_id, expires_at)
+  VALUES (p_canonical_id, NOW() + make_interval(secs => LEAST(GREATEST(p_seconds, 30), 600)))
+  ON CONFLICT (canonical_id) DO NOTHING
+  RETURNING h.hold_token, h.expires_at;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Estado apartado';
+  END IF;
+END;
+$$;
+
+DROP TABLE IF EXISTS state_hold_log;
+
+DROP INDEX IF EXISTS idx_state_holds_client_hash;
+
+ALTER TABLE state_holds
+  DROP COLUMN IF EXISTS client_hash;
+
+ALTER TABLE claim_settings
+  DROP COLUMN IF EXISTS max_active_holds_per_client,
+  DROP COLUMN IF EXISTS hold_window_seconds,
+  DROP COLUMN IF EXISTS max_holds_per_client_window;
@@ -0,0 +1,112 @@
+-- Migration: Limit the holds of each client
+-- Problem: hold_state (see 0007_state_holds.up.sql) lets anyone hold any number of states,
+-- as often as they like. One loop can hold every available board for 600 s and keep
+-- renewing, so get_random_available_states and claim_specific_state offer nobody else
+-- anything
+-- Solution: remember which client placed each hold (request_client_hash, as claims do).
+-- A client may have max_active_holds_per_client holds at a time and place at most
+-- max_holds_per_client_window in hold_window_seconds; past either limit hold_state raises
+-- 'Demasiados intentos'. src/services/claimRules.js applies the same rules locally.
+-- Safe to run multiple times
+
+-- ============================================
+-- 1. Hold limits and log (only reachable through the functions below)
+-- ============================================
+
+ALTER TABLE claim_settings
+  ADD COLUMN IF NOT EXISTS max_active_holds_per_client INTEGER NOT NULL DEFAULT 2,
+  ADD COLUMN IF NOT EXISTS hold_window_seconds INTEGER NOT NULL DEFAULT 600,
+  ADD COLUMN IF NOT EXISTS max_holds_per_client_window INTEGER NOT NULL DEFAULT 20;
+
+ALTER TABLE state_holds
+  ADD COLUMN IF NOT EXISTS client_hash TEXT; -- sha256 de la IP del cliente
+
+CREATE INDEX IF NOT EXISTS idx_state_holds_client_hash ON state_holds(client_hash);
+
+-- Los apartados se borran al liberarse o reclamarse; este registro queda para el límite
+CREATE TABLE IF NOT EXISTS state_hold_log (
+  id BIGSERIAL PRIMARY KEY,
+  client_hash TEXT NOT NULL,
+  held_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE state_hold_log ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_state_hold_log_client_hash ON state_hold_log(client_hash, held_at);
+
+-- ============================================
+-- 2. hold_state with per-client limits
+-- ============================================
+
+-- Apartar un estado por p_seconds segundos (entre 30 y 600)
+CREATE OR REPLACE FUNCTION hold_state(p_canonical_id TEXT, p_seconds INTEGER DEFAULT 300)
+RETURNS TABLE(
+  hold_token UUID,
+  expires_at TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_settings claim_settings%ROWTYPE;
+  v_client_hash TEXT := request_client_hash();
+BEGIN
+  SELECT * INTO v_settings FROM claim_settings;
+
+  -- Limpiar apartados vencidos
+  DELETE FROM state_holds h WHERE h.expires_at <= NOW();
+
+  -- Por cliente (NULL fuera de la API): pocos apartados a la vez y no en ráfaga
+  IF v_client_hash IS NOT NULL THEN
+    -- Serializar apartados del mismo cliente para que los límites no se salten en paralelo
+    PERFORM pg_advisory_xact_lock(hashtext('hold:' || v_client_hash));
+
+    IF (
+      SELECT COUNT(*) FROM state_holds h
+      WHERE h.client_hash = v_client_hash
+    ) >= v_settings.max_active_holds_per_client THEN
+      RAISE EXCEPTION 'Demasiados intentos';
+    END IF;
+
+    IF (
+      SELECT COUNT(*) FROM state_hold_log l
+      WHERE l.client_hash = v_client_hash
+      AND l.held_at > NOW() - make_interval(secs => v_settings.hold_window_seconds)
+    ) >= v_settings.max_holds_per_client_window THEN
+      RAISE EXCEPTION 'Demasiados intentos';
+    END IF;
+  END IF;
+
+  -- Verificar que el estado existe y no está reclamado
+  IF NOT EXISTS (
+    SELECT 1
+    FROM tic_tac_toe_states s
+    LEFT JOIN claims c ON s.canonical_id = c.canonical_id
+    WHERE s.canonical_id = p_canonical_id
+    AND c.canonical_id IS NULL
+  ) THEN
+    RAISE EXCEPTION 'Estado no disponible';
+  END IF;
+
+  -- La clave primaria garantiza un solo apartado por estado
+  RETURN QUERY
+  INSERT INTO state_holds AS h (canonical_id, expires_at, client_hash)
+  VALUES (p_canonical_id, NOW() + make_interval(secs => LEAST(GREATEST(p_seconds, 30), 600)), v_client_hash)
+  ON CONFLICT (canonical_id) DO NOTHING
+  RETURNING h.hold_token, h.expires_at;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Estado apartado';
+  END IF;
+
+  IF v_client_hash IS NOT NULL THEN
+    INSERT INTO state_hold_log (client_hash) VALUES (v_client_hash);
+  END IF;
+END;
+$$;
+
+-- ============================================
+-- Done!
+-- ============================================
+-- Apply with `npm run db:migrate`
@@ -0,0 +1,35 @@
+/**
+ * Print a board in the terminal, drawn with the Unicode renderer
+ *
+ * Shows the board in color (the page's theme), its canonical form and
+ * whether a real game can reach it.
+ *
+ * Usage:
+ * node src/oneoffs/print-state.js <id> [--no-color]
+ *
+ * e.g. node src/oneoffs/print-state.js 120010002
+ */
+
+import { fileURLToPath } from 'url';
+import { TicTacToeState } from '../core/TicTacToeState.js';
+import { unicodeRenderer } from '../render/index.js';
+
+function main() {
+  const [id] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const color = !process.argv.includes('--no-color') && process.stdout.isTTY;
+
+  if (!id) {
+    console.log('Uso: node src/oneoffs/print-state.js <id> [--no-color]');
+    process.exit(1);
+  }
+
+  const state = TicTacToeState.fromId(id);
+  console.log(unicodeRenderer.render(state, { color }));
+  console.log(`\nForma canónica: ${state.canonical}`);
+  console.log(`Turno:          ${state.turnCount}`);
+  console.log(state.isReachable ? 'Alcanzable en una partida' : `Inalcanzable: ${state.reachabilityReason}`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
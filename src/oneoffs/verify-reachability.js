@@ -0,0 +1,95 @@
+/**
+ * Check the strict reachability test (TicTacToeState.isReachable) against the
+ * real game tree
+ *
+ * For every rules variant on 3×3 it compares the boards accepted by
+ * isReachable among all 19,683 configurations with the boards found by
+ * playing every game from the empty board (StateGenerator.generateReachable),
+ * and checks the known counts for standard play: 5,478 reachable positions
+ * and 765 canonical ones, the claimable states.
+ *
+ * npm test runs the same checks (src/core/StateGenerator.test.js); this script
+ * also lists the boards behind a mismatch.
+ *
+ * Usage:
+ * node src/oneoffs/verify-reachability.js
+ *
+ * Exits with code 1 if any check fails.
+ */
+
+import { fileURLToPath } from 'url';
+import { StateGenerator } from '../core/StateGenerator.js';
+import { Rules } from '../core/Rules.js';
+
+// Conteos conocidos del gato estándar (X empieza)
+const EXPECTED_REACHABLE = 5478;
+const EXPECTED_CANONICAL = 765;
+
+/**
+ * Compare the strict test with the game tree for one rules variant
+ * @param {Object} rules - A Rules object
+ * @returns {Object} { rules, reachable, canonical, missing, extra, laxOnly }
+ */
+export function verifyRules(rules) {
+  const all = new StateGenerator({ rules });
+  all.generateAll();
+  const played = new StateGenerator({ rules });
+  played.generateReachable();
+
+  const reachableIds = new Set(all.getReachableStates().map(state => state.id));
+  const playedIds = new Set(played.allStates.map(state => state.id));
+
+  return {
+    rules: rules.id,
+    reachable: reachableIds.size,
+    canonical: all.getCanonicalReachableStates().length,
+    // Alcanzables en el árbol que el test rechaza, y al revés
+    missing: [...playedIds].filter(id => !reachableIds.has(id)),
+    extra: [...reachableIds].filter(id => !playedIds.has(id)),
+    // Tableros que la validación laxa acepta pero no salen en una partida
+    laxOnly: all.getValidStatesForRules().filter(state => !state.isReachable),
+  };
+}
+
+// ============================================
+// EJECUCIÓN
+// ============================================
+
+function main() {
+  // Los generadores reportan sus conteos; aquí solo interesa el resumen
+  const log = console.log;
+  console.log = () => {};
+  console.time = () => {};
+  console.timeEnd = () => {};
+
+  let failed = false;
+  try {
+    for (const rules of Rules.all()) {
+      const result = verifyRules(rules);
+      const ok = result.missing.length === 0 && result.extra.length === 0;
+      failed ||= !ok;
+
+      log(`${ok ? '✅' : '❌'} ${result.rules}: ${result.reachable} alcanzables (${result.canonical} canónicos)`);
+      if (result.missing.length > 0) log(`   Rechazados pero alcanzables: ${result.missing.slice(0, 10).join(', ')}`);
+      if (result.extra.length > 0) log(`   Aceptados pero inalcanzables: ${result.extra.slice(0, 10).join(', ')}`);
+      for (const state of result.laxOnly.slice(0, 5)) {
+        log(`   ${state.id}: ${state.reachabilityReason}`);
+      }
+
+      if (rules.id === 'standard' &&
+        (result.reachable !== EXPECTED_REACHABLE || result.canonical !== EXPECTED_CANONICAL)) {
+        failed = true;
+        log(`❌ Se esperaban ${EXPECTED_REACHABLE} alcanzables y ${EXPECTED_CANONICAL} canónicos`);
+      }
+    }
+  } finally {
+    console.log = log;
+  }
+
+  if (failed) process.exit(1);
+  console.log('\n✨ La alcanzabilidad estricta coincide con el árbol de juego');
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
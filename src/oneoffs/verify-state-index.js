@@ -0,0 +1,113 @@
+/**
+ * Check the precomputed state index against live generation
+ *
+ * For every one of the 19,683 configurations it compares what StateIndex
+ * answers (canonical form, the symmetry that gives it, validity,
+ * reachability, end of game, lines, rarity) with the TicTacToeState built by
+ * StateGenerator.generateAll(), and checks the claimable states are the same
+ * list. Both a freshly serialized index and public/state-index.bin, the file
+ * the app loads, are checked.
+ *
+ * npm test already compares a freshly built index for every rules variant
+ * (src/core/StateIndex.test.js); this script adds the check of the file
+ * that ships.
+ *
+ * Usage:
+ * node src/oneoffs/verify-state-index.js
+ *
+ * Exits with code 1 if any check fails or the index file is missing
+ * (create it with `node src/oneoffs/build-state-index.js`).
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { StateIndex } from '../core/StateIndex.js';
+import { SymmetryUtils } from '../core/SymmetryUtils.js';
+import { buildStateIndex, STATE_INDEX_FILE } from './build-state-index.js';
+
+const FIELDS = ['canonical', 'turnCount', 'isValid', 'isValidFirstPlayerX', 'isValidForRules',
+  'isReachable', 'isTerminal', 'hasWinner'];
+
+/**
+ * Compare an index with the states of a generator
+ * @param {StateIndex} index
+ * @param {StateGenerator} generator - After generateAll()
+ * @returns {string[]} One line per difference (empty when they match)
+ */
+export function compareIndex(index, generator) {
+  const differences = [];
+
+  if (index.count !== generator.allStates.length) {
+    differences.push(`${index.count} configuraciones en el índice, ${generator.allStates.length} generadas`);
+  }
+
+  // Rareza: orientaciones alcanzables por forma canónica
+  const rarity = new Map();
+  generator.getReachableStates().forEach(state => {
+    rarity.set(state.canonical, (rarity.get(state.canonical) || 0) + 1);
+  });
+
+  for (const state of generator.allStates) {
+    const record = index.getRecord(state.id);
+    if (!record) {
+      differences.push(`${state.id}: no está en el índice`);
+      continue;
+    }
+
+    for (const field of FIELDS) {
+      if (record[field] !== state[field]) {
+        differences.push(`${state.id}: ${field} es ${record[field]}, se esperaba ${state[field]}`);
+      }
+    }
+    if (record.winners.join() !== [...state.winners].sort().join()) {
+      differences.push(`${state.id}: winners es [${record.winners}], se esperaba [${state.winners}]`);
+    }
+    if (SymmetryUtils.transform(state.config, record.transform).join('') !== state.canonical) {
+      differences.push(`${state.id}: ${record.transform} no lleva a la forma canónica`);
+    }
+    if (index.getRarity(state.id) !== (state.isReachable ? rarity.get(state.canonical) : 0)) {
+      differences.push(`${state.id}: rareza ${index.getRarity(state.id)}, se esperaba ${rarity.get(state.canonical) || 0}`);
+    }
+  }
+
+  const expected = generator.getCanonicalReachableStates().map(state => state.id).sort();
+  if (index.getCanonicalReachableIds().join() !== expected.join()) {
+    differences.push(`Estados canónicos: ${index.getCanonicalReachableIds().length} en el índice, ${expected.length} generados`);
+  }
+
+  return differences;
+}
+
+// ============================================
+// EJECUCIÓN
+// ============================================
+
+function main() {
+  const { index, generator } = buildStateIndex();
+
+  const candidates = [['serializado', StateIndex.fromBuffer(index.toBuffer())]];
+  if (existsSync(STATE_INDEX_FILE)) {
+    candidates.push([STATE_INDEX_FILE, StateIndex.fromBuffer(readFileSync(STATE_INDEX_FILE))]);
+  }
+
+  let failed = false;
+  for (const [name, candidate] of candidates) {
+    const differences = compareIndex(candidate, generator);
+    failed ||= differences.length > 0;
+
+    console.log(`${differences.length === 0 ? '✅' : '❌'} ${name}: ${candidate.count} configuraciones`);
+    differences.slice(0, 10).forEach(difference => console.log(`   ${difference}`));
+  }
+
+  if (candidates.length === 1) {
+    failed = true;
+    console.log(`❌ Falta ${STATE_INDEX_FILE}: ejecuta node src/oneoffs/build-state-index.js`);
+  }
+
+  if (failed) process.exit(1);
+  console.log('\n✨ El índice coincide con la generación en vivo');
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -0,0 +1,49 @@
+/**
+ * ASCII renderer - The board as text in HTML spans, the page's original look
+ *
+ * Each cell is a span with data-pos and a mark-x, mark-o or bare mark- class
+ * (empty cells, which the play board makes clickable); the marks of a
+ * completed line also get mark-winning. Colors come from the page's CSS.
+ */
+
+import { DEFAULT_THEME } from './theme.js';
+import { describeBoard, MARK_NAMES } from './board.js';
+
+export const asciiRenderer = {
+  name: 'ascii',
+
+  /**
+   * @param {TicTacToeState|Object} state
+   * @param {Object} [options]
+   * @param {Object} [options.theme]
+   * @returns {string} HTML
+   */
+  render(state, { theme = DEFAULT_THEME } = {}) {
+    const { config, size, winningCells } = describeBoard(state);
+    const separator = Array(size).fill('---').join('+');
+
+    // translate="no" keeps browser translation from breaking the spacing
+    let html = '<span translate="no">';
+    for (let row = 0; row < size; row++) {
+      if (row > 0) {
+        html += `<span class="grid">${separator}</span><br>`;
+      }
+
+      for (let col = 0; col < size; col++) {
+        if (col > 0) {
+          html += '<span class="grid">|</span>';
+        }
+
+        const pos = row * size + col;
+        const mark = MARK_NAMES[config[pos]];
+        const text = ` ${mark ? theme.marks[mark] : theme.marks.empty} `;
+        const isWinning = winningCells.has(pos) ? ' mark-winning' : '';
+        html += `<span class="mark-${mark || ''}${isWinning}" data-pos="${pos}">${text}</span>`;
+      }
+      html += '<br>';
+    }
+    html += '</span>';
+
+    return html;
+  },
+};
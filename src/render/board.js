@@ -0,0 +1,30 @@
+/**
+ * What the renderers need from a board, whether it is a TicTacToeState or a
+ * state row from the backend (config, winning_lines)
+ */
+
+export const MARK_NAMES = { 0: null, 1: 'x', 2: 'o' };
+
+/**
+ * @param {TicTacToeState|Object} state
+ * @returns {{ config: number[], size: number, winningLines: number[][], winningCells: Set<number> }}
+ */
+export function describeBoard(state) {
+  const config = state.config;
+  const winningLines = state.winningLines || state.winning_lines || [];
+  return {
+    config,
+    size: Math.round(Math.sqrt(config.length)),
+    winningLines,
+    winningCells: new Set(winningLines.flat()),
+  };
+}
+
+/**
+ * Escape text for SVG markup, in elements and attribute values
+ * @param {*} text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
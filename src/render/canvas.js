@@ -0,0 +1,179 @@
+/**
+ * Canvas renderer - Boards drawn on a 2D canvas
+ *
+ * drawAll() paints a whole collection of boards in one pass, laid out in
+ * rows like the page's grid, and returns the layout so clicks can be mapped
+ * back to a board. Boards can be dimmed (drawn at the theme's dimmed opacity,
+ * in grey) or highlighted (outlined in the grid color).
+ */
+
+import { DEFAULT_THEME } from './theme.js';
+import { describeBoard, MARK_NAMES } from './board.js';
+
+/**
+ * Draw one board with its top left corner at (x, y)
+ * @param {CanvasRenderingContext2D} context
+ * @param {TicTacToeState|Object} state
+ * @param {Object} [options]
+ * @param {number} [options.x]
+ * @param {number} [options.y]
+ * @param {number} [options.side] - Width and height in pixels (90)
+ * @param {Object} [options.theme]
+ */
+function drawBoard(context, state, { x = 0, y = 0, side = 90, theme = DEFAULT_THEME } = {}) {
+  const { config, size, winningLines, winningCells } = describeBoard(state);
+  const cell = side / size;
+  const { colors, winning } = theme;
+  const center = pos => ({ x: x + (pos % size + 0.5) * cell, y: y + (Math.floor(pos / size) + 0.5) * cell });
+
+  context.save();
+  context.lineCap = 'round';
+
+  context.strokeStyle = colors.grid;
+  context.lineWidth = Math.max(1, cell * 0.04);
+  context.beginPath();
+  for (let i = 1; i < size; i++) {
+    context.moveTo(x + i * cell, y + 2);
+    context.lineTo(x + i * cell, y + side - 2);
+    context.moveTo(x + 2, y + i * cell);
+    context.lineTo(x + side - 2, y + i * cell);
+  }
+  context.stroke();
+
+  context.lineWidth = cell * 0.12;
+  config.forEach((value, pos) => {
+    const mark = MARK_NAMES[value];
+    if (!mark) return;
+
+    const { x: cx, y: cy } = center(pos);
+    context.strokeStyle = colors[mark];
+    context.shadowColor = colors[mark];
+    context.shadowBlur = winningCells.has(pos) ? winning.glow : 0;
+    context.beginPath();
+    if (mark === 'x') {
+      const r = cell * 0.25;
+      context.moveTo(cx - r, cy - r);
+      context.lineTo(cx + r, cy + r);
+      context.moveTo(cx + r, cy - r);
+      context.lineTo(cx - r, cy + r);
+    } else {
+      context.arc(cx, cy, cell * 0.28, 0, Math.PI * 2);
+    }
+    context.stroke();
+  });
+
+  context.shadowBlur = 0;
+  context.lineWidth = winning.strokeWidth * cell;
+  winningLines.forEach(line => {
+    const start = center(line[0]);
+    const end = center(line[line.length - 1]);
+    context.strokeStyle = colors[MARK_NAMES[config[line[0]]]];
+    context.beginPath();
+    context.moveTo(start.x, start.y);
+    context.lineTo(end.x, end.y);
+    context.stroke();
+  });
+
+  context.restore();
+}
+
+export const canvasRenderer = {
+  name: 'canvas',
+
+  /**
+   * A canvas with one board on it
+   * @param {TicTacToeState|Object} state
+   * @param {Object} [options]
+   * @param {Object} [options.theme]
+   * @param {number} [options.side] - Width and height in pixels (90)
+   * @param {Document} [options.document]
+   * @returns {HTMLCanvasElement}
+   */
+  render(state, { theme = DEFAULT_THEME, side = 90, document = globalThis.document } = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.width = side;
+    canvas.height = side;
+    const context = canvas.getContext('2d');
+    if (context) drawBoard(context, state, { side, theme });
+    return canvas;
+  },
+
+  draw: drawBoard,
+
+  /**
+   * Draw many boards in rows, in one pass. The canvas is resized to fit them.
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object[]} boards - { state, dimmed, highlighted }
+   * @param {Object} [options]
+   * @param {Object} [options.theme]
+   * @param {number} [options.width] - Width to fill, in CSS pixels (the canvas's)
+   * @param {number} [options.tile] - Side of each board's tile (77)
+   * @param {number} [options.gap] - Space between tiles and around them (20)
+   * @param {number} [options.pixelRatio] - Device pixels per CSS pixel (1)
+   * @returns {{ columns: number, tile: number, gap: number, boardAt: Function }}
+   *   boardAt(x, y) gives the index in boards of the tile at a point, or -1
+   */
+  drawAll(canvas, boards, {
+    theme = DEFAULT_THEME,
+    width = canvas.clientWidth || canvas.width,
+    tile = 77,
+    gap = 20,
+    pixelRatio = 1,
+  } = {}) {
+    const columns = Math.max(1, Math.floor((width - gap) / (tile + gap)));
+    const rows = Math.ceil(boards.length / columns);
+    const height = gap + rows * (tile + gap);
+    const origin = index => ({
+      x: gap + (index % columns) * (tile + gap),
+      y: gap + Math.floor(index / columns) * (tile + gap),
+    });
+
+    canvas.width = Math.round(width * pixelRatio);
+    canvas.height = Math.round(height * pixelRatio);
+    canvas.style.height = `${height}px`;
+
+    const context = canvas.getContext('2d');
+    if (context) {
+      context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+      context.clearRect(0, 0, width, height);
+
+      // Same padding inside the tile as the ASCII grid
+      const padding = 8;
+      boards.forEach(({ state, dimmed = false, highlighted = false }, index) => {
+        const { x, y } = origin(index);
+        context.save();
+        if (dimmed) {
+          context.globalAlpha = theme.dimmed;
+          context.filter = 'grayscale(100%)';
+        }
+        context.fillStyle = theme.colors.board;
+        context.beginPath();
+        context.roundRect(x, y, tile, tile, 8);
+        context.fill();
+        drawBoard(context, state, { x: x + padding, y: y + padding, side: tile - padding * 2, theme });
+        context.restore();
+
+        if (highlighted) {
+          context.strokeStyle = theme.colors.grid;
+          context.lineWidth = 2;
+          context.strokeRect(x - 5, y - 5, tile + 10, tile + 10);
+        }
+      });
+    }
+
+    return {
+      columns,
+      tile,
+      gap,
+      boardAt(x, y) {
+        const column = Math.floor((x - gap) / (tile + gap));
+        const row = Math.floor((y - gap) / (tile + gap));
+        const index = row * columns + column;
+        const { x: left, y: top } = origin(index);
+        const inside = column >= 0 && column < columns && row >= 0 &&
+          x >= left && x <= left + tile && y >= top && y <= top + tile;
+        return inside && index < boards.length ? index : -1;
+      },
+    };
+  },
+};
@@ -0,0 +1,170 @@
+/**
+ * Card - A board as a printable card
+ *
+ * renderCard() lays out an A6 portrait card (105 × 148 mm) as standalone
+ * SVG: a heading, the board (svgRenderer), the owner's name, the horoscope,
+ * the ID and rarity, and a QR code of the board's permalink. Texts come in
+ * translated, so the layout knows no language. The print variant swaps the
+ * night-sky background for paper white.
+ *
+ * cardToPng() rasterizes a card in the browser, with a canvas.
+ */
+
+import QRCode from 'qrcode';
+import { DEFAULT_THEME, createTheme } from './theme.js';
+import { svgRenderer } from './svg.js';
+import { escapeXml } from './board.js';
+
+// Card size in SVG units (4 units per millimetre)
+export const CARD_WIDTH = 420;
+export const CARD_HEIGHT = 592;
+
+const FONT = "'Source Code Pro', monospace";
+// Monospace glyphs are about 0.6em wide, which is what text wrapping counts on
+const CHAR_WIDTH = 0.6;
+
+const PALETTES = {
+  screen: { background: '#0d1635', text: '#f0f8ff', accent: '#f3d854' },
+  print: { background: '#ffffff', text: '#1a1a1a', accent: '#1a2540' },
+};
+
+/**
+ * Split text into lines of at most maxChars, ending with … when it doesn't fit
+ * @private
+ */
+function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text ?? '').split(/\s+/).filter(Boolean)) {
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    const last = lines[maxLines - 1];
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${last.slice(0, maxChars - 1)}…`;
+  }
+  return lines;
+}
+
+/**
+ * A block of centered, wrapped text
+ * @private
+ */
+function textBlock(text, { y, size, color, weight = 'normal', maxLines }) {
+  const maxChars = Math.floor((CARD_WIDTH - 60) / (size * CHAR_WIDTH));
+  return wrapText(text, maxChars, maxLines).map((line, i) =>
+    `<text x="${CARD_WIDTH / 2}" y="${y + i * size * 1.35}" font-size="${size}" font-weight="${weight}" fill="${color}" text-anchor="middle">${escapeXml(line)}</text>`
+  ).join('');
+}
+
+/**
+ * A QR code as an SVG path of 1×1 modules, dark on a light quiet zone
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.x]
+ * @param {number} [options.y]
+ * @param {number} [options.size] - Width and height in the parent's units
+ * @returns {string} SVG markup
+ */
+export function renderQrCode(text, { x = 0, y = 0, size = 100 } = {}) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  let path = '';
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) path += `M${col} ${row}h1v1h-1z`;
+    }
+  }
+
+  // Four modules of quiet zone, as scanners expect
+  const side = modules.size + 8;
+  return `<svg x="${x}" y="${y}" width="${size}" height="${size}" viewBox="-4 -4 ${side} ${side}" shape-rendering="crispEdges">` +
+    `<rect x="-4" y="-4" width="${side}" height="${side}" fill="#ffffff"/><path d="${path}" fill="#000000"/></svg>`;
+}
+
+/**
+ * Lay out a card
+ * @param {Object} card
+ * @param {TicTacToeState|Object} card.state - The board (a state or a state row)
+ * @param {string} card.url - Permalink the QR code opens
+ * @param {Object} card.labels - Translated texts: { heading, id, rarity, scan }
+ * @param {string} [card.name] - Owner's name
+ * @param {Object} [card.horoscope] - { corto, completo }
+ * @param {Object} [options]
+ * @param {Object} [options.theme]
+ * @param {boolean} [options.print] - Paper-white layout for printers
+ * @returns {string} SVG markup
+ */
+export function renderCard({ state, url, labels, name = '', horoscope = null }, { theme = DEFAULT_THEME, print = false } = {}) {
+  const palette = print ? PALETTES.print : PALETTES.screen;
+  const boardTheme = print
+    ? createTheme({ ...theme, colors: { ...theme.colors, grid: palette.accent, board: '#f4f4f4' } })
+    : theme;
+  const board = { x: 120, y: 80, side: 180 };
+
+  const parts = [
+    `<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="${palette.background}"/>`,
+    `<rect x="12" y="12" width="${CARD_WIDTH - 24}" height="${CARD_HEIGHT - 24}" rx="14" fill="none" stroke="${palette.accent}" stroke-width="2"/>`,
+    textBlock(labels.heading, { y: 52, size: 20, color: palette.accent, weight: 'bold', maxLines: 1 }),
+    `<rect x="${board.x - 12}" y="${board.y - 12}" width="${board.side + 24}" height="${board.side + 24}" rx="12" fill="${boardTheme.colors.board}"/>`,
+    svgRenderer.render(state, {
+      theme: boardTheme,
+      animate: false,
+      className: 'card-board',
+      attributes: { x: board.x, y: board.y, width: board.side, height: board.side },
+    }),
+  ];
+
+  // Name and horoscope fill the space down to the footer
+  let y = board.y + board.side + 40;
+  if (name) {
+    parts.push(textBlock(name, { y, size: 22, color: palette.accent, weight: 'bold', maxLines: 1 }));
+    y += 32;
+  }
+  if (horoscope) {
+    parts.push(textBlock(horoscope.corto, { y, size: 14, color: palette.text, weight: 'bold', maxLines: 2 }));
+    y += 46;
+    parts.push(textBlock(horoscope.completo, { y, size: 11, color: palette.text, maxLines: 4 }));
+  }
+
+  // Footer: ID and rarity on the left, the QR code on the right
+  const footerY = CARD_HEIGHT - 130;
+  parts.push(
+    `<text x="36" y="${footerY + 40}" font-size="13" fill="${palette.accent}">${escapeXml(labels.id)}</text>`,
+    `<text x="36" y="${footerY + 62}" font-size="11" fill="${palette.text}">${escapeXml(labels.rarity)}</text>`,
+    `<text x="36" y="${footerY + 84}" font-size="10" fill="${palette.text}" opacity="0.7">${escapeXml(labels.scan)}</text>`,
+    renderQrCode(url, { x: CARD_WIDTH - 136, y: footerY, size: 100 }),
+  );
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" class="card-svg" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" width="105mm" height="148mm" font-family="${escapeXml(FONT)}">` +
+    `${parts.join('')}</svg>`;
+}
+
+/**
+ * Rasterize a card (or any standalone SVG of the card's size) to PNG
+ * @param {string} svg - Markup from renderCard()
+ * @param {Object} [options]
+ * @param {number} [options.scale] - Pixels per SVG unit (3, about 300 dpi)
+ * @param {Document} [options.document]
+ * @returns {Promise<Blob>}
+ */
+export async function cardToPng(svg, { scale = 3, document = globalThis.document } = {}) {
+  const image = new Image();
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  await image.decode();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = CARD_WIDTH * scale;
+  canvas.height = CARD_HEIGHT * scale;
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the PNG'))), 'image/png');
+  });
+}
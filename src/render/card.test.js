@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import jsQR from 'jsqr';
+import { renderCard, renderQrCode } from './card.js';
+import { TicTacToeState } from '../core/TicTacToeState.js';
+
+const PERMALINK = 'https://example.com/reyes/#/state/000012021';
+
+const LABELS = {
+  heading: 'Día de Reyes',
+  id: 'Estado 000012021',
+  rarity: 'Rareza: 4 de 5,478',
+  scan: 'Escanea para verlo',
+};
+
+/**
+ * Read the QR code in SVG markup the way a scanner would: draw its modules,
+ * quiet zone included, and decode the pixels
+ */
+function decodeQrCode(svg) {
+  const qr = svg.match(/<svg [^>]*viewBox="-4 -4 (\d+) \d+" shape-rendering="crispEdges">.*?<\/svg>/);
+  const side = Number(qr[1]);
+  const scale = 4;
+  const width = side * scale;
+  const pixels = new Uint8ClampedArray(width * width * 4).fill(255);
+
+  for (const [, col, row] of qr[0].matchAll(/M(\d+) (\d+)h1v1h-1z/g)) {
+    const left = (Number(col) + 4) * scale;
+    const top = (Number(row) + 4) * scale;
+    for (let y = top; y < top + scale; y++) {
+      for (let x = left; x < left + scale; x++) {
+        pixels.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      }
+    }
+  }
+
+  return jsQR(pixels, width, width)?.data;
+}
+
+describe('renderQrCode', () => {
+  it('encodes the text', () => {
+    expect(decodeQrCode(renderQrCode(PERMALINK))).toBe(PERMALINK);
+  });
+});
+
+describe('renderCard', () => {
+  const state = TicTacToeState.fromId('000012021');
+
+  it('shows the name, the ID and rarity, and a QR code of the permalink', () => {
+    const svg = renderCard({ state, url: PERMALINK, labels: LABELS, name: 'Ana' });
+
+    expect(svg).toContain('>Ana</text>');
+    expect(svg).toContain('>Estado 000012021</text>');
+    expect(svg).toContain('>Rareza: 4 de 5,478</text>');
+    expect(decodeQrCode(svg)).toBe(PERMALINK);
+  });
+
+  it('escapes what people type', () => {
+    const svg = renderCard({ state, url: PERMALINK, labels: { ...LABELS, id: 'Estado <000012021>' }, name: 'Ana & "Beto" <b>' });
+
+    expect(svg).toContain('>Ana &#38; &#34;Beto&#34; &#60;b&#62;</text>');
+    expect(svg).toContain('>Estado &#60;000012021&#62;</text>');
+    expect(svg).not.toContain('<b>');
+  });
+
+  it('lays out the horoscope and a paper-white print version', () => {
+    const horoscope = { corto: 'Un buen comienzo', completo: 'Las estrellas se alinean.' };
+    const svg = renderCard({ state, url: PERMALINK, labels: LABELS, horoscope }, { print: true });
+
+    expect(svg).toContain('>Un buen comienzo</text>');
+    expect(svg).toContain('>Las estrellas se alinean.</text>');
+    expect(svg).toContain('<rect width="420" height="592" fill="#ffffff"/>');
+    expect(new DOMParser().parseFromString(svg, 'image/svg+xml').querySelector('parsererror')).toBeNull();
+  });
+});
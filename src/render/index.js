@@ -0,0 +1,64 @@
+/**
+ * Render - Board renderers with pluggable backends
+ *
+ * A renderer is an object implementing:
+ *
+ *   name                       identifier used by getRenderer()
+ *   render(state, options)     the board in the backend's format
+ *
+ * Every render() takes options.theme (see theme.js) and accepts either a
+ * TicTacToeState or a backend state row. Backends:
+ *
+ * - ascii:   HTML spans of text, styled by the page's CSS (the default view)
+ * - svg:     standalone SVG markup with animated strokes on completed lines
+ * - canvas:  an HTMLCanvasElement; canvasRenderer.drawAll() paints many boards in one pass
+ * - unicode: box-drawing text for terminals, optionally with ANSI colors
+ *
+ * More can be added with registerRenderer(). card.js builds printable cards
+ * from the SVG renderer.
+ */
+
+import { asciiRenderer } from './ascii.js';
+import { svgRenderer } from './svg.js';
+import { canvasRenderer } from './canvas.js';
+import { unicodeRenderer } from './unicode.js';
+
+export { DEFAULT_THEME, createTheme, applyTheme } from './theme.js';
+export { renderCard, renderQrCode, cardToPng, CARD_WIDTH, CARD_HEIGHT } from './card.js';
+export { escapeXml } from './board.js';
+export { asciiRenderer, svgRenderer, canvasRenderer, unicodeRenderer };
+
+const renderers = new Map();
+
+/**
+ * Make a renderer available by name
+ * @param {Object} renderer - { name, render(state, options) }
+ */
+export function registerRenderer(renderer) {
+  if (!renderer?.name || typeof renderer.render !== 'function') {
+    throw new Error('A renderer needs a name and a render(state, options) function');
+  }
+  renderers.set(renderer.name, renderer);
+}
+
+/**
+ * Get a renderer by name
+ * @param {string} name - ascii, svg, canvas, unicode or a registered one
+ * @returns {Object} Renderer
+ */
+export function getRenderer(name) {
+  if (!renderers.has(name)) {
+    throw new Error(`Unknown renderer: ${name}`);
+  }
+  return renderers.get(name);
+}
+
+/**
+ * Names of the available renderers
+ * @returns {string[]}
+ */
+export function getRendererNames() {
+  return [...renderers.keys()];
+}
+
+[asciiRenderer, svgRenderer, canvasRenderer, unicodeRenderer].forEach(registerRenderer);
@@ -0,0 +1,83 @@
+/**
+ * SVG renderer - The board as a standalone, scalable SVG
+ *
+ * Marks are drawn in the theme colors, so the markup also works outside the
+ * page (e.g. saved to a file). Every cell has a transparent rect with
+ * data-pos and the same mark classes as the ASCII renderer, for clicks.
+ * Each completed line gets a stroke that draws itself across the board.
+ */
+
+import { DEFAULT_THEME } from './theme.js';
+import { describeBoard, escapeXml, MARK_NAMES } from './board.js';
+
+// Side of a cell in SVG units, and the size of the marks in it
+const CELL = 10;
+const X_REACH = 2.5;
+const O_RADIUS = 2.8;
+
+function center(pos, size) {
+  return { x: (pos % size + 0.5) * CELL, y: (Math.floor(pos / size) + 0.5) * CELL };
+}
+
+export const svgRenderer = {
+  name: 'svg',
+
+  /**
+   * @param {TicTacToeState|Object} state
+   * @param {Object} [options]
+   * @param {Object} [options.theme]
+   * @param {string} [options.label] - Accessible name of the image
+   * @param {boolean} [options.animate] - Draw the winning strokes progressively (true)
+   * @param {string} [options.className] - Class of the root element ('board-svg', which the page sizes)
+   * @param {Object} [options.attributes] - Extra attributes for the root element,
+   *   e.g. { x, y, width, height } to place it inside another SVG
+   * @returns {string} SVG markup
+   */
+  render(state, { theme = DEFAULT_THEME, label = '', animate = true, className = 'board-svg', attributes = {} } = {}) {
+    const { config, size, winningLines, winningCells } = describeBoard(state);
+    const side = size * CELL;
+    const { colors, winning } = theme;
+    const parts = [];
+
+    // Grid lines between the cells
+    for (let i = 1; i < size; i++) {
+      parts.push(`<line class="grid" x1="${i * CELL}" y1="1" x2="${i * CELL}" y2="${side - 1}"/>`);
+      parts.push(`<line class="grid" x1="1" y1="${i * CELL}" x2="${side - 1}" y2="${i * CELL}"/>`);
+    }
+
+    config.forEach((value, pos) => {
+      const mark = MARK_NAMES[value];
+      const { x, y } = center(pos, size);
+      const isWinning = winningCells.has(pos) ? ' mark-winning' : '';
+      const glow = isWinning && winning.glow ? ` style="filter: drop-shadow(0 0 ${winning.glow / 10}px ${colors[mark]})"` : '';
+
+      parts.push(`<rect class="mark-${mark || ''}${isWinning}" data-pos="${pos}" x="${x - CELL / 2}" y="${y - CELL / 2}" width="${CELL}" height="${CELL}" fill="transparent" stroke="none"/>`);
+      if (mark === 'x') {
+        const r = X_REACH;
+        parts.push(`<path class="mark-x${isWinning}" d="M${x - r} ${y - r}L${x + r} ${y + r}M${x + r} ${y - r}L${x - r} ${y + r}" stroke="${colors.x}" stroke-width="1.2"${glow}/>`);
+      } else if (mark === 'o') {
+        parts.push(`<circle class="mark-o${isWinning}" cx="${x}" cy="${y}" r="${O_RADIUS}" fill="none" stroke="${colors.o}" stroke-width="1.2"${glow}/>`);
+      }
+    });
+
+    // One stroke per completed line, a little past the centers of its ends
+    winningLines.forEach(line => {
+      const start = center(line[0], size);
+      const end = center(line[line.length - 1], size);
+      const length = Math.hypot(end.x - start.x, end.y - start.y);
+      const dx = (end.x - start.x) / length * CELL * 0.35;
+      const dy = (end.y - start.y) / length * CELL * 0.35;
+      const color = colors[MARK_NAMES[config[line[0]]]];
+      const drawing = animate
+        ? `<animate attributeName="stroke-dashoffset" from="1" to="0" dur="${winning.duration}s" fill="freeze"/>`
+        : '';
+
+      parts.push(`<line class="winning-stroke" x1="${start.x - dx}" y1="${start.y - dy}" x2="${end.x + dx}" y2="${end.y + dy}" stroke="${color}" stroke-width="${winning.strokeWidth * CELL}" pathLength="1" stroke-dasharray="1" stroke-dashoffset="0">${drawing}</line>`);
+    });
+
+    const extra = Object.entries(attributes).map(([name, value]) => ` ${name}="${escapeXml(value)}"`).join('');
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="${escapeXml(className)}" viewBox="0 0 ${side} ${side}" role="img"${label ? '' : ' aria-hidden="true"'} translate="no"${extra}>` +
+      (label ? `<title>${escapeXml(label)}</title>` : '') +
+      `<g stroke="${colors.grid}" stroke-width="0.4" stroke-linecap="round">${parts.join('')}</g></svg>`;
+  },
+};
@@ -0,0 +1,59 @@
+/**
+ * Theme - How every renderer draws a board
+ *
+ * One config shared by all the backends, so a board looks the same in ASCII,
+ * SVG, on a canvas or in a terminal:
+ *
+ *   marks    the text for each mark and for an empty cell (ASCII, Unicode)
+ *   colors   marks, grid lines and board background
+ *   winning  how the marks of a completed line stand out
+ *   dimmed   opacity of boards drawn in the background (unclaimed ones)
+ *
+ * The HTML backends leave colors to the page's CSS; applyTheme() exposes the
+ * theme there as custom properties (--color-x, --color-o, --color-grid,
+ * --color-board).
+ */
+
+export const DEFAULT_THEME = Object.freeze({
+  marks: Object.freeze({ x: 'x', o: 'o', empty: ' ' }),
+  colors: Object.freeze({
+    x: '#ff4c4c',
+    o: '#4c9aff',
+    grid: '#f3d854',
+    board: '#1a2540',
+  }),
+  winning: Object.freeze({
+    // Glow around the marks of the line, in pixels (0 for none)
+    glow: 5,
+    // Width of the stroke across the line, as a fraction of a cell
+    strokeWidth: 0.12,
+    // Seconds the SVG stroke takes to draw itself
+    duration: 0.6,
+  }),
+  dimmed: 0.3,
+});
+
+/**
+ * A theme with some settings changed
+ * @param {Object} [overrides] - Same shape as DEFAULT_THEME; nested groups are merged
+ * @returns {Object} Theme
+ */
+export function createTheme(overrides = {}) {
+  return {
+    marks: { ...DEFAULT_THEME.marks, ...overrides.marks },
+    colors: { ...DEFAULT_THEME.colors, ...overrides.colors },
+    winning: { ...DEFAULT_THEME.winning, ...overrides.winning },
+    dimmed: overrides.dimmed ?? DEFAULT_THEME.dimmed,
+  };
+}
+
+/**
+ * Expose a theme's colors to CSS as custom properties
+ * @param {HTMLElement} element - Usually document.documentElement
+ * @param {Object} [theme]
+ */
+export function applyTheme(element, theme = DEFAULT_THEME) {
+  Object.entries(theme.colors).forEach(([name, color]) => {
+    element.style.setProperty(`--color-${name}`, color);
+  });
+}
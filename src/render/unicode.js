@@ -0,0 +1,61 @@
+/**
+ * Unicode renderer - The board in box-drawing characters, for terminals
+ *
+ *   ┌───┬───┬───┐
+ *   │ x │ o │   │
+ *   ├───┼───┼───┤
+ *   ...
+ *
+ * With color, marks are painted in the theme colors with ANSI escapes and
+ * the marks of a completed line are bold.
+ */
+
+import { DEFAULT_THEME } from './theme.js';
+import { describeBoard, MARK_NAMES } from './board.js';
+
+const RESET = '\x1b[0m';
+const BOLD = '\x1b[1m';
+
+// 24-bit foreground color for a '#rrggbb' color
+function ansiColor(hex) {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  return `\x1b[38;2;${r};${g};${b}m`;
+}
+
+export const unicodeRenderer = {
+  name: 'unicode',
+
+  /**
+   * @param {TicTacToeState|Object} state
+   * @param {Object} [options]
+   * @param {Object} [options.theme]
+   * @param {boolean} [options.color] - Use ANSI colors (false)
+   * @returns {string} Lines joined with \n
+   */
+  render(state, { theme = DEFAULT_THEME, color = false } = {}) {
+    const { config, size, winningCells } = describeBoard(state);
+    const border = (left, middle, right) => left + Array(size).fill('───').join(middle) + right;
+    const paint = (text, style) => (color ? `${style}${text}${RESET}` : text);
+
+    const lines = [border('┌', '┬', '┐')];
+    for (let row = 0; row < size; row++) {
+      if (row > 0) lines.push(border('├', '┼', '┤'));
+
+      const cells = [];
+      for (let col = 0; col < size; col++) {
+        const pos = row * size + col;
+        const mark = MARK_NAMES[config[pos]];
+        if (!mark) {
+          cells.push(` ${theme.marks.empty} `);
+          continue;
+        }
+        const style = ansiColor(theme.colors[mark]) + (winningCells.has(pos) ? BOLD : '');
+        cells.push(` ${paint(theme.marks[mark], style)} `);
+      }
+      lines.push(`│${cells.join('│')}│`);
+    }
+    lines.push(border('└', '┴', '┘'));
+
+    return lines.join('\n');
+  },
+};
@@ -0,0 +1,85 @@
+/**
+ * Backend - Where states are fetched from and claims are stored
+ *
+ * The app only talks to the backend through this module. A backend is an
+ * object implementing:
+ *
+ *   getRandomStates(locale)                -> Promise<Object[]>      3 unclaimed, unheld state rows
+ *   claimState(canonicalId, email, nombre, holdToken, locale)
+ *                                          -> Promise<Object>        the claimed state row plus claim_token
+ *   holdState(canonicalId, seconds)        -> Promise<Object>        { hold_token, expires_at }
+ *   releaseHold(holdToken)                 -> Promise<void>
+ *   getClaimStats()                        -> Promise<Object>        { total_states, claimed_states, available_states }
+ *   getClaimedStateIds()                   -> Promise<Set<string>>   claimed canonical IDs
+ *   getStateDetails(canonicalId, locale)   -> Promise<Object|null>   state row plus is_claimed
+ *   requestRecoveryCode(email)             -> Promise<void>          emails a one-time code to prove the email
+ *   recoverClaims(email, code)             -> Promise<Object[]>      [{ canonical_id, claimed_at, claim_token }]
+ *   verifyClaimTokens(tokens)              -> Promise<Set<string>>   canonical IDs of the valid tokens
+ *   subscribeToClaims(onClaim, options)    -> Function               unsubscribe
+ *
+ * State rows carry the horoscope in the requested locale ('es' by default),
+ * falling back to the Spanish text when there is no translation.
+ *
+ * Errors are thrown with the same messages as the Supabase RPCs
+ * (e.g. 'Estado no disponible', 'Estado apartado', 'Código inválido').
+ *
+ * Adapters:
+ * - supabase.js:     the Supabase RPCs (default when VITE_SUPABASE_URL/VITE_SUPABASE_ANON_KEY are set)
+ * - localBackend.js: in-memory store seeded from the shared StateIndex, persisted to localStorage
+ *
+ * Set VITE_BACKEND=supabase or VITE_BACKEND=local to choose one explicitly.
+ */
+
+import { createSupabaseBackend, hasSupabaseConfig } from './supabase.js';
+import { createLocalBackend } from './localBackend.js';
+
+let backend = null;
+
+/**
+ * Create the backend selected by the environment
+ * @returns {Object} Backend
+ */
+export function createDefaultBackend() {
+  const choice = import.meta.env?.VITE_BACKEND || (hasSupabaseConfig() ? 'supabase' : 'local');
+
+  switch (choice) {
+    case 'supabase':
+      return createSupabaseBackend();
+    case 'local':
+      console.info('Using the local backend: claims are stored in this browser only');
+      return createLocalBackend();
+    default:
+      throw new Error(`Unknown backend: ${choice}`);
+  }
+}
+
+/**
+ * Get the active backend, created on first use
+ * @returns {Object} Backend
+ */
+export function getBackend() {
+  if (!backend) {
+    backend = createDefaultBackend();
+  }
+  return backend;
+}
+
+/**
+ * Replace the active backend (e.g. with a local one in tests)
+ * @param {Object} newBackend
+ */
+export function setBackend(newBackend) {
+  backend = newBackend;
+}
+
+export const getRandomStates = (...args) => getBackend().getRandomStates(...args);
+export const claimState = (...args) => getBackend().claimState(...args);
+export const holdState = (...args) => getBackend().holdState(...args);
+export const releaseHold = (...args) => getBackend().releaseHold(...args);
+export const getClaimStats = (...args) => getBackend().getClaimStats(...args);
+export const getClaimedStateIds = (...args) => getBackend().getClaimedStateIds(...args);
+export const getStateDetails = (...args) => getBackend().getStateDetails(...args);
+export const requestRecoveryCode = (...args) => getBackend().requestRecoveryCode(...args);
+export const recoverClaims = (...args) => getBackend().recoverClaims(...args);
+export const verifyClaimTokens = (...args) => getBackend().verifyClaimTokens(...args);
+export const subscribeToClaims = (...args) => getBackend().subscribeToClaims(...args);
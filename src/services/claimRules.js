@@ -0,0 +1,131 @@
+/**
+ * Claim rules - Validation and limits applied to every claim
+ *
+ * Mirrors the checks claim_specific_state makes on the server
+ * (see src/oneoffs/migrations/0012_claim_throttle_per_email.up.sql) so the local backend
+ * behaves the same. Each rule throws its own message, like the RPC:
+ *
+ *   'Email inválido'                 malformed or too long email
+ *   'Nombre inválido'                name longer than maxNameLength
+ *   'Límite de reclamos alcanzado'   the email already has maxClaimsPerEmail claims
+ *   'Demasiados intentos'            within throttleWindowSeconds, maxClaimsPerWindow claims
+ *                                    by the email or maxClaimsPerClientWindow by the client
+ *
+ * checkHold() does the same for hold_state
+ * (see src/oneoffs/migrations/0015_hold_limits.up.sql).
+ */
+
+/**
+ * Limits on recovering claims by email (see localBackend.js). The code ones
+ * follow Supabase Auth's one-time codes; the rest mirror recover_claims()
+ * in src/oneoffs/migrations/0011_claim_recovery_codes.up.sql.
+ */
+export const DEFAULT_RECOVERY_LIMITS = {
+  codeSeconds: 3600,
+  resendSeconds: 60,
+  maxCodeAttempts: 5,
+  recoveryWindowSeconds: 3600,
+  maxRecoveriesPerWindow: 5,
+};
+
+export const DEFAULT_CLAIM_LIMITS = {
+  maxClaimsPerEmail: 3,
+  maxNameLength: 60,
+  throttleWindowSeconds: 600,
+  maxClaimsPerWindow: 2,
+  maxClaimsPerClientWindow: 30,
+};
+
+export const DEFAULT_HOLD_LIMITS = {
+  maxActiveHoldsPerClient: 2,
+  holdWindowSeconds: 600,
+  maxHoldsPerClientWindow: 20,
+};
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+/**
+ * Normalize an email the way claims are stored: trimmed and lowercase
+ * @param {string} email
+ * @returns {string}
+ */
+export function normalizeEmail(email) {
+  return String(email ?? '').trim().toLowerCase();
+}
+
+/**
+ * Remove tags, control characters and stray angle brackets, collapse whitespace
+ * @param {string} nombre
+ * @returns {string}
+ */
+export function sanitizeNombre(nombre) {
+  return String(nombre ?? '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/[\p{Cc}<>]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Validate a claim against the existing ones
+ * @param {Object} claim
+ * @param {string} claim.email
+ * @param {string} claim.nombre
+ * @param {string|null} [claim.clientHash] - Who is claiming (null skips the per-client limit)
+ * @param {Object[]} claims - Existing claims with email, claimed_at and client_hash
+ * @param {Object} [limits] - Overrides for DEFAULT_CLAIM_LIMITS
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {{ email: string, nombre: string }} The normalized email and sanitized name
+ */
+export function checkClaim({ email, nombre, clientHash = null }, claims, limits = DEFAULT_CLAIM_LIMITS, now = Date.now()) {
+  const { maxClaimsPerEmail, maxNameLength, throttleWindowSeconds, maxClaimsPerWindow, maxClaimsPerClientWindow } = { ...DEFAULT_CLAIM_LIMITS, ...limits };
+
+  const normalizedEmail = normalizeEmail(email);
+  if (normalizedEmail.length > 254 || !EMAIL_PATTERN.test(normalizedEmail)) {
+    throw new Error('Email inválido');
+  }
+
+  const sanitizedNombre = sanitizeNombre(nombre);
+  if (sanitizedNombre.length > maxNameLength) {
+    throw new Error('Nombre inválido');
+  }
+
+  const byEmail = claims.filter(claim => normalizeEmail(claim.email) === normalizedEmail);
+  if (byEmail.length >= maxClaimsPerEmail) {
+    throw new Error('Límite de reclamos alcanzado');
+  }
+
+  const windowStart = now - throttleWindowSeconds * 1000;
+  const recent = claims.filter(claim => Date.parse(claim.claimed_at) > windowStart);
+  if (recent.filter(claim => normalizeEmail(claim.email) === normalizedEmail).length >= maxClaimsPerWindow) {
+    throw new Error('Demasiados intentos');
+  }
+  if (clientHash !== null && recent.filter(claim => claim.client_hash === clientHash).length >= maxClaimsPerClientWindow) {
+    throw new Error('Demasiados intentos');
+  }
+
+  return { email: normalizedEmail, nombre: sanitizedNombre };
+}
+
+/**
+ * Check a client may hold one more state
+ * @param {string|null} clientHash - Who is holding (null skips the limits)
+ * @param {Object[]} activeHolds - Unexpired holds with client_hash
+ * @param {Object[]} placedHolds - Every hold placed, released or not, with client_hash and held_at
+ * @param {Object} [limits] - Overrides for DEFAULT_HOLD_LIMITS
+ * @param {number} [now] - Current time in milliseconds
+ */
+export function checkHold(clientHash, activeHolds, placedHolds, limits = DEFAULT_HOLD_LIMITS, now = Date.now()) {
+  if (clientHash === null) return;
+  const { maxActiveHoldsPerClient, holdWindowSeconds, maxHoldsPerClientWindow } = { ...DEFAULT_HOLD_LIMITS, ...limits };
+
+  if (activeHolds.filter(hold => hold.client_hash === clientHash).length >= maxActiveHoldsPerClient) {
+    throw new Error('Demasiados intentos');
+  }
+
+  const windowStart = now - holdWindowSeconds * 1000;
+  const recent = placedHolds.filter(hold => hold.client_hash === clientHash && Date.parse(hold.held_at) > windowStart);
+  if (recent.length >= maxHoldsPerClientWindow) {
+    throw new Error('Demasiados intentos');
+  }
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { checkClaim, checkHold, sanitizeNombre } from './claimRules.js';
+
+const NOW = Date.parse('2026-01-06T12:00:00Z');
+
+function claimAt(email, minutesAgo, clientHash = 'home') {
+  return { email, client_hash: clientHash, claimed_at: new Date(NOW - minutesAgo * 60000).toISOString() };
+}
+
+describe('checkClaim', () => {
+  it('normalizes the email and sanitizes the name', () => {
+    expect(checkClaim({ email: ' Ana@Example.COM ', nombre: ' <b>Ana</b>\n María ' }, [], undefined, NOW))
+      .toEqual({ email: 'ana@example.com', nombre: 'Ana María' });
+  });
+
+  it('rejects malformed emails and long names', () => {
+    expect(() => checkClaim({ email: 'ana@example', nombre: '' }, [], undefined, NOW)).toThrow('Email inválido');
+    expect(() => checkClaim({ email: 'ana@example.com', nombre: 'x'.repeat(61) }, [], undefined, NOW)).toThrow('Nombre inválido');
+  });
+
+  it('caps the claims per email', () => {
+    const claims = [claimAt('ana@example.com', 600), claimAt('ana@example.com', 500), claimAt('ana@example.com', 400)];
+    expect(() => checkClaim({ email: 'ANA@example.com', nombre: '' }, claims, undefined, NOW)).toThrow('Límite de reclamos alcanzado');
+  });
+
+  it('throttles an email within the window', () => {
+    const claims = [claimAt('ana@example.com', 5), claimAt('ana@example.com', 2)];
+    expect(() => checkClaim({ email: 'ana@example.com', nombre: '' }, claims, { maxClaimsPerEmail: 5 }, NOW)).toThrow('Demasiados intentos');
+    // Outside the window it may claim again
+    expect(() => checkClaim({ email: 'ana@example.com', nombre: '' }, claims, { maxClaimsPerEmail: 5 }, NOW + 600000)).not.toThrow();
+  });
+
+  it('lets a household share a client', () => {
+    const claims = ['ana', 'beto', 'carla', 'diego'].map((name, i) => claimAt(`${name}@example.com`, i));
+    expect(() => checkClaim({ email: 'elena@example.com', nombre: '', clientHash: 'home' }, claims, undefined, NOW)).not.toThrow();
+  });
+
+  it('throttles a client with many emails', () => {
+    const claims = Array.from({ length: 30 }, (_, i) => claimAt(`bot${i}@example.com`, 1));
+    expect(() => checkClaim({ email: 'bot30@example.com', nombre: '', clientHash: 'home' }, claims, undefined, NOW)).toThrow('Demasiados intentos');
+    expect(() => checkClaim({ email: 'bot30@example.com', nombre: '', clientHash: 'office' }, claims, undefined, NOW)).not.toThrow();
+    expect(() => checkClaim({ email: 'bot30@example.com', nombre: '' }, claims, undefined, NOW)).not.toThrow();
+  });
+});
+
+describe('checkHold', () => {
+  function heldAt(minutesAgo, clientHash = 'home') {
+    return { client_hash: clientHash, held_at: new Date(NOW - minutesAgo * 60000).toISOString() };
+  }
+
+  it('caps the active holds per client', () => {
+    const active = [heldAt(1), heldAt(0)];
+    expect(() => checkHold('home', active, active, undefined, NOW)).toThrow('Demasiados intentos');
+    expect(() => checkHold('office', active, active, undefined, NOW)).not.toThrow();
+    expect(() => checkHold('home', active.slice(1), active, undefined, NOW)).not.toThrow();
+  });
+
+  it('throttles repeated holds of a client within the window', () => {
+    const placed = Array.from({ length: 20 }, (_, i) => heldAt(i % 10));
+    expect(() => checkHold('home', [], placed, undefined, NOW)).toThrow('Demasiados intentos');
+    // Outside the window it may hold again
+    expect(() => checkHold('home', [], placed, undefined, NOW + 600000)).not.toThrow();
+  });
+
+  it('has no limits outside the API', () => {
+    expect(() => checkHold(null, [heldAt(1, null), heldAt(0, null)], [], undefined, NOW)).not.toThrow();
+  });
+});
+
+describe('sanitizeNombre', () => {
+  it('strips tags, control characters and stray brackets', () => {
+    expect(sanitizeNombre('<script>x</script>Ana\u0007 <3')).toBe('xAna 3');
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Engine - Runs the heavy game computations away from the page
+ *
+ * Generating the state space, solving boards with minimax and computing
+ * statistics take long enough to freeze the page, so the app asks an engine
+ * for them. An engine is an object implementing:
+ *
+ *   run(task, params, options)   -> Promise<*>   the task's result (see engineTasks.js)
+ *   terminate()                  -> void         stop it; pending runs are rejected
+ *
+ * options.onProgress is called with { task, done, total } while a task runs.
+ *
+ * Adapters:
+ * - createWorkerEngine:    messages a Web Worker running engineWorker.js (default in browsers)
+ * - createInProcessEngine: runs the tasks in this thread (Node scripts and tests, old browsers)
+ *
+ * Under Node the tasks run in-process: there is no worker_threads adapter, so
+ * a long task there blocks the script until it finishes, with progress still
+ * reported between steps.
+ */
+
+import { runTask } from './engineTasks.js';
+
+let engine = null;
+
+/**
+ * Create an engine that runs tasks in a worker
+ * @param {Worker} worker - Running engineWorker.js
+ * @returns {Object} Engine
+ */
+export function createWorkerEngine(worker) {
+  // Request ID -> { task, resolve, reject, onProgress }
+  const pending = new Map();
+  let nextId = 1;
+
+  function rejectAll(error) {
+    pending.forEach(request => request.reject(error));
+    pending.clear();
+  }
+
+  worker.addEventListener('message', ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+
+    if (data.type === 'progress') {
+      request.onProgress?.({ task: request.task, done: data.done, total: data.total });
+      return;
+    }
+
+    pending.delete(data.id);
+    if (data.type === 'error') {
+      request.reject(new Error(data.message));
+    } else {
+      request.resolve(data.result);
+    }
+  });
+
+  // A worker that fails to load or crashes won't answer anything
+  worker.addEventListener('error', event => {
+    rejectAll(new Error(event.message || 'Engine worker failed'));
+  });
+
+  return {
+    run(task, params = {}, { onProgress } = {}) {
+      return new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { task, resolve, reject, onProgress });
+        worker.postMessage({ id, task, params });
+      });
+    },
+
+    terminate() {
+      worker.terminate();
+      rejectAll(new Error('Engine terminated'));
+    },
+  };
+}
+
+/**
+ * Create an engine that runs tasks in this thread
+ * @returns {Object} Engine
+ */
+export function createInProcessEngine() {
+  return {
+    async run(task, params = {}, { onProgress } = {}) {
+      // Answer asynchronously, like the worker does
+      await Promise.resolve();
+      return runTask(task, params, (done, total) => onProgress?.({ task, done, total }));
+    },
+
+    terminate() {},
+  };
+}
+
+/**
+ * Create a worker engine where workers are available, an in-process one elsewhere
+ * @returns {Object} Engine
+ */
+export function createDefaultEngine() {
+  if (typeof Worker === 'undefined') {
+    return createInProcessEngine();
+  }
+  return createWorkerEngine(new Worker(new URL('./engineWorker.js', import.meta.url), { type: 'module' }));
+}
+
+/**
+ * Get the active engine, created on first use
+ * @returns {Object} Engine
+ */
+export function getEngine() {
+  if (!engine) {
+    engine = createDefaultEngine();
+  }
+  return engine;
+}
+
+/**
+ * Replace the active engine (e.g. with an in-process one in tests)
+ * @param {Object} newEngine
+ */
+export function setEngine(newEngine) {
+  engine = newEngine;
+}
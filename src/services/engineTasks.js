@@ -0,0 +1,106 @@
+/**
+ * Engine tasks - The heavy computations the engine runs
+ *
+ * Each task is a function of (params, onProgress) that returns a result the
+ * structured clone algorithm can copy, so the same code runs in the worker
+ * (engineWorker.js) and in process (engine.js). onProgress(done, total) is
+ * called at most once per percent.
+ *
+ *   buildIndex()                      -> Uint8Array  StateIndex of live generation, serialized
+ *   solve({ ids })                    -> Object      state ID -> { value, outcome, distance, optimalMoves }
+ *   statistics({ rules })             -> Object      StateGenerator.getStatistics() for a rules ID
+ *   stateRows({ index, probModel })   -> Object[]    tic_tac_toe_states rows of the claimable states
+ *   horoscopes({ index, locale })     -> Object      canonical ID -> { corto, completo } in a locale
+ *
+ * index is a serialized StateIndex (StateIndex#toBuffer()).
+ */
+
+import { StateGenerator } from '../core/StateGenerator.js';
+import { StateIndex } from '../core/StateIndex.js';
+import { TicTacToeState } from '../core/TicTacToeState.js';
+import { Solver } from '../core/Solver.js';
+import { Rules } from '../core/Rules.js';
+import { OutcomeProbabilities } from '../core/OutcomeProbabilities.js';
+import { HoroscopeEngine } from '../core/HoroscopeEngine.js';
+import { buildStateRow } from './stateRows.js';
+
+// Kept between tasks: a worker lives as long as the page
+const solver = new Solver();
+
+/**
+ * The claimable states of a serialized index, with their rareza counts
+ * @private
+ */
+function readClaimableStates(buffer) {
+  const index = StateIndex.fromBuffer(buffer);
+  const states = index.getCanonicalReachableStates();
+  const rarezaCounts = new Map(states.map(state => [state.canonical, index.getRarity(state.id)]));
+  return { states, rarezaCounts };
+}
+
+const TASKS = {
+  buildIndex(params, onProgress) {
+    // Generating and indexing take about as long: half the progress each
+    const generator = new StateGenerator();
+    generator.generateAll({ onProgress: (done, total) => onProgress(done, total * 2) });
+    const index = StateIndex.build(generator, { onProgress: (done, total) => onProgress(total + done, total * 2) });
+    return index.toBuffer();
+  },
+
+  solve({ ids = [] }, onProgress) {
+    const results = {};
+    ids.forEach((id, i) => {
+      const { value, outcome, distance, optimalMoves } = solver.solve(TicTacToeState.fromId(id));
+      results[id] = { value, outcome, distance, optimalMoves };
+      onProgress(i + 1, ids.length);
+    });
+    return results;
+  },
+
+  statistics({ rules = 'standard' }, onProgress) {
+    const generator = new StateGenerator({ rules: Rules.fromId(rules) });
+    generator.generateAll({ onProgress });
+    return generator.getStatistics();
+  },
+
+  stateRows({ index, probModel = 'random' }, onProgress) {
+    const { states, rarezaCounts } = readClaimableStates(index);
+    const outcomes = new OutcomeProbabilities(probModel, solver);
+    const horoscopes = new HoroscopeEngine({ solver }).generateAll(states, rarezaCounts);
+
+    return states.map((state, i) => {
+      onProgress(i + 1, states.length);
+      return buildStateRow(state, {
+        rarezaCount: rarezaCounts.get(state.canonical),
+        probabilities: outcomes.getProbabilities(state),
+        horoscope: horoscopes.get(state.canonical),
+      });
+    });
+  },
+
+  horoscopes({ index, locale }) {
+    const { states, rarezaCounts } = readClaimableStates(index);
+    return Object.fromEntries(new HoroscopeEngine({ locale, solver }).generateAll(states, rarezaCounts));
+  },
+};
+
+/**
+ * Run a task
+ * @param {string} task - buildIndex, solve, statistics, stateRows or horoscopes
+ * @param {Object} [params]
+ * @param {Function} [onProgress] - Called with (done, total)
+ * @returns {*} The task's result
+ */
+export function runTask(task, params = {}, onProgress = () => {}) {
+  if (!Object.hasOwn(TASKS, task)) {
+    throw new Error(`Unknown engine task: ${task}`);
+  }
+
+  let reported = -1;
+  return TASKS[task](params, (done, total) => {
+    const percent = Math.floor(done * 100 / total);
+    if (percent === reported) return;
+    reported = percent;
+    onProgress(done, total);
+  });
+}
@@ -0,0 +1,22 @@
+/**
+ * Engine worker - Runs engine tasks (engineTasks.js) for createWorkerEngine
+ *
+ * Messages in:   { id, task, params }
+ * Messages out:  { id, type: 'progress', done, total }
+ *                { id, type: 'result', result }
+ *                { id, type: 'error', message }
+ */
+
+import { runTask } from './engineTasks.js';
+
+self.addEventListener('message', ({ data: { id, task, params } }) => {
+  try {
+    const result = runTask(task, params, (done, total) => {
+      self.postMessage({ id, type: 'progress', done, total });
+    });
+    // Index buffers are handed over instead of copied
+    self.postMessage({ id, type: 'result', result }, result instanceof Uint8Array ? [result.buffer] : []);
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+});
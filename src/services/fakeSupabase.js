@@ -0,0 +1,88 @@
+/**
+ * Fake Supabase client for local development and tests
+ *
+ * Implements the small part of the Supabase client used by the claim feed
+ * (subscribeToClaims in the Supabase backend): the claim RPCs and realtime
+ * channels for claim_events. Claims are kept in memory.
+ *
+ * Usage:
+ *   const client = createFakeSupabaseClient({ realtime: false });
+ *   const backend = createSupabaseBackend(client);
+ *   backend.subscribeToClaims(id => console.log(id), { pollInterval: 100 });
+ *   await client.rpc('claim_specific_state', { p_canonical_id: '000000001' });
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {string[]} [options.claimedIds] - Canonical IDs claimed from the start
+ * @param {boolean} [options.realtime] - Whether channels are available
+ * @param {string} [options.channelStatus] - Status reported to subscribers, e.g. 'CHANNEL_ERROR'
+ * @returns {Object} Fake client
+ */
+export function createFakeSupabaseClient({ claimedIds = [], realtime = true, channelStatus = 'SUBSCRIBED' } = {}) {
+  const claimed = new Set(claimedIds);
+  const channels = new Set();
+
+  function emitInsert(table, row) {
+    channels.forEach(channel => {
+      channel.listeners
+        .filter(({ filter }) => filter.event === 'INSERT' && filter.table === table)
+        .forEach(({ callback }) => callback({ eventType: 'INSERT', table, new: row }));
+    });
+  }
+
+  const rpcs = {
+    get_claimed_canonical_ids: () => Array.from(claimed).map(canonicalId => ({ canonical_id: canonicalId })),
+
+    claim_specific_state: ({ p_canonical_id: canonicalId }) => {
+      if (claimed.has(canonicalId)) {
+        throw new Error('Estado no disponible');
+      }
+      claimed.add(canonicalId);
+      emitInsert('claim_events', { canonical_id: canonicalId, claimed_at: new Date().toISOString() });
+      return [{ canonical_id: canonicalId }];
+    },
+  };
+
+  const client = {
+    async rpc(name, params = {}) {
+      if (!rpcs[name]) {
+        return { data: null, error: new Error(`Unknown RPC: ${name}`) };
+      }
+      try {
+        return { data: rpcs[name](params), error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+  };
+
+  if (realtime) {
+    client.channel = name => {
+      const channel = {
+        name,
+        listeners: [],
+        on(type, filter, callback) {
+          this.listeners.push({ type, filter, callback });
+          return this;
+        },
+        subscribe(callback) {
+          // Only a working channel delivers events
+          if (channelStatus === 'SUBSCRIBED') channels.add(this);
+          this.statusCallback = callback;
+          if (callback) setTimeout(() => callback(channelStatus));
+          return this;
+        },
+      };
+      return channel;
+    };
+
+    // Like realtime-js, removing a channel reports it CLOSED to its subscriber
+    client.removeChannel = async channel => {
+      channels.delete(channel);
+      if (channel.statusCallback) setTimeout(() => channel.statusCallback('CLOSED'));
+    };
+  }
+
+  return client;
+}
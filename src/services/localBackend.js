@@ -0,0 +1,371 @@
+/**
+ * Local backend adapter
+ *
+ * Implements the backend interface (see backend.js) without a server. The
+ * state rows are built from the shared StateIndex (stateIndex.js) by the
+ * engine, off the page where workers are available, on first use, and
+ * claims are kept in memory, persisted to localStorage when it is
+ * available, so the whole claim flow can be developed, demoed and tested
+ * offline. Horoscopes come from HoroscopeEngine, composed per locale on
+ * first use.
+ */
+
+import { HOROSCOPE_PHRASES } from '../core/horoscopePhrases.js';
+import { getEngine } from './engine.js';
+import { getStateIndex } from './stateIndex.js';
+import { checkClaim, checkHold, DEFAULT_CLAIM_LIMITS, DEFAULT_HOLD_LIMITS, DEFAULT_RECOVERY_LIMITS, normalizeEmail } from './claimRules.js';
+
+export const LOCAL_CLAIMS_KEY = 'reyes-gato:local-claims';
+// Everything claimed or held here comes from this browser, one client for the per-client limits
+const LOCAL_CLIENT_HASH = 'local';
+
+/**
+ * Create a backend backed by an in-memory store
+ * @param {Object} [options]
+ * @param {Storage|null} [options.storage] - Where claims persist (null keeps them in memory only)
+ * @param {StateIndex} [options.stateIndex] - Index to seed states from (the shared one by default)
+ * @param {Object} [options.engine] - Engine that builds the rows (the shared one by default)
+ * @param {string} [options.probModel] - Play model for the probability columns
+ * @param {Function} [options.random] - Source of randomness in [0, 1)
+ * @param {Object} [options.limits] - Claim limits (see claimRules.js)
+ * @param {Object} [options.holdLimits] - Hold limits (see claimRules.js)
+ * @param {Object} [options.recoveryLimits] - Recovery code limits (see claimRules.js)
+ * @param {Function} [options.sendRecoveryCode] - Delivers (email, code); there is no mail
+ *   offline, so the code is logged to the console by default
+ * @returns {Object} Backend
+ */
+export function createLocalBackend({
+  storage = globalThis.localStorage ?? null,
+  stateIndex = null,
+  engine = null,
+  probModel = 'random',
+  random = Math.random,
+  limits = DEFAULT_CLAIM_LIMITS,
+  holdLimits = DEFAULT_HOLD_LIMITS,
+  recoveryLimits = DEFAULT_RECOVERY_LIMITS,
+  sendRecoveryCode = (email, code) => console.info(`Recovery code for ${email}: ${code}`),
+} = {}) {
+  // Promise of Map(canonical ID -> row), built once
+  let rows = null;
+  // locale -> Promise of { canonical ID -> { corto, completo } }; Spanish lives in the rows
+  const horoscopesByLocale = new Map();
+  let memoryClaims = [];
+  // canonical ID -> { token, expiresAt, client_hash }; holds only matter within this page
+  const holds = new Map();
+  // { client_hash, held_at } of each hold placed, for the throttle
+  const placedHolds = [];
+  // normalized email -> { code, sentAt, expiresAt, attempts }; one pending code per email
+  const recoveryCodes = new Map();
+  // { email, recoveredAt } of each recovery, for the throttle
+  let recoveries = [];
+  const listeners = new Set();
+
+  async function getIndexBuffer() {
+    return (stateIndex || await getStateIndex()).toBuffer();
+  }
+
+  function getRows() {
+    if (!rows) {
+      rows = (async () => {
+        const index = await getIndexBuffer();
+        const stateRows = await (engine || getEngine()).run('stateRows', { index, probModel });
+        return new Map(stateRows.map(row => [row.canonical_id, row]));
+      })();
+      // A failed build can be retried
+      rows.catch(() => {
+        rows = null;
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Copy of a row with the horoscope in a locale, like the RPCs' p_locale
+   * (unknown locales keep the Spanish text)
+   */
+  async function localizeRow(row, locale) {
+    if (locale === 'es' || !HOROSCOPE_PHRASES[locale]) return { ...row };
+
+    if (!horoscopesByLocale.has(locale)) {
+      const loading = getIndexBuffer().then(index => (engine || getEngine()).run('horoscopes', { index, locale }));
+      loading.catch(() => horoscopesByLocale.delete(locale));
+      horoscopesByLocale.set(locale, loading);
+    }
+    const horoscope = (await horoscopesByLocale.get(locale))[row.canonical_id];
+    return { ...row, horoscope_corto: horoscope.corto, horoscope_completo: horoscope.completo };
+  }
+
+  function loadClaims() {
+    if (!storage) return memoryClaims;
+
+    try {
+      return JSON.parse(storage.getItem(LOCAL_CLAIMS_KEY)) || [];
+    } catch (error) {
+      console.error('Error reading local claims:', error);
+      return [];
+    }
+  }
+
+  function saveClaims(claims) {
+    memoryClaims = claims;
+    if (storage) {
+      storage.setItem(LOCAL_CLAIMS_KEY, JSON.stringify(claims));
+    }
+  }
+
+  function claimedIds() {
+    return new Set(loadClaims().map(claim => claim.canonical_id));
+  }
+
+  function activeHold(canonicalId) {
+    const hold = holds.get(canonicalId);
+    if (hold && hold.expiresAt <= Date.now()) {
+      holds.delete(canonicalId);
+      return null;
+    }
+    return hold || null;
+  }
+
+  function createToken() {
+    return globalThis.crypto?.randomUUID?.() ?? `${Date.now()}-${random().toString(36).slice(2)}`;
+  }
+
+  function createCode() {
+    const value = globalThis.crypto?.getRandomValues
+      ? globalThis.crypto.getRandomValues(new Uint32Array(1))[0] / 2 ** 32
+      : random();
+    return String(Math.floor(value * 1e6)).padStart(6, '0');
+  }
+
+  /**
+   * Get 3 random available states for the user to choose from
+   * @param {string} [locale] - Language of the horoscopes
+   * @returns {Promise<Array>} Array of 3 available states
+   */
+  async function getRandomStates(locale = 'es') {
+    const claimed = claimedIds();
+    const available = Array.from((await getRows()).values())
+      .filter(row => !claimed.has(row.canonical_id) && !activeHold(row.canonical_id));
+
+    // Partial Fisher-Yates shuffle, like ORDER BY RANDOM() LIMIT 3
+    const count = Math.min(3, available.length);
+    for (let i = 0; i < count; i++) {
+      const j = i + Math.floor(random() * (available.length - i));
+      [available[i], available[j]] = [available[j], available[i]];
+    }
+
+    return Promise.all(available.slice(0, count).map(row => localizeRow(row, locale)));
+  }
+
+  /**
+   * Claim a specific state with user's email and name
+   * @param {string} canonicalId - The canonical ID of the state to claim
+   * @param {string} email - User's email
+   * @param {string} nombre - User's name (optional)
+   * @param {string|null} holdToken - Token from holdState, if the state is held
+   * @param {string} [locale] - Language of the horoscope
+   * @returns {Promise<Object>} The claimed state data
+   */
+  async function claimState(canonicalId, email, nombre = '', holdToken = null, locale = 'es') {
+    const row = (await getRows()).get(canonicalId);
+    const claims = loadClaims();
+    const checked = checkClaim({ email, nombre, clientHash: LOCAL_CLIENT_HASH }, claims, limits);
+
+    if (!row || claims.some(claim => claim.canonical_id === canonicalId)) {
+      throw new Error('Estado no disponible');
+    }
+
+    const hold = activeHold(canonicalId);
+    if (hold && hold.token !== holdToken) {
+      throw new Error('Estado apartado');
+    }
+    holds.delete(canonicalId);
+
+    const claim = {
+      canonical_id: canonicalId,
+      nombre: checked.nombre,
+      email: checked.email,
+      client_hash: LOCAL_CLIENT_HASH,
+      claimed_at: new Date().toISOString(),
+      token: createToken(),
+    };
+    saveClaims([...claims, claim]);
+    listeners.forEach(listener => listener(canonicalId));
+
+    return { ...await localizeRow(row, locale), claim_token: claim.token };
+  }
+
+  /**
+   * Hold a state for a short time so nobody else can claim it meanwhile
+   * @param {string} canonicalId - The canonical ID of the state to hold
+   * @param {number} seconds - Hold duration, clamped to 30-600 like the server
+   * @returns {Promise<Object>} { hold_token, expires_at }
+   */
+  async function holdState(canonicalId, seconds = 300) {
+    const available = (await getRows()).has(canonicalId) && !claimedIds().has(canonicalId);
+    const activeHolds = [...holds.keys()].map(activeHold).filter(Boolean);
+    checkHold(LOCAL_CLIENT_HASH, activeHolds, placedHolds, holdLimits);
+
+    if (!available) {
+      throw new Error('Estado no disponible');
+    }
+    if (activeHold(canonicalId)) {
+      throw new Error('Estado apartado');
+    }
+
+    const expiresAt = Date.now() + Math.min(Math.max(seconds, 30), 600) * 1000;
+    const token = createToken();
+    holds.set(canonicalId, { token, expiresAt, client_hash: LOCAL_CLIENT_HASH });
+    placedHolds.push({ client_hash: LOCAL_CLIENT_HASH, held_at: new Date().toISOString() });
+
+    return { hold_token: token, expires_at: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Release a hold placed with holdState
+   * @param {string} holdToken - Token returned by holdState
+   * @returns {Promise<void>}
+   */
+  async function releaseHold(holdToken) {
+    for (const [canonicalId, hold] of holds) {
+      if (hold.token === holdToken) holds.delete(canonicalId);
+    }
+  }
+
+  /**
+   * Get statistics about claimed states
+   * @returns {Promise<Object>} Stats object with total, claimed, and available counts
+   */
+  async function getClaimStats() {
+    const total = (await getRows()).size;
+    const claimed = claimedIds().size;
+    return { total_states: total, claimed_states: claimed, available_states: total - claimed };
+  }
+
+  /**
+   * Get all claimed state canonical IDs
+   * @returns {Promise<Set<string>>} Set of claimed canonical IDs
+   */
+  async function getClaimedStateIds() {
+    return claimedIds();
+  }
+
+  /**
+   * Get the public details of a single state (horoscope, stats and claim status)
+   * @param {string} canonicalId - The canonical ID of the state
+   * @param {string} [locale] - Language of the horoscope
+   * @returns {Promise<Object|null>} State details, or null if it doesn't exist
+   */
+  async function getStateDetails(canonicalId, locale = 'es') {
+    const row = (await getRows()).get(canonicalId);
+    return row ? { ...await localizeRow(row, locale), is_claimed: claimedIds().has(canonicalId) } : null;
+  }
+
+  /**
+   * Send a one-time code that proves the visitor owns an email
+   * @param {string} email - Email used when claiming
+   * @returns {Promise<void>}
+   */
+  async function requestRecoveryCode(email) {
+    const { codeSeconds, resendSeconds } = { ...DEFAULT_RECOVERY_LIMITS, ...recoveryLimits };
+    const normalizedEmail = normalizeEmail(email);
+    if (!normalizedEmail) {
+      throw new Error('Email inválido');
+    }
+
+    const pending = recoveryCodes.get(normalizedEmail);
+    if (pending && Date.now() - pending.sentAt < resendSeconds * 1000) {
+      throw new Error('Demasiados intentos');
+    }
+
+    // Sent whether or not the email has claims, so the answer reveals nothing
+    const code = createCode();
+    recoveryCodes.set(normalizedEmail, { code, sentAt: Date.now(), expiresAt: Date.now() + codeSeconds * 1000, attempts: 0 });
+    sendRecoveryCode(normalizedEmail, code);
+  }
+
+  /**
+   * Find the states claimed with an email, once the code sent to it is confirmed
+   * @param {string} email - Email used when claiming
+   * @param {string} code - Code from requestRecoveryCode
+   * @returns {Promise<Array>} [{ canonical_id, claimed_at, claim_token }]
+   */
+  async function recoverClaims(email, code) {
+    const { maxCodeAttempts, recoveryWindowSeconds, maxRecoveriesPerWindow } = { ...DEFAULT_RECOVERY_LIMITS, ...recoveryLimits };
+    const normalizedEmail = normalizeEmail(email);
+    const pending = recoveryCodes.get(normalizedEmail);
+
+    if (!pending || pending.expiresAt <= Date.now()) {
+      recoveryCodes.delete(normalizedEmail);
+      throw new Error('Código inválido');
+    }
+    if (pending.code !== String(code ?? '').trim()) {
+      // Too many wrong guesses burn the code
+      if (++pending.attempts >= maxCodeAttempts) recoveryCodes.delete(normalizedEmail);
+      throw new Error('Código inválido');
+    }
+    recoveryCodes.delete(normalizedEmail);
+
+    const windowStart = Date.now() - recoveryWindowSeconds * 1000;
+    recoveries = recoveries.filter(recovery => recovery.recoveredAt > windowStart);
+    if (recoveries.filter(recovery => recovery.email === normalizedEmail).length >= maxRecoveriesPerWindow) {
+      throw new Error('Demasiados intentos');
+    }
+    recoveries.push({ email: normalizedEmail, recoveredAt: Date.now() });
+
+    return loadClaims()
+      .filter(claim => claim.token && normalizeEmail(claim.email) === normalizedEmail)
+      .map(claim => ({ canonical_id: claim.canonical_id, claimed_at: claim.claimed_at, claim_token: claim.token }));
+  }
+
+  /**
+   * Check claim tokens kept by the browser
+   * @param {string[]} tokens - Tokens from claimState or recoverClaims
+   * @returns {Promise<Set<string>>} Canonical IDs of the valid tokens
+   */
+  async function verifyClaimTokens(tokens) {
+    return new Set(loadClaims()
+      .filter(claim => claim.token && tokens.includes(claim.token))
+      .map(claim => claim.canonical_id));
+  }
+
+  /**
+   * Subscribe to states claimed through this backend, including other tabs
+   * sharing the same localStorage
+   * @param {Function} onClaim - Called with the canonical ID of each claimed state
+   * @returns {Function} Unsubscribe function
+   */
+  function subscribeToClaims(onClaim) {
+    listeners.add(onClaim);
+
+    const handleStorage = event => {
+      if (event.key !== LOCAL_CLAIMS_KEY) return;
+      claimedIds().forEach(canonicalId => onClaim(canonicalId));
+    };
+    if (storage && typeof window !== 'undefined') {
+      window.addEventListener('storage', handleStorage);
+    }
+
+    return () => {
+      listeners.delete(onClaim);
+      if (storage && typeof window !== 'undefined') {
+        window.removeEventListener('storage', handleStorage);
+      }
+    };
+  }
+
+  return {
+    name: 'local',
+    getRandomStates,
+    claimState,
+    holdState,
+    releaseHold,
+    getClaimStats,
+    getClaimedStateIds,
+    getStateDetails,
+    requestRecoveryCode,
+    recoverClaims,
+    verifyClaimTokens,
+    subscribeToClaims,
+  };
+}
@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { StateIndex } from '../core/StateIndex.js';
+import { createInProcessEngine } from './engine.js';
+import { runTask } from './engineTasks.js';
+import { createLocalBackend } from './localBackend.js';
+
+describe('Local backend', () => {
+  let stateIndex;
+  let engine;
+
+  beforeAll(() => {
+    stateIndex = StateIndex.fromBuffer(runTask('buildIndex'));
+    engine = createInProcessEngine();
+  });
+
+  function createBackend(options = {}) {
+    return createLocalBackend({ storage: null, stateIndex, engine, ...options });
+  }
+
+  it('offers the canonical reachable states', async () => {
+    const backend = createBackend();
+
+    expect(await backend.getClaimStats()).toEqual({ total_states: 765, claimed_states: 0, available_states: 765 });
+    const states = await backend.getRandomStates();
+    expect(states).toHaveLength(3);
+    states.forEach(row => expect(stateIndex.getCanonicalId(row.canonical_id)).toBe(row.canonical_id));
+  });
+
+  it('builds rows from the index', async () => {
+    const row = await createBackend().getStateDetails('000012021');
+
+    expect(row).toMatchObject({
+      canonical_id: '000012021',
+      turn_count: 4,
+      rareza_count: stateIndex.getRarity('000012021'),
+      prob_model: 'random',
+      is_claimed: false,
+    });
+    expect(row.horoscope_corto).toEqual(expect.any(String));
+  });
+
+  it('translates horoscopes', async () => {
+    const backend = createBackend();
+    const es = await backend.getStateDetails('000012021');
+    const en = await backend.getStateDetails('000012021', 'en');
+
+    expect(en.horoscope_corto).not.toBe(es.horoscope_corto);
+    expect({ ...en, horoscope_corto: '', horoscope_completo: '' })
+      .toEqual({ ...es, horoscope_corto: '', horoscope_completo: '' });
+  });
+
+  it('claims a state once', async () => {
+    const backend = createBackend();
+    const claimed = [];
+    backend.subscribeToClaims(id => claimed.push(id));
+
+    const row = await backend.claimState('000012021', 'ana@example.com', 'Ana');
+    expect(row.claim_token).toEqual(expect.any(String));
+    expect(claimed).toEqual(['000012021']);
+    expect(await backend.getClaimedStateIds()).toEqual(new Set(['000012021']));
+    await expect(backend.claimState('000012021', 'beto@example.com')).rejects.toThrow('Estado no disponible');
+  });
+
+  it('keeps held states for the holder', async () => {
+    const backend = createBackend();
+    const { hold_token: holdToken } = await backend.holdState('000012021');
+
+    await expect(backend.claimState('000012021', 'beto@example.com')).rejects.toThrow('Estado apartado');
+    await expect(backend.claimState('000012021', 'ana@example.com', 'Ana', holdToken)).resolves.toMatchObject({ canonical_id: '000012021' });
+  });
+
+  it('lets one client hold only a few states, and not over and over', async () => {
+    const backend = createBackend({ holdLimits: { maxActiveHoldsPerClient: 2, maxHoldsPerClientWindow: 3 } });
+    const [first, second, third] = (await backend.getRandomStates()).map(row => row.canonical_id);
+
+    const firstHold = await backend.holdState(first);
+    const secondHold = await backend.holdState(second);
+    await expect(backend.holdState(third)).rejects.toThrow('Demasiados intentos');
+
+    // Releasing one frees a place, but only so many holds fit in the window
+    await backend.releaseHold(firstHold.hold_token);
+    await backend.holdState(third);
+    await backend.releaseHold(secondHold.hold_token);
+    await expect(backend.holdState(first)).rejects.toThrow('Demasiados intentos');
+  });
+
+  describe('recovering claims', () => {
+    async function claimAndRequestCode(backend, sendRecoveryCode) {
+      await backend.claimState('000012021', 'Ana@Example.com', 'Ana');
+      await backend.requestRecoveryCode('ana@example.com ');
+      return sendRecoveryCode.mock.calls.at(-1)[1];
+    }
+
+    it('returns the claims only with the code sent to the email', async () => {
+      const sendRecoveryCode = vi.fn();
+      const backend = createBackend({ sendRecoveryCode });
+      const code = await claimAndRequestCode(backend, sendRecoveryCode);
+
+      expect(sendRecoveryCode).toHaveBeenCalledWith('ana@example.com', expect.stringMatching(/^\d{6}$/));
+      await expect(backend.recoverClaims('ana@example.com')).rejects.toThrow('Código inválido');
+      const claims = await backend.recoverClaims('ana@example.com', code);
+      expect(claims).toEqual([{ canonical_id: '000012021', claimed_at: expect.any(String), claim_token: expect.any(String) }]);
+      expect(await backend.verifyClaimTokens(claims.map(claim => claim.claim_token))).toEqual(new Set(['000012021']));
+    });
+
+    it('uses each code once', async () => {
+      const sendRecoveryCode = vi.fn();
+      const backend = createBackend({ sendRecoveryCode });
+      const code = await claimAndRequestCode(backend, sendRecoveryCode);
+
+      await backend.recoverClaims('ana@example.com', code);
+      await expect(backend.recoverClaims('ana@example.com', code)).rejects.toThrow('Código inválido');
+    });
+
+    it('does not accept a code sent to another email', async () => {
+      const sendRecoveryCode = vi.fn();
+      const backend = createBackend({ sendRecoveryCode });
+      await claimAndRequestCode(backend, sendRecoveryCode);
+      await backend.requestRecoveryCode('beto@example.com');
+      const betoCode = sendRecoveryCode.mock.calls.at(-1)[1];
+
+      await expect(backend.recoverClaims('ana@example.com', betoCode)).rejects.toThrow('Código inválido');
+      expect(await backend.recoverClaims('beto@example.com', betoCode)).toEqual([]);
+    });
+
+    it('burns the code after too many wrong guesses', async () => {
+      const sendRecoveryCode = vi.fn();
+      const backend = createBackend({ sendRecoveryCode, recoveryLimits: { maxCodeAttempts: 2 } });
+      const code = await claimAndRequestCode(backend, sendRecoveryCode);
+      const wrong = code === '000000' ? '000001' : '000000';
+
+      await expect(backend.recoverClaims('ana@example.com', wrong)).rejects.toThrow('Código inválido');
+      await expect(backend.recoverClaims('ana@example.com', wrong)).rejects.toThrow('Código inválido');
+      await expect(backend.recoverClaims('ana@example.com', code)).rejects.toThrow('Código inválido');
+    });
+
+    it('throttles codes and recoveries per email', async () => {
+      const sendRecoveryCode = vi.fn();
+      const backend = createBackend({ sendRecoveryCode, recoveryLimits: { resendSeconds: 0, maxRecoveriesPerWindow: 1 } });
+      const code = await claimAndRequestCode(backend, sendRecoveryCode);
+      await backend.recoverClaims('ana@example.com', code);
+
+      await backend.requestRecoveryCode('ana@example.com');
+      await expect(backend.recoverClaims('ana@example.com', sendRecoveryCode.mock.calls.at(-1)[1])).rejects.toThrow('Demasiados intentos');
+
+      const slow = createBackend({ sendRecoveryCode });
+      await slow.requestRecoveryCode('ana@example.com');
+      await expect(slow.requestRecoveryCode('ana@example.com')).rejects.toThrow('Demasiados intentos');
+    });
+  });
+});
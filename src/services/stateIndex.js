@@ -0,0 +1,55 @@
+/**
+ * State index - The StateIndex shared by the page and the local backend
+ *
+ * Loaded once per page: the precomputed file built with the app
+ * (npm run build:index), or, when it can't be fetched (Node scripts, tests,
+ * a dev server without the file), an index the engine builds from live
+ * generation, off the page where workers are available.
+ */
+
+import { StateIndex } from '../core/StateIndex.js';
+import { getEngine } from './engine.js';
+
+let stateIndex = null;
+
+/**
+ * Load the index
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Engine progress ({ task, done, total }) while generating
+ * @returns {Promise<StateIndex>}
+ */
+async function loadStateIndex({ onProgress } = {}) {
+  try {
+    return await StateIndex.load(`${import.meta.env?.BASE_URL ?? './'}state-index.bin`);
+  } catch (error) {
+    console.warn('State index unavailable, generating states:', error);
+    return StateIndex.fromBuffer(await getEngine().run('buildIndex', {}, { onProgress }));
+  }
+}
+
+/**
+ * Get the shared index, loaded on first use. Only the first call's
+ * onProgress is followed; later calls wait for the same load.
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - See loadStateIndex
+ * @returns {Promise<StateIndex>}
+ */
+export function getStateIndex(options) {
+  if (!stateIndex) {
+    const loading = loadStateIndex(options);
+    // A failed load can be retried
+    loading.catch(() => {
+      if (stateIndex === loading) stateIndex = null;
+    });
+    stateIndex = loading;
+  }
+  return stateIndex;
+}
+
+/**
+ * Replace the shared index (e.g. with one built in process in tests)
+ * @param {StateIndex} newStateIndex
+ */
+export function setStateIndex(newStateIndex) {
+  stateIndex = Promise.resolve(newStateIndex);
+}
@@ -0,0 +1,66 @@
+/**
+ * State rows - Shape of a tic_tac_toe_states row
+ *
+ * Shared by the upload scripts and the local backend, so both produce
+ * exactly the columns the Supabase RPCs return.
+ */
+
+export const PLACEHOLDER_HOROSCOPE = {
+  corto: 'Tu estado único te espera',
+  completo: 'Este es tu regalo especial del Día de Reyes',
+};
+
+/**
+ * Build a tic_tac_toe_states row
+ * @param {Object} state - TicTacToeState or its toObject()
+ * @param {Object} extra
+ * @param {number} extra.rarezaCount - Boards that map to this canonical form
+ * @param {Object} extra.probabilities - { probX, probO, probEmpate, probModel }
+ * @param {Object} [extra.horoscope] - { corto, completo }
+ * @returns {Object}
+ */
+export function buildStateRow(state, { rarezaCount, probabilities, horoscope = PLACEHOLDER_HOROSCOPE }) {
+  return {
+    canonical_id: state.canonical,
+    decimal_id: state.decimalId,
+    config: state.config,
+    is_valid: state.isValid,
+    is_valid_first_player_x: state.isValidFirstPlayerX,
+    is_terminal: state.isTerminal,
+    has_unique_winner: state.hasUniqueWinner,
+    has_winner: state.hasWinner,
+    winners: state.winners,
+    winning_lines: state.winningLines,
+    next_player: state.nextPlayer,
+    next_player_first_player_x: state.nextPlayerFirstPlayerX,
+    turn_count: state.turnCount,
+    count_0: state.count0,
+    count_1: state.count1,
+    count_2: state.count2,
+    horoscope_corto: horoscope.corto,
+    horoscope_completo: horoscope.completo,
+    rareza_count: rarezaCount,
+    progreso: Math.round((state.turnCount / 9) * 100),
+    prob_x: probabilities.probX,
+    prob_o: probabilities.probO,
+    prob_empate: probabilities.probEmpate,
+    prob_model: probabilities.probModel,
+  };
+}
+
+/**
+ * Build a state_horoscopes row: a horoscope in a language other than the
+ * Spanish stored in tic_tac_toe_states
+ * @param {string} canonicalId
+ * @param {string} locale - Two-letter language code, e.g. 'en'
+ * @param {Object} horoscope - { corto, completo }
+ * @returns {Object}
+ */
+export function buildHoroscopeRow(canonicalId, locale, horoscope) {
+  return {
+    canonical_id: canonicalId,
+    locale,
+    horoscope_corto: horoscope.corto,
+    horoscope_completo: horoscope.completo,
+  };
+}
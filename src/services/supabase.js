@@ -1,90 +1,317 @@
 /**
- * Supabase Client Configuration
+ * Supabase backend adapter
  *
- * This module initializes and exports the Supabase client for use throughout the app.
+ * Implements the backend interface (see backend.js) on top of the Supabase RPCs.
  * Make sure to set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY in your .env file.
  */
 
 import { createClient } from '@supabase/supabase-js';
 
 // Get environment variables (Vite automatically loads from .env)
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
-const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
+const supabaseUrl = import.meta.env?.VITE_SUPABASE_URL;
+const supabaseAnonKey = import.meta.env?.VITE_SUPABASE_ANON_KEY;
 
-if (!supabaseUrl || !supabaseAnonKey) {
-  console.error('Missing Supabase environment variables!');
-  console.error('Make sure VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY are set in .env');
-}
-
-// Create and export the Supabase client
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+let defaultClient = null;
 
 /**
- * Get 3 random available states for the user to choose from
- * @returns {Promise<Array>} Array of 3 available states
+ * Whether the Supabase environment variables are set
+ * @returns {boolean}
  */
-export async function getRandomStates() {
-  const { data, error } = await supabase.rpc('get_random_available_states', { n: 3 });
-
-  if (error) {
-    console.error('Error getting random states:', error);
-    throw error;
-  }
-
-  return data;
+export function hasSupabaseConfig() {
+  return Boolean(supabaseUrl && supabaseAnonKey);
 }
 
 /**
- * Claim a specific state with user's email and name
- * @param {string} canonicalId - The canonical ID of the state to claim
- * @param {string} email - User's email
- * @param {string} nombre - User's name (optional)
- * @returns {Promise<Object>} The claimed state data
+ * Get the shared Supabase client, created on first use
+ * @returns {Object} Supabase client
  */
-export async function claimState(canonicalId, email, nombre = '') {
-  const { data, error } = await supabase.rpc('claim_specific_state', {
-    p_canonical_id: canonicalId,
-    p_user_id: null, // No authentication, just email
-    p_nombre: nombre,
-    p_email: email
-  });
-
-  if (error) {
-    console.error('Error claiming state:', error);
-    throw error;
+export function getSupabaseClient() {
+  if (!defaultClient) {
+    if (!hasSupabaseConfig()) {
+      console.error('Missing Supabase environment variables!');
+      console.error('Make sure VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY are set in .env');
+    }
+    defaultClient = createClient(supabaseUrl, supabaseAnonKey);
   }
-
-  return data[0]; // RPC returns array, we want the first item
+  return defaultClient;
 }
 
 /**
- * Get statistics about claimed states
- * @returns {Promise<Object>} Stats object with total, claimed, and available counts
+ * Create a backend that talks to Supabase
+ * @param {Object} [supabase] - Supabase client, or a compatible fake (see fakeSupabase.js)
+ * @returns {Object} Backend
  */
-export async function getClaimStats() {
-  const { data, error } = await supabase.rpc('get_claim_stats');
+export function createSupabaseBackend(supabase = getSupabaseClient()) {
+  /**
+   * Get 3 random available states for the user to choose from
+   * @param {string} [locale] - Language of the horoscopes
+   * @returns {Promise<Array>} Array of 3 available states
+   */
+  async function getRandomStates(locale = 'es') {
+    const { data, error } = await supabase.rpc('get_random_available_states', { n: 3, p_locale: locale });
+
+    if (error) {
+      console.error('Error getting random states:', error);
+      throw error;
+    }
 
-  if (error) {
-    console.error('Error getting stats:', error);
-    throw error;
+    return data;
   }
 
-  return data[0];
-}
+  /**
+   * Claim a specific state with user's email and name
+   * @param {string} canonicalId - The canonical ID of the state to claim
+   * @param {string} email - User's email
+   * @param {string} nombre - User's name (optional)
+   * @param {string|null} holdToken - Token from holdState, if the state is held
+   * @param {string} [locale] - Language of the horoscope
+   * @returns {Promise<Object>} The claimed state data
+   */
+  async function claimState(canonicalId, email, nombre = '', holdToken = null, locale = 'es') {
+    const { data, error } = await supabase.rpc('claim_specific_state', {
+      p_canonical_id: canonicalId,
+      p_user_id: null, // No authentication, just email
+      p_nombre: nombre,
+      p_email: email,
+      p_hold_token: holdToken,
+      p_locale: locale
+    });
 
-/**
- * Get all claimed state canonical IDs
- * @returns {Promise<Set<string>>} Set of claimed canonical IDs
- */
-export async function getClaimedStateIds() {
+    if (error) {
+      console.error('Error claiming state:', error);
+      throw error;
+    }
+
+    return data[0]; // RPC returns array, we want the first item
+  }
+
+  /**
+   * Hold a state for a short time so nobody else can claim it meanwhile
+   * @param {string} canonicalId - The canonical ID of the state to hold
+   * @param {number} seconds - Hold duration (the server clamps it to 30-600)
+   * @returns {Promise<Object>} { hold_token, expires_at }
+   */
+  async function holdState(canonicalId, seconds = 300) {
+    const { data, error } = await supabase.rpc('hold_state', {
+      p_canonical_id: canonicalId,
+      p_seconds: seconds
+    });
+
+    if (error) {
+      console.error('Error holding state:', error);
+      throw error;
+    }
+
+    return data[0];
+  }
+
+  /**
+   * Release a hold placed with holdState
+   * @param {string} holdToken - Token returned by holdState
+   * @returns {Promise<void>}
+   */
+  async function releaseHold(holdToken) {
+    const { error } = await supabase.rpc('release_hold', { p_hold_token: holdToken });
+
+    if (error) {
+      console.error('Error releasing hold:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get statistics about claimed states
+   * @returns {Promise<Object>} Stats object with total, claimed, and available counts
+   */
+  async function getClaimStats() {
+    const { data, error } = await supabase.rpc('get_claim_stats');
+
+    if (error) {
+      console.error('Error getting stats:', error);
+      throw error;
+    }
+
+    return data[0];
+  }
+
+  /**
+   * Get all claimed state canonical IDs
+   * @returns {Promise<Set<string>>} Set of claimed canonical IDs
+   */
+  async function getClaimedStateIds() {
+
+
+    const { data, error } = await supabase.rpc('get_claimed_canonical_ids');
+
+    if (error) {
+      console.error('Error getting claimed states:', error);
+      throw error;
+    }
+
+    return new Set(data.map(state => state.canonical_id));
+  }
+
+  /**
+   * Get the public details of a single state (horoscope, stats and claim status)
+   * @param {string} canonicalId - The canonical ID of the state
+   * @param {string} [locale] - Language of the horoscope
+   * @returns {Promise<Object|null>} State details, or null if it doesn't exist
+   */
+  async function getStateDetails(canonicalId, locale = 'es') {
+    const { data, error } = await supabase.rpc('get_state_details', { p_canonical_id: canonicalId, p_locale: locale });
+
+    if (error) {
+      console.error('Error getting state details:', error);
+      throw error;
+    }
+
+    return data[0] || null;
+  }
+
+  /**
+   * Email a one-time code that proves the visitor owns an email, through
+   * Supabase Auth (the Magic Link template has to include {{ .Token }})
+   * @param {string} email - Email used when claiming
+   * @returns {Promise<void>}
+   */
+  async function requestRecoveryCode(email) {
+    const { error } = await supabase.auth.signInWithOtp({
+      email: email.trim(),
+      options: { shouldCreateUser: true }
+    });
+
+    if (error) {
+      console.error('Error sending recovery code:', error);
+      throw error.status === 429 ? new Error('Demasiados intentos') : error;
+    }
+  }
+
+  /**
+   * Find the states claimed with an email, once the code sent to it is confirmed
+   * @param {string} email - Email used when claiming
+   * @param {string} code - Code from requestRecoveryCode
+   * @returns {Promise<Array>} [{ canonical_id, claimed_at, claim_token }]
+   */
+  async function recoverClaims(email, code) {
+    const { error: verifyError } = await supabase.auth.verifyOtp({
+      email: email.trim(),
+      token: code.trim(),
+      type: 'email'
+    });
+
+    if (verifyError) {
+      console.error('Error verifying recovery code:', verifyError);
+      throw new Error(verifyError.status === 429 ? 'Demasiados intentos' : 'Código inválido');
+    }
+
+    // The session only serves this call: the app stays anonymous
+    try {
+      const { data, error } = await supabase.rpc('recover_claims');
+
+      if (error) {
+        console.error('Error recovering claims:', error);
+        throw error;
+      }
+
+      return data;
+    } finally {
+      await supabase.auth.signOut({ scope: 'local' });
+    }
+  }
+
+  /**
+   * Check claim tokens kept by the browser
+   * @param {string[]} tokens - Tokens from claimState or recoverClaims
+   * @returns {Promise<Set<string>>} Canonical IDs of the valid tokens
+   */
+  async function verifyClaimTokens(tokens) {
+    const { data, error } = await supabase.rpc('verify_claim_tokens', { p_tokens: tokens });
+
+    if (error) {
+      console.error('Error verifying claim tokens:', error);
+      throw error;
+    }
+
+    return new Set(data.map(state => state.canonical_id));
+  }
+
+  /**
+   * Subscribe to states claimed by anyone, so the board updates without a reload.
+   * Listens to INSERTs on claim_events through Supabase Realtime and falls back to
+   * polling get_claimed_canonical_ids() while realtime isn't available.
+   * The same canonical ID may be reported more than once; callers should ignore known IDs.
+   * @param {Function} onClaim - Called with the canonical ID of each claimed state
+   * @param {Object} [options]
+   * @param {number} [options.pollInterval] - Milliseconds between polls in fallback mode
+   * @returns {Function} Unsubscribe function
+   */
+  function subscribeToClaims(onClaim, { pollInterval = 15000 } = {}) {
+    let pollTimer = null;
+    let channel = null;
+    // Removing the channel reports CLOSED, which must not start polling again
+    let unsubscribed = false;
+
+    async function poll() {
+      const { data, error } = await supabase.rpc('get_claimed_canonical_ids');
+
+      if (error) {
+        console.error('Error polling claimed states:', error);
+        return;
+      }
+
+      data.forEach(state => onClaim(state.canonical_id));
+    }
+
+    function startPolling() {
+      if (pollTimer) return;
+      poll();
+      pollTimer = setInterval(poll, pollInterval);
+    }
 
+    function stopPolling() {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
 
-  const { data, error } = await supabase.rpc('get_claimed_canonical_ids');
+    if (typeof supabase.channel !== 'function') {
+      startPolling();
+    } else {
+      channel = supabase
+        .channel('claim-events')
+        .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'claim_events' }, payload => {
+          onClaim(payload.new.canonical_id);
+        })
+        .subscribe(status => {
+          if (unsubscribed) return;
+          if (status === 'SUBSCRIBED') {
+            stopPolling();
+            // Catch up on anything claimed before the subscription was ready
+            poll();
+          } else if (['CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED'].includes(status)) {
+            startPolling();
+          }
+        });
+    }
 
-  if (error) {
-    console.error('Error getting claimed states:', error);
-    throw error;
+    return () => {
+      unsubscribed = true;
+      stopPolling();
+      if (channel) supabase.removeChannel(channel);
+    };
   }
 
-  return new Set(data.map(state => state.canonical_id));
+  return {
+    name: 'supabase',
+    getRandomStates,
+    claimState,
+    holdState,
+    releaseHold,
+    getClaimStats,
+    getClaimedStateIds,
+    getStateDetails,
+    requestRecoveryCode,
+    recoverClaims,
+    verifyClaimTokens,
+    subscribeToClaims,
+  };
 }
@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createFakeSupabaseClient } from './fakeSupabase.js';
+import { createSupabaseBackend } from './supabase.js';
+
+describe('Supabase backend with the fake client', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('claims', () => {
+    it('claims a state once', async () => {
+      const backend = createSupabaseBackend(createFakeSupabaseClient());
+
+      expect(await backend.claimState('000000001', 'ana@example.com', 'Ana')).toEqual({ canonical_id: '000000001' });
+      await expect(backend.claimState('000000001', 'beto@example.com')).rejects.toThrow('Estado no disponible');
+    });
+
+    it('lists claimed states', async () => {
+      const backend = createSupabaseBackend(createFakeSupabaseClient({ claimedIds: ['000000001'] }));
+      await backend.claimState('000000012', 'ana@example.com');
+
+      expect(await backend.getClaimedStateIds()).toEqual(new Set(['000000001', '000000012']));
+    });
+  });
+
+  describe('subscribeToClaims', () => {
+    it('reports claims through realtime, after catching up', async () => {
+      const client = createFakeSupabaseClient({ claimedIds: ['000000001'] });
+      const rpc = vi.spyOn(client, 'rpc');
+      const seen = [];
+      const unsubscribe = createSupabaseBackend(client).subscribeToClaims(id => seen.push(id), { pollInterval: 1000 });
+
+      await vi.advanceTimersByTimeAsync(0);
+      await client.rpc('claim_specific_state', { p_canonical_id: '000000012' });
+      await vi.advanceTimersByTimeAsync(5000);
+      unsubscribe();
+
+      expect(seen).toEqual(['000000001', '000000012']);
+      // One catch-up poll, then no polling while realtime works
+      expect(rpc.mock.calls.filter(([name]) => name === 'get_claimed_canonical_ids')).toHaveLength(1);
+    });
+
+    it.each([
+      ['realtime is missing', { realtime: false }],
+      ['the channel fails', { channelStatus: 'CHANNEL_ERROR' }],
+    ])('falls back to polling when %s', async (_, options) => {
+      const client = createFakeSupabaseClient(options);
+      const seen = new Set();
+      const unsubscribe = createSupabaseBackend(client).subscribeToClaims(id => seen.add(id), { pollInterval: 1000 });
+
+      await vi.advanceTimersByTimeAsync(0);
+      await client.rpc('claim_specific_state', { p_canonical_id: '000000012' });
+      expect(seen.has('000000012')).toBe(false);
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(seen).toEqual(new Set(['000000012']));
+      unsubscribe();
+    });
+
+    it.each([
+      ['realtime', {}],
+      ['polling', { realtime: false }],
+    ])('stops reporting after unsubscribing (%s)', async (_, options) => {
+      const client = createFakeSupabaseClient(options);
+      const onClaim = vi.fn();
+      const unsubscribe = createSupabaseBackend(client).subscribeToClaims(onClaim, { pollInterval: 1000 });
+
+      await vi.advanceTimersByTimeAsync(0);
+      unsubscribe();
+      await client.rpc('claim_specific_state', { p_canonical_id: '000000012' });
+      await vi.advanceTimersByTimeAsync(5000);
+
+      expect(onClaim).not.toHaveBeenCalled();
+    });
+  });
+});